@@ -17,7 +17,8 @@
  * 4. 3D visualization → Interactive scene rendering
  */
 
-import React from 'react';
+import React, { useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
 // Lucide React icons for consistent visual language
 import { Calculator, Package, Layers, Container, Settings, RotateCcw, ChevronLeft, ChevronRight, Loader2 } from 'lucide-react';
 
@@ -36,6 +37,17 @@ import { SettingsStep } from './components/steps/SettingsStep';
 
 // 3D visualization component for results display
 import { SimpleScene3D } from './components/3d/SimpleScene3D';
+import { LayoutAlternatives } from './components/LayoutAlternatives';
+import { CartonDesigner } from './components/CartonDesigner';
+import { PresetComparison } from './components/PresetComparison';
+import { PresetLibrary } from './components/PresetLibrary';
+import { LoadPlans } from './components/LoadPlans';
+import { ShareLinkButton } from './components/ShareLinkButton';
+import { LoadReportButton } from './components/LoadReportButton';
+import { ModelExport } from './components/ModelExport';
+import { PackingListImport } from './components/PackingListImport';
+import { PlanExchange } from './components/PlanExchange';
+import { SHARE_PARAM } from './lib/share-link';
 
 // Global application styles
 import './App.css';
@@ -55,10 +67,18 @@ function App() {
     steps,             // Step configuration array
 
     // Input data from each wizard step
-    cartonData,        // Carton specifications (dimensions, weight, quantity)
+    cartons,           // Carton types (SKU, dimensions, weight, quantity)
     palletData,        // Pallet configuration (type, dimensions, constraints)
     containerData,     // Container specifications (type, capacity)
     settings,          // Optimization preferences and algorithm settings
+    productData,       // Product unit for the carton designer
+    cartonDesign,      // Ranked carton suggestions
+    presetEvaluation,  // Ranked pallet and container preset options
+    library,           // Saved cartons, pallets and containers
+    plans,             // Saved load plans with their versions
+    currentPlan,       // Plan version the inputs came from
+    shareError,        // Why a shared link could not be opened
+    planImport,        // Outcome of the last imported plan file
 
     // Application state
     validationErrors,  // Form validation errors by category
@@ -66,19 +86,53 @@ function App() {
     isCalculating,    // Loading state during calculations
 
     // State update functions
-    updateCartonData,     // Update carton specifications
+    updateCarton,         // Update one carton type
+    addCarton,            // Add a carton type (SKU)
+    removeCarton,         // Remove a carton type
     updatePalletData,     // Update pallet configuration  
     updateContainerData,  // Update container specifications
     updateSettings,       // Update optimization settings
+    updateProductData,    // Update the carton designer's product unit
+    runCartonDesigner,    // Rank carton sizes for the product unit
+    applyCartonDesign,    // Copy a suggested carton into a carton type
+    evaluateAllPresets,   // Run the shipment on every pallet and container preset
+    applyPresets,         // Switch to a pallet and container preset
+    saveToLibrary,        // Save a carton type, the pallet or the container
+    removeFromLibrary,    // Delete a saved entry
+    loadLibraryCarton,    // Fill a carton type from a saved carton
+    importCartons,        // Replace the carton types with packing list rows
+    importLibraryFile,    // Merge an exported library file
+    exportLibraryFile,    // Library as JSON
+    savePlan,             // Save the plan as a new version or a new plan
+    openPlan,             // Restore and recalculate a saved plan version
+    duplicatePlan,        // Copy a saved plan
+    deletePlan,           // Delete a saved plan
+    openSharedPlan,       // Open the inputs of a shared link
+    shareLink,            // Link value for the current inputs
+    dismissShareError,    // Hide the shared link error
+    exportPlanFile,       // Current result as a JSON or XML plan file
+    importPlanFile,       // Open and recalculate a JSON or XML plan file
+    dismissPlanImport,    // Hide the plan file outcome
 
     // Navigation functions
     nextStep,            // Advance to next step with validation
     prevStep,            // Return to previous step
     calculateOptimization, // Execute optimization algorithms
+    chooseLayout,        // Use an alternative stack for a carton type
     resetCalculator,     // Reset all data to initial state
     validateCurrentStep  // Validate current step data
   } = useCalculator();
 
+  // A shared link (?plan=...) opens its calculation once; the parameter is
+  // then dropped, so later edits are not replaced on reload
+  const [searchParams, setSearchParams] = useSearchParams();
+  const sharedPlan = searchParams.get(SHARE_PARAM);
+  useEffect(() => {
+    if (!sharedPlan) return;
+    openSharedPlan(sharedPlan);
+    setSearchParams({}, { replace: true });
+  }, [sharedPlan, openSharedPlan, setSearchParams]);
+
   /**
    * Step Renderer
    * 
@@ -92,45 +146,123 @@ function App() {
    * 3. SettingsStep - Set optimization preferences  
    * 4. ResultsStep - Display calculation results and 3D visualization
    */
+  // Library panels of the carton, pallet and container steps
+  const libraryActions = {
+    onSave: saveToLibrary,
+    onRemove: removeFromLibrary,
+    onImport: importLibraryFile,
+    onExport: exportLibraryFile
+  };
+
+  // Saved plans: reopened from the first step, saved from the results
+  const plansPanel = (
+    <LoadPlans
+      plans={plans}
+      currentPlan={currentPlan}
+      canSave={Boolean(result) && currentStep === 4}
+      onSave={savePlan}
+      onOpen={openPlan}
+      onDuplicate={duplicatePlan}
+      onDelete={deletePlan}
+    />
+  );
+
+  // Plan files: imported from the first step, exported from the results
+  const exchangePanel = (
+    <PlanExchange
+      canExport={Boolean(result) && currentStep === 4}
+      onExport={exportPlanFile}
+      onImport={importPlanFile}
+      outcome={planImport}
+      onDismiss={dismissPlanImport}
+    />
+  );
+
   const renderCurrentStep = () => {
     switch (currentStep) {
       case 0:
         return (
-          <CartonStep
-            data={cartonData}
-            onChange={updateCartonData}
-            errors={validationErrors.carton}
-          />
+          <div className="space-y-6">
+            <CartonStep
+              cartons={cartons}
+              onChange={updateCarton}
+              onAdd={addCarton}
+              onRemove={removeCarton}
+              errors={validationErrors.cartons}
+              saved={library.cartons}
+              onLoadSaved={loadLibraryCarton}
+            />
+            <PackingListImport onImport={importCartons} />
+            <CartonDesigner
+              data={productData}
+              onChange={updateProductData}
+              errors={validationErrors.product}
+              design={cartonDesign}
+              onRun={runCartonDesigner}
+              cartons={cartons}
+              onApply={applyCartonDesign}
+              palletData={palletData}
+              containerData={containerData}
+            />
+            <PresetLibrary
+              kind="cartons"
+              entries={library.cartons}
+              sources={cartons.map(carton => ({ value: carton.id, label: carton.sku || carton.id }))}
+              {...libraryActions}
+            />
+            {plansPanel}
+            {exchangePanel}
+          </div>
         );
       case 1:
         return (
-          <PalletStep
-            data={palletData}
-            onChange={updatePalletData}
-            errors={validationErrors.pallet}
-          />
+          <div className="space-y-6">
+            <PalletStep
+              data={palletData}
+              onChange={updatePalletData}
+              errors={validationErrors.pallet}
+              saved={library.pallets}
+            />
+            {palletData.usePallets && (
+              <PresetLibrary kind="pallets" entries={library.pallets} {...libraryActions} />
+            )}
+          </div>
         );
       case 2:
         return (
-          <ContainerStep
-            data={containerData}
-            onChange={updateContainerData}
-            errors={validationErrors.container}
-          />
+          <div className="space-y-6">
+            <ContainerStep
+              data={containerData}
+              onChange={updateContainerData}
+              errors={validationErrors.container}
+              saved={library.containers}
+            />
+            <PresetLibrary kind="containers" entries={library.containers} {...libraryActions} />
+          </div>
         );
       case 3:
         return (
           <SettingsStep
             data={settings}
             onChange={updateSettings}
+            errors={validationErrors.settings}
           />
         );
       case 4:
         return (
-          <ResultsStep
-            result={result}
-            onReset={resetCalculator}
-          />
+          <div className="space-y-6">
+            <ResultsStep
+              result={result}
+              onShare={shareLink}
+              onChooseLayout={chooseLayout}
+              presetEvaluation={presetEvaluation}
+              onEvaluatePresets={evaluateAllPresets}
+              onApplyPresets={applyPresets}
+              onReset={resetCalculator}
+            />
+            {plansPanel}
+            {exchangePanel}
+          </div>
         );
       default:
         return null;
@@ -159,6 +291,25 @@ function App() {
         <StepIndicator steps={steps} currentStep={currentStep} />
         
         <div className="max-w-4xl mx-auto">
+          {shareError && (
+            <div className="mb-6 p-4 bg-red-50 dark:bg-red-950/20 rounded-xl border border-red-200 dark:border-red-800">
+              <div className="flex items-start justify-between">
+                <div>
+                  <span className="text-sm font-medium text-red-900 dark:text-red-100">
+                    The shared link could not be opened
+                  </span>
+                  <p className="text-xs text-red-700 dark:text-red-200 mt-1">{shareError}</p>
+                </div>
+                <button
+                  onClick={dismissShareError}
+                  className="text-xs font-medium text-red-700 dark:text-red-200 hover:underline"
+                >
+                  Dismiss
+                </button>
+              </div>
+            </div>
+          )}
+
           {/* Render the current step component */}
           {renderCurrentStep()}
           
@@ -229,7 +380,7 @@ function App() {
 }
 
 // Results Step Component
-function ResultsStep({ result }) {
+function ResultsStep({ result, onShare, onChooseLayout, presetEvaluation, onEvaluatePresets, onApplyPresets }) {
   if (!result) {
     return (
       <div className="bg-card rounded-2xl shadow-sm border border-border/50 backdrop-blur-sm p-6 animate-fade-in-up">
@@ -245,6 +396,10 @@ function ResultsStep({ result }) {
   }
 
   const { summary, pallet, container } = result;
+  const isMixedLoad = result.cartons?.length > 1;
+  const isFloorLoaded = result.loadingMode === 'floor';
+  const [firstContainer] = container.result.containers;
+  const formatOffset = (value) => `${value > 0 ? '+' : ''}${value.toFixed(0)}`;
 
   return (
     <div className="space-y-6 animate-fade-in-up">
@@ -276,61 +431,325 @@ function ResultsStep({ result }) {
           </div>
           <div className="text-sm text-muted-foreground">Containers Needed</div>
           <div className="text-xs text-muted-foreground mt-1">
-            {summary.palletsUsed} pallets total
+            {isFloorLoaded ? 'Floor loaded, no pallets' : `${summary.palletsUsed} pallets total`}
           </div>
         </div>
       </div>
 
       {/* Detailed Results */}
       <div className="bg-card rounded-2xl shadow-sm border border-border/50 backdrop-blur-sm p-6">
-        <h2 className="text-xl font-semibold text-foreground mb-6">Optimization Results</h2>
+        <div className="flex items-start justify-between mb-6">
+          <h2 className="text-xl font-semibold text-foreground">Optimization Results</h2>
+          <div className="flex items-start space-x-2">
+            <LoadReportButton report={result} />
+            <ShareLinkButton getLink={onShare} />
+          </div>
+        </div>
         
         <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
           <div>
-            <h3 className="text-lg font-medium text-foreground mb-4">Pallet Configuration</h3>
-            <div className="space-y-3 text-sm">
-              <div className="flex justify-between">
-                <span className="text-muted-foreground">Cartons per layer:</span>
-                <span className="font-medium">{pallet.result.cartonsPerLayer}</span>
+            <h3 className="text-lg font-medium text-foreground mb-4">
+              {isFloorLoaded ? 'Floor Loading' : 'Pallet Configuration'}
+            </h3>
+            {isFloorLoaded ? (
+              <div className="space-y-3 text-sm">
+                <div className="flex justify-between">
+                  <span className="text-muted-foreground">Carton types:</span>
+                  <span className="font-medium">{summary.skus.length}</span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-muted-foreground">Cartons loaded:</span>
+                  <span className="font-medium">{summary.cartonsPlaced}</span>
+                </div>
+                {!isMixedLoad && (
+                  <>
+                    <div className="flex justify-between">
+                      <span className="text-muted-foreground">Cartons per wall:</span>
+                      <span className="font-medium">{summary.skus[0].cartonsPerWall}</span>
+                    </div>
+                    <div className="flex justify-between">
+                      <span className="text-muted-foreground">Orientation:</span>
+                      <span className="font-medium">{summary.skus[0].orientation ?? '—'}</span>
+                    </div>
+                  </>
+                )}
               </div>
-              <div className="flex justify-between">
-                <span className="text-muted-foreground">Maximum layers:</span>
-                <span className="font-medium">{pallet.result.maxLayers}</span>
+            ) : isMixedLoad ? (
+              <div className="space-y-3 text-sm">
+                <div className="flex justify-between">
+                  <span className="text-muted-foreground">Carton types:</span>
+                  <span className="font-medium">{summary.skus.length}</span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-muted-foreground">Pallets built:</span>
+                  <span className="font-medium">{pallet.result.palletsNeeded}</span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-muted-foreground">Mixed-SKU pallets:</span>
+                  <span className="font-medium">{pallet.result.mixedPallets}</span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-muted-foreground">Cartons on pallets:</span>
+                  <span className="font-medium">{pallet.result.totalCartonsPlaced}</span>
+                </div>
               </div>
-              <div className="flex justify-between">
-                <span className="text-muted-foreground">Cartons per pallet:</span>
-                <span className="font-medium">{pallet.result.cartonsPerPallet}</span>
+            ) : (
+              <div className="space-y-3 text-sm">
+                <div className="flex justify-between">
+                  <span className="text-muted-foreground">Cartons per layer:</span>
+                  <span className="font-medium">{pallet.result.cartonsPerLayer}</span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-muted-foreground">Maximum layers:</span>
+                  <span className="font-medium">{pallet.result.maxLayers}</span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-muted-foreground">Cartons per pallet:</span>
+                  <span className="font-medium">{pallet.result.cartonsPerPallet}</span>
+                </div>
+                {pallet.result.palletsNeeded > 0 && pallet.result.lastPalletCartons !== pallet.result.cartonsPerPallet && (
+                  <div className="flex justify-between">
+                    <span className="text-muted-foreground">Last pallet:</span>
+                    <span className="font-medium">{pallet.result.lastPalletCartons} cartons</span>
+                  </div>
+                )}
+                <div className="flex justify-between">
+                  <span className="text-muted-foreground">Orientation:</span>
+                  <span className="font-medium capitalize">{pallet.result.orientation}</span>
+                </div>
+                {pallet.result.pattern && (
+                  <div className="flex justify-between">
+                    <span className="text-muted-foreground">Stacking pattern:</span>
+                    <span className="font-medium capitalize">
+                      {pallet.result.pattern} ({(pallet.result.stability * 100).toFixed(0)}% interlocked)
+                    </span>
+                  </div>
+                )}
+                {pallet.result.selection && (
+                  <p className="text-xs text-muted-foreground">
+                    {pallet.result.selection.reason} ({pallet.result.selection.candidates.length} layouts compared)
+                    {pallet.result.layoutChoice > 0 && `; alternative ${pallet.result.layoutChoice + 1} is in use instead`}
+                  </p>
+                )}
               </div>
-              <div className="flex justify-between">
-                <span className="text-muted-foreground">Orientation:</span>
-                <span className="font-medium capitalize">{pallet.result.orientation}</span>
+            )}
+            {!isFloorLoaded && pallet.result.loadBearing && (
+              <div className="flex justify-between text-sm mt-3">
+                <span className="text-muted-foreground">Bottom layer load:</span>
+                <span className={`font-medium ${pallet.result.loadBearing.margin < 0.1 ? 'text-amber-600' : ''}`}>
+                  {pallet.result.loadBearing.load.toFixed(1)} of {pallet.result.loadBearing.capacity.toFixed(1)} kg
+                  {' '}({(pallet.result.loadBearing.margin * 100).toFixed(0)}% margin)
+                </span>
               </div>
-            </div>
+            )}
           </div>
 
           <div>
             <h3 className="text-lg font-medium text-foreground mb-4">Container Loading</h3>
             <div className="space-y-3 text-sm">
-              <div className="flex justify-between">
-                <span className="text-muted-foreground">Pallets per container:</span>
-                <span className="font-medium">{container.result.palletsPerContainer}</span>
-              </div>
-              <div className="flex justify-between">
-                <span className="text-muted-foreground">Total pallets placed:</span>
-                <span className="font-medium">{container.result.totalPalletsPlaced}</span>
-              </div>
+              {isFloorLoaded ? (
+                <div className="flex justify-between">
+                  <span className="text-muted-foreground">Weight utilization:</span>
+                  <span className="font-medium">{container.result.weightUtilization.toFixed(1)}%</span>
+                </div>
+              ) : (
+                <>
+                  <div className="flex justify-between">
+                    <span className="text-muted-foreground">Pallets per container:</span>
+                    <span className="font-medium">{container.result.palletsPerContainer}</span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span className="text-muted-foreground">Total pallets placed:</span>
+                    <span className="font-medium">{container.result.totalPalletsPlaced}</span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span className="text-muted-foreground">Pallet tiers:</span>
+                    <span className="font-medium">{container.result.palletTiers}</span>
+                  </div>
+                </>
+              )}
               <div className="flex justify-between">
                 <span className="text-muted-foreground">Remaining cartons:</span>
                 <span className="font-medium">{summary.remainingCartons}</span>
               </div>
-              <div className="flex justify-between">
-                <span className="text-muted-foreground">Pallet orientation:</span>
-                <span className="font-medium capitalize">{container.result.orientation}</span>
-              </div>
+              {!isFloorLoaded && (
+                <div className="flex justify-between">
+                  <span className="text-muted-foreground">Pallet orientation:</span>
+                  <span className="font-medium capitalize">{container.result.orientation}</span>
+                </div>
+              )}
+              {firstContainer && (
+                <>
+                  <div className="flex justify-between">
+                    <span className="text-muted-foreground">Centre of gravity (L / W):</span>
+                    <span className={`font-medium ${firstContainer.offCentre ? 'text-amber-600' : ''}`}>
+                      {formatOffset(firstContainer.centerOfGravity.length)} / {formatOffset(firstContainer.centerOfGravity.width)} cm
+                    </span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span className="text-muted-foreground">Max floor load:</span>
+                    <span className="font-medium">{firstContainer.floorLoad.max.toFixed(0)} kg/m²</span>
+                  </div>
+                </>
+              )}
             </div>
           </div>
         </div>
 
+        {container.result.containers?.length > 1 && (
+          <div className="mt-6">
+            <h3 className="text-lg font-medium text-foreground mb-4">Container Plan</h3>
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-muted-foreground border-b border-border">
+                    <th className="py-2 pr-4 font-medium">Container</th>
+                    {!isFloorLoaded && <th className="py-2 pr-4 font-medium text-right">Pallets</th>}
+                    <th className="py-2 pr-4 font-medium text-right">Cartons</th>
+                    <th className="py-2 pr-4 font-medium text-right">Weight</th>
+                    <th className="py-2 pr-4 font-medium text-right">Floor fill</th>
+                    <th className="py-2 pr-4 font-medium text-right">Weight use</th>
+                    <th className="py-2 pr-4 font-medium text-right">CoG (L / W)</th>
+                    <th className="py-2 font-medium text-right">Floor load</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {container.result.containers.map((loaded) => (
+                    <tr key={loaded.index} className="border-b border-border/50">
+                      <td className="py-2 pr-4 font-medium">#{loaded.index + 1}</td>
+                      {!isFloorLoaded && <td className="py-2 pr-4 text-right">{loaded.palletCount}</td>}
+                      <td className="py-2 pr-4 text-right">{loaded.cartonCount}</td>
+                      <td className="py-2 pr-4 text-right">{loaded.weight.toFixed(0)} kg</td>
+                      <td className="py-2 pr-4 text-right">{loaded.fill.toFixed(0)}%</td>
+                      <td className="py-2 pr-4 text-right">{loaded.weightUtilization.toFixed(0)}%</td>
+                      <td className={`py-2 pr-4 text-right ${loaded.offCentre ? 'text-amber-600 font-medium' : ''}`}>
+                        {formatOffset(loaded.centerOfGravity.length)} / {formatOffset(loaded.centerOfGravity.width)} cm
+                      </td>
+                      <td className="py-2 text-right">{loaded.floorLoad.max.toFixed(0)} kg/m²</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+
+        {isMixedLoad && (
+          <div className="mt-6">
+            <h3 className="text-lg font-medium text-foreground mb-4">Carton Types</h3>
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-muted-foreground border-b border-border">
+                    <th className="py-2 pr-4 font-medium">SKU</th>
+                    <th className="py-2 pr-4 font-medium text-right">Quantity</th>
+                    {isFloorLoaded ? (
+                      <th className="py-2 pr-4 font-medium text-right">Per wall</th>
+                    ) : (
+                      <>
+                        <th className="py-2 pr-4 font-medium text-right">Per layer</th>
+                        <th className="py-2 pr-4 font-medium text-right">Per pallet</th>
+                        <th className="py-2 pr-4 font-medium">Pattern</th>
+                      </>
+                    )}
+                    <th className="py-2 pr-4 font-medium text-right">Placed</th>
+                    <th className="py-2 font-medium text-right">Remaining</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {summary.skus.map((sku) => (
+                    <tr key={sku.id ?? sku.sku} className="border-b border-border/50">
+                      <td className="py-2 pr-4 font-medium">{sku.sku}</td>
+                      <td className="py-2 pr-4 text-right">{sku.quantity}</td>
+                      {isFloorLoaded ? (
+                        <td className="py-2 pr-4 text-right">{sku.cartonsPerWall}</td>
+                      ) : (
+                        <>
+                          <td className="py-2 pr-4 text-right">{sku.cartonsPerLayer}</td>
+                          <td className="py-2 pr-4 text-right">{sku.cartonsPerPallet}</td>
+                          <td className="py-2 pr-4 capitalize" title={sku.selection?.reason}>{sku.pattern ?? '—'}</td>
+                        </>
+                      )}
+                      <td className="py-2 pr-4 text-right">{sku.placed}</td>
+                      <td className={`py-2 text-right ${sku.remaining > 0 ? 'text-amber-600 font-medium' : ''}`}>{sku.remaining}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+
+        {result.consistency && !result.consistency.isConsistent && (
+          <div className="mt-6 p-4 bg-red-50 dark:bg-red-950/20 rounded-xl border border-red-200 dark:border-red-800">
+            <div className="flex items-center space-x-2">
+              <div className="w-2 h-2 bg-red-500 rounded-full"></div>
+              <span className="text-sm font-medium text-red-900 dark:text-red-100">
+                Summary and 3D layout disagree
+              </span>
+            </div>
+            <ul className="text-xs text-red-700 dark:text-red-200 mt-1 space-y-1">
+              {result.consistency.issues.map((issue, index) => (
+                <li key={`${issue.code}-${index}`}>• {issue.message}</li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {pallet.result.patternWarnings?.length > 0 && (
+          <div className="mt-6 p-4 bg-amber-50 dark:bg-amber-950/20 rounded-xl border border-amber-200 dark:border-amber-800">
+            <div className="flex items-center space-x-2">
+              <div className="w-2 h-2 bg-amber-500 rounded-full"></div>
+              <span className="text-sm font-medium text-amber-900 dark:text-amber-100">
+                Stacking pattern not used
+              </span>
+            </div>
+            <ul className="text-xs text-amber-700 dark:text-amber-200 mt-1 space-y-1">
+              {pallet.result.patternWarnings.map((warning) => (
+                <li key={warning.sku}>• {warning.message}</li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {container.result.balanceWarnings?.length > 0 && (
+          <div className="mt-6 p-4 bg-amber-50 dark:bg-amber-950/20 rounded-xl border border-amber-200 dark:border-amber-800">
+            <div className="flex items-center space-x-2">
+              <div className="w-2 h-2 bg-amber-500 rounded-full"></div>
+              <span className="text-sm font-medium text-amber-900 dark:text-amber-100">
+                Centre of gravity is off centre
+              </span>
+            </div>
+            <ul className="text-xs text-amber-700 dark:text-amber-200 mt-1 space-y-1">
+              {container.result.balanceWarnings.map((warning) => (
+                <li key={warning.container}>• {warning.message}</li>
+              ))}
+            </ul>
+            <p className="text-xs text-amber-700 dark:text-amber-200 mt-1">
+              Consider placing heavy pallets in the middle (Optimization Settings) or redistributing the load.
+            </p>
+          </div>
+        )}
+
+        {container.result.doorWarnings?.length > 0 && (
+          <div className="mt-6 p-4 bg-amber-50 dark:bg-amber-950/20 rounded-xl border border-amber-200 dark:border-amber-800">
+            <div className="flex items-center space-x-2">
+              <div className="w-2 h-2 bg-amber-500 rounded-full"></div>
+              <span className="text-sm font-medium text-amber-900 dark:text-amber-100">
+                Pallets do not fit through the door
+              </span>
+            </div>
+            <ul className="text-xs text-amber-700 dark:text-amber-200 mt-1 space-y-1">
+              {container.result.doorWarnings.map((warning) => (
+                <li key={warning.container}>• {warning.message}</li>
+              ))}
+            </ul>
+            <p className="text-xs text-amber-700 dark:text-amber-200 mt-1">
+              Lower the maximum stack height (Pallet Configuration) or choose equipment with a larger door.
+            </p>
+          </div>
+        )}
+
         {summary.remainingCartons > 0 && (
           <div className="mt-6 p-4 bg-amber-50 dark:bg-amber-950/20 rounded-xl border border-amber-200 dark:border-amber-800">
             <div className="flex items-center space-x-2">
@@ -346,15 +765,34 @@ function ResultsStep({ result }) {
         )}
       </div>
 
+      {/* Alternative stacks, one of which can replace the recommended one */}
+      {!isFloorLoaded && (
+        <LayoutAlternatives
+          skus={summary.skus}
+          cartons={result.cartons}
+          palletData={result.pallet}
+          onChoose={onChooseLayout}
+        />
+      )}
+
+      {/* Evaluate-all mode across pallet and container presets */}
+      <PresetComparison
+        evaluation={presetEvaluation}
+        onEvaluate={onEvaluatePresets}
+        onApply={onApplyPresets}
+      />
+
       {/* 3D Visualization */}
       <div className="bg-card rounded-2xl shadow-sm border border-border/50 backdrop-blur-sm p-6">
         <h2 className="text-xl font-semibold text-foreground mb-4">3D Visualization</h2>
         <SimpleScene3D 
           result={result}
           cartonData={result?.carton}
+          cartons={result?.cartons}
           palletData={result?.pallet}
           containerData={result?.container}
         />
+        {result?.layout3D && <ModelExport report={result} />}
       </div>
     </div>
   );
@@ -0,0 +1,58 @@
+import React from 'react';
+import { Canvas } from '@react-three/fiber';
+import { getOrientedDimensions } from '../../lib/3d-layout';
+import { CartonBox } from './SimpleScene3D';
+
+/**
+ * Small static 3D view of one pallet stack, used to compare alternative layouts
+ */
+export function LayoutThumbnail({ cartonPositions, carton, palletData }) {
+  // Convert dimensions from cm to meters, as in the main scene
+  const scale = 0.01;
+  const dimsFor = (cartonPos) => getOrientedDimensions(carton, cartonPos.rotation);
+
+  // Centre the stack on the pallet, overhang included
+  const spanX = cartonPositions.reduce((max, p) => Math.max(max, p.x + dimsFor(p).length), 0);
+  const spanZ = cartonPositions.reduce((max, p) => Math.max(max, p.y + dimsFor(p).width), 0);
+  const loadHeight = cartonPositions.reduce((max, p) => Math.max(max, p.z + dimsFor(p).height), 0);
+  const offset = { x: (palletData.length - spanX) / 2, z: (palletData.width - spanZ) / 2 };
+
+  // Camera distance that keeps the whole stack in view
+  const size = Math.max(palletData.length, palletData.width, palletData.height + loadHeight) * scale;
+
+  return (
+    <div className="w-full h-32 rounded-lg overflow-hidden bg-slate-50">
+      <Canvas frameloop="demand" camera={{ position: [size * 1.3, size * 0.9, size * 1.3], fov: 40 }}>
+        <ambientLight intensity={0.6} />
+        <directionalLight position={[5, 10, 5]} intensity={0.8} />
+
+        {/* Stack centred on the origin, where the camera looks */}
+        <group position={[0, -(palletData.height + loadHeight) * scale / 2, 0]}>
+          <mesh position={[0, palletData.height * scale / 2, 0]}>
+            <boxGeometry args={[palletData.length * scale, palletData.height * scale, palletData.width * scale]} />
+            <meshStandardMaterial color="#8b4513" />
+          </mesh>
+
+          {cartonPositions.map((cartonPos, index) => {
+            const dims = dimsFor(cartonPos);
+            const position = [
+              (-palletData.length / 2 + offset.x + cartonPos.x + dims.length / 2) * scale,
+              (palletData.height + cartonPos.z + dims.height / 2) * scale,
+              (-palletData.width / 2 + offset.z + cartonPos.y + dims.width / 2) * scale
+            ];
+
+            return (
+              <CartonBox
+                key={`thumb-${index}`}
+                dims={dims}
+                position={position}
+                hue={(cartonPos.layer % 2) * 40 + 200}
+                scale={scale}
+              />
+            );
+          })}
+        </group>
+      </Canvas>
+    </div>
+  );
+}
@@ -1,13 +1,15 @@
-import React, { Suspense, useRef, useState, useEffect } from 'react';
+import React, { Suspense, useRef, useState } from 'react';
 import { Canvas } from '@react-three/fiber';
 import { OrbitControls, Environment, Grid, Text } from '@react-three/drei';
 import * as THREE from 'three';
+import { getOrientedDimensions } from '../../lib/3d-layout';
 
-export function SimpleScene3D({ result, cartonData, palletData, containerData }) {
+export function SimpleScene3D({ result, cartonData, cartons, palletData, containerData }) {
   const controlsRef = useRef();
   const [showPallets, setShowPallets] = useState(true);
   const [showCartons, setShowCartons] = useState(true);
   const [showContainer, setShowContainer] = useState(true);
+  const [activeContainer, setActiveContainer] = useState(0);
 
   if (!result || !result.layout3D) {
     return (
@@ -23,16 +25,11 @@ export function SimpleScene3D({ result, cartonData, palletData, containerData })
   }
 
   const { layout3D } = result;
-  
-  // Debug logging
-  console.log('SimpleScene3D - layout3D:', layout3D);
-  console.log('Carton positions:', layout3D.cartonPositions?.length || 0);
-  
-  // Log first few carton positions to debug
-  if (layout3D.cartonPositions) {
-    console.log('First 8 carton positions:', layout3D.cartonPositions.slice(0, 8));
-    console.log('Sample carton position object:', layout3D.cartonPositions[0]);
-  }
+  const containers = layout3D.containers || [];
+  const shownContainer = Math.min(activeContainer, Math.max(0, containers.length - 1));
+  const containerPalletPositions = containers[shownContainer]?.palletPositions || layout3D.palletPositions;
+  // Floor-loaded containers carry their cartons directly
+  const looseCartons = layout3D.floorLoaded ? containers[shownContainer]?.cartonPositions || [] : [];
 
   if (!layout3D.cartonPositions || layout3D.cartonPositions.length === 0) {
     return (
@@ -84,7 +81,10 @@ export function SimpleScene3D({ result, cartonData, palletData, containerData })
           {/* 3D Models */}
           <PalletVisualization 
             layout3D={layout3D}
+            palletPositions={containerPalletPositions}
+            looseCartons={looseCartons}
             cartonData={cartonData}
+            cartons={cartons}
             palletData={palletData}
             containerData={containerData}
             showPallets={showPallets}
@@ -105,6 +105,31 @@ export function SimpleScene3D({ result, cartonData, palletData, containerData })
         </Suspense>
       </Canvas>
       
+      {/* Container Selector */}
+      {containers.length > 1 && (
+        <div className="absolute top-4 left-4 bg-white/90 backdrop-blur-sm rounded-lg p-3 shadow-lg">
+          <div className="text-xs font-medium text-gray-700 mb-2">Container</div>
+          <div className="flex flex-wrap gap-1 max-w-48">
+            {containers.map((container) => (
+              <button
+                key={container.index}
+                onClick={() => setActiveContainer(container.index)}
+                className={`px-2 py-1 text-xs rounded ${
+                  container.index === shownContainer ? 'bg-blue-500 text-white' : 'bg-gray-200 text-gray-700'
+                }`}
+              >
+                {container.index + 1}
+              </button>
+            ))}
+          </div>
+          <div className="text-xs text-gray-500 mt-2">
+            {layout3D.floorLoaded
+              ? `${containers[shownContainer].cartonCount} cartons`
+              : `${containers[shownContainer].palletCount} pallets`} • {containers[shownContainer].weight.toFixed(0)} kg
+          </div>
+        </div>
+      )}
+
       {/* Layer Controls */}
       <div className="absolute top-4 right-4 bg-white/90 backdrop-blur-sm rounded-lg p-3 shadow-lg">
         <div className="flex flex-col space-y-2">
@@ -117,15 +142,17 @@ export function SimpleScene3D({ result, cartonData, palletData, containerData })
             />
             <span className="text-sm">Container</span>
           </label>
-          <label className="flex items-center space-x-2">
-            <input
-              type="checkbox"
-              checked={showPallets}
-              onChange={(e) => setShowPallets(e.target.checked)}
-              className="rounded"
-            />
-            <span className="text-sm">Pallet</span>
-          </label>
+          {!layout3D.floorLoaded && (
+            <label className="flex items-center space-x-2">
+              <input
+                type="checkbox"
+                checked={showPallets}
+                onChange={(e) => setShowPallets(e.target.checked)}
+                className="rounded"
+              />
+              <span className="text-sm">Pallet</span>
+            </label>
+          )}
           <label className="flex items-center space-x-2">
             <input
               type="checkbox"
@@ -141,16 +168,10 @@ export function SimpleScene3D({ result, cartonData, palletData, containerData })
   );
 }
 
-function PalletVisualization({ layout3D, cartonData, palletData, containerData, showPallets, showCartons, showContainer }) {
+function PalletVisualization({ layout3D, palletPositions: containerPalletPositions, looseCartons = [], cartonData, cartons, palletData, containerData, showPallets, showCartons, showContainer }) {
   // Convert dimensions from cm to meters for better 3D scale
   const scale = 0.01;
   
-  const cartonDims = {
-    length: cartonData.length * scale,
-    width: cartonData.width * scale,
-    height: cartonData.height * scale
-  };
-  
   const palletDims = {
     length: palletData.length * scale,
     width: palletData.width * scale,
@@ -158,11 +179,11 @@ function PalletVisualization({ layout3D, cartonData, palletData, containerData,
   };
 
   // Keep raw cm values for correct positional math (then convert once to meters)
-  const rawCartonDims = {
-    length: cartonData.length,
-    width: cartonData.width,
-    height: cartonData.height
-  };
+  const cartonTypes = cartons && cartons.length > 0 ? cartons : [cartonData];
+  const cartonsBySku = new Map(cartonTypes.map(carton => [carton.sku, carton]));
+  const skuIndex = new Map(cartonTypes.map((carton, index) => [carton.sku, index]));
+  const isMixedLoad = cartonTypes.length > 1;
+  const rawCartonDimsFor = (cartonPos) => getOrientedDimensions(cartonsBySku.get(cartonPos.sku) || cartonData, cartonPos.rotation);
 
   const rawPalletDims = {
     length: palletData.length,
@@ -176,23 +197,32 @@ function PalletVisualization({ layout3D, cartonData, palletData, containerData,
     height: containerData.height * scale
   };
 
+  const rawContainerDims = {
+    length: containerData.length,
+    width: containerData.width
+  };
+
   const cartonPositions = layout3D.cartonPositions || [];
-  const palletPositions = layout3D.palletPositions || [{ x: 0, y: rawPalletDims.height / 2, z: 0 }];
-  
-  console.log('Rendering', cartonPositions.length, 'cartons');
+  const palletPositions = containerPalletPositions || [{ x: 0, y: rawPalletDims.height / 2, z: 0 }];
 
-  // Determine grid span to center the layout on the pallet
-  const firstPos = cartonPositions[0] || {};
-  const layoutIsRotated = firstPos.rotation === 'WLH';
-  const maxGridX = cartonPositions.reduce((m, p) => Math.max(m, p.gridX ?? 0), 0);
-  const maxGridY = cartonPositions.reduce((m, p) => Math.max(m, p.gridY ?? 0), 0);
-  const cartonsXCount = maxGridX + 1;
-  const cartonsYCount = maxGridY + 1;
+  // Each pallet carries its own contents when the load is built per pallet
+  const positionsForPallet = (palletPos) => layout3D.pallets?.[palletPos.index]?.cartonPositions || cartonPositions;
 
-  const spanXcm = (layoutIsRotated ? rawCartonDims.width : rawCartonDims.length) * cartonsXCount;
-  const spanZcm = (layoutIsRotated ? rawCartonDims.length : rawCartonDims.width) * cartonsYCount;
-  const centerOffsetXcm = Math.max(0, (rawPalletDims.length - spanXcm) / 2);
-  const centerOffsetZcm = Math.max(0, (rawPalletDims.width - spanZcm) / 2);
+  // Mixed loads are colored by SKU, single loads by column
+  const hueFor = (cartonPos) => (isMixedLoad
+    ? ((skuIndex.get(cartonPos.sku) ?? 0) * 137) % 360
+    : (cartonPos.gridX ?? 0) * 90);
+
+  // Determine the layout span to center it on the pallet; a load wider than
+  // the pallet (overhang) gets a negative offset so it sticks out evenly
+  const centerOffsetFor = (positions) => {
+    const spanXcm = positions.reduce((m, p) => Math.max(m, p.x + rawCartonDimsFor(p).length), 0);
+    const spanZcm = positions.reduce((m, p) => Math.max(m, p.y + rawCartonDimsFor(p).width), 0);
+    return {
+      x: (rawPalletDims.length - spanXcm) / 2,
+      z: (rawPalletDims.width - spanZcm) / 2
+    };
+  };
 
   return (
     <group>
@@ -215,76 +245,74 @@ function PalletVisualization({ layout3D, cartonData, palletData, containerData,
         </group>
       )}
       
-      {/* Pallet bases (multiple) */}
-      {showPallets && palletPositions.map((p, i) => (
-        <mesh 
-          key={`pallet-${i}`}
-          position={[p.x * scale, palletDims.height / 2, p.z * scale]}
-          castShadow
-          receiveShadow
-        >
-          <boxGeometry args={[palletDims.length, palletDims.height, palletDims.width]} />
-          <meshStandardMaterial color="#8b4513" />
-        </mesh>
-      ))}
-      
-      {/* Cartons replicated on each pallet */}
-      {showCartons && palletPositions.map((palletPos, palletIdx) => (
-        <group key={`carton-group-${palletIdx}`}>
-      {cartonPositions.map((cartonPos, cartonIndex) => {
-        // Handle rotation based on string format (like working code)
-        const isRotated = cartonPos.rotation === 'WLH';
+      {/* Pallets with their cartons, placed and turned as loaded in the container */}
+      {palletPositions.map((palletPos, palletIdx) => {
+        const palletCartons = positionsForPallet(palletPos);
+        const centerOffset = centerOffsetFor(palletCartons);
+        const palletBase = palletPos.y - rawPalletDims.height / 2;
+
+        return (
+          <group
+            key={`pallet-${palletIdx}`}
+            position={[palletPos.x * scale, palletBase * scale, palletPos.z * scale]}
+            rotation={[0, palletPos.rotated ? Math.PI / 2 : 0, 0]}
+          >
+            {showPallets && (
+              <mesh 
+                position={[0, palletDims.height / 2, 0]}
+                castShadow
+                receiveShadow
+              >
+                <boxGeometry args={[palletDims.length, palletDims.height, palletDims.width]} />
+                <meshStandardMaterial color="#8b4513" />
+              </mesh>
+            )}
 
-        // Geometry dimensions in meters
-        const boxArgs = isRotated 
-          ? [cartonDims.width, cartonDims.height, cartonDims.length]  // WLH: width, height, length
-          : [cartonDims.length, cartonDims.height, cartonDims.width]; // LWH: length, height, width
+            {showCartons && palletCartons.map((cartonPos, cartonIndex) => {
+              // Footprint of the carton in its placed orientation (cm)
+              const rawDims = rawCartonDimsFor(cartonPos);
 
-        // Compute positions in cm relative to pallet center, then convert once to meters
-        const halfLengthCm = isRotated ? (rawCartonDims.width / 2) : (rawCartonDims.length / 2);
-        const halfWidthCm = isRotated ? (rawCartonDims.length / 2) : (rawCartonDims.width / 2);
+              // Compute positions in cm relative to pallet center, then convert once to meters
+              const position = [
+                (-rawPalletDims.length / 2 + centerOffset.x + cartonPos.x + rawDims.length / 2) * scale,
+                (rawPalletDims.height + cartonPos.z + rawDims.height / 2) * scale,
+                (-rawPalletDims.width / 2 + centerOffset.z + cartonPos.y + rawDims.width / 2) * scale
+              ];
 
+              return (
+                <CartonBox
+                  key={`carton-${palletIdx}-${cartonIndex}`}
+                  dims={rawDims}
+                  position={position}
+                  hue={hueFor(cartonPos)}
+                  scale={scale}
+                />
+              );
+            })}
+          </group>
+        );
+      })}
+      
+      {/* Loose cartons, measured from the front-left floor corner of the container */}
+      {showCartons && looseCartons.map((cartonPos, cartonIndex) => {
+        const rawDims = rawCartonDimsFor(cartonPos);
         const position = [
-          (palletPos.x + (-rawPalletDims.length / 2 + centerOffsetXcm + cartonPos.x + halfLengthCm)) * scale,
-          (rawPalletDims.height + cartonPos.z + rawCartonDims.height / 2) * scale,
-          (palletPos.z + (-rawPalletDims.width / 2 + centerOffsetZcm + cartonPos.y + halfWidthCm)) * scale
+          (-rawContainerDims.length / 2 + cartonPos.x + rawDims.length / 2) * scale,
+          (cartonPos.z + rawDims.height / 2) * scale,
+          (-rawContainerDims.width / 2 + cartonPos.y + rawDims.width / 2) * scale
         ];
 
-        // Log all positions for debugging
-        if (cartonIndex < 16) {
-          console.log(`Carton ${cartonIndex} layer ${cartonPos.layer} [${cartonPos.gridX},${cartonPos.gridY}]:`, {
-            original: { x: cartonPos.x, y: cartonPos.y, z: cartonPos.z },
-            worldMeters: position,
-            rotation: cartonPos.rotation,
-            fullObject: cartonPos
-          });
-        }
-
         return (
-          <mesh
-            key={`carton-${palletIdx}-${cartonIndex}`}
+          <CartonBox
+            key={`loose-${cartonIndex}`}
+            dims={rawDims}
             position={position}
-            rotation={[0, 0, 0]} // No rotation needed - geometry dimensions are already correct
-            castShadow
-            receiveShadow
-          >
-            <boxGeometry args={boxArgs} />
-            <meshStandardMaterial 
-              color={`hsl(${(cartonPos.gridX ?? 0) * 90}, 70%, 55%)`} // color by column to verify spread
-              transparent
-              opacity={0.85}
-            />
-            {/* Carton edges */}
-            <mesh>
-              <edgesGeometry args={[new THREE.BoxGeometry(...boxArgs)]} />
-              <lineBasicMaterial color="#374151" />
-            </mesh>
-          </mesh>
+            hue={hueFor(cartonPos)}
+            scale={scale}
+          />
         );
       })}
-        </group>
-      ))}
-      
+
       {/* Labels */}
       <Text
         position={[0, 5, 0]}
@@ -293,8 +321,36 @@ function PalletVisualization({ layout3D, cartonData, palletData, containerData,
         anchorX="center"
         anchorY="middle"
       >
-        Pallet Loading Visualization ({cartonPositions.length} cartons)
+        {layout3D.floorLoaded
+          ? `Floor Loading Visualization (${looseCartons.length} cartons)`
+          : `Pallet Loading Visualization (${palletPositions.length} pallets)`}
       </Text>
     </group>
   );
 }
+
+export function CartonBox({ dims, position, hue, scale }) {
+  // Geometry dimensions in meters (x: length, y: height, z: width)
+  const boxArgs = [dims.length * scale, dims.height * scale, dims.width * scale];
+
+  return (
+    <mesh
+      position={position}
+      rotation={[0, 0, 0]} // No rotation needed - geometry dimensions are already correct
+      castShadow
+      receiveShadow
+    >
+      <boxGeometry args={boxArgs} />
+      <meshStandardMaterial 
+        color={`hsl(${hue}, 70%, 55%)`}
+        transparent
+        opacity={0.85}
+      />
+      {/* Carton edges */}
+      <mesh>
+        <edgesGeometry args={[new THREE.BoxGeometry(...boxArgs)]} />
+        <lineBasicMaterial color="#374151" />
+      </mesh>
+    </mesh>
+  );
+}
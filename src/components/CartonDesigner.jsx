@@ -0,0 +1,186 @@
+import { useState } from 'react';
+import { Ruler } from 'lucide-react';
+import { FormField, SelectField } from './FormField';
+import { PALLET_PRESETS, CONTAINER_PRESETS } from '../lib/calculator';
+
+/**
+ * Carton designer: suggests carton sizes for a product unit, ranked by
+ * the units that fit in one container with the current pallet and container.
+ */
+export function CartonDesigner({ data, onChange, errors = {}, design, onRun, cartons, onApply, palletData, containerData }) {
+  const [targetId, setTargetId] = useState(cartons[0]?.id);
+  const target = cartons.find(carton => carton.id === targetId) || cartons[0];
+
+  const palletName = palletData.usePallets === false
+    ? 'floor loading (no pallets)'
+    : PALLET_PRESETS[palletData.preset]?.name || 'Custom Pallet';
+  const containerName = CONTAINER_PRESETS[containerData.preset]?.name || 'Custom Container';
+
+  return (
+    <div className="bg-card rounded-2xl shadow-sm border border-border/50 backdrop-blur-sm p-6 animate-fade-in-up">
+      <div className="flex items-center space-x-3 mb-6">
+        <div className="flex items-center justify-center w-12 h-12 bg-emerald-500/10 rounded-xl">
+          <Ruler className="w-6 h-6 text-emerald-600" />
+        </div>
+        <div>
+          <h2 className="text-xl font-semibold text-foreground">Carton Designer</h2>
+          <p className="text-sm text-muted-foreground">
+            Find the carton size that fits the most product units per container ({palletName}, {containerName})
+          </p>
+        </div>
+      </div>
+
+      <div className="p-4 bg-secondary/30 rounded-xl">
+        <div className="grid grid-cols-2 md:grid-cols-3 gap-4">
+          <FormField
+            label="Unit Length"
+            value={data.length}
+            onChange={(value) => onChange('length', value)}
+            error={errors.length}
+            type="number"
+            unit="cm"
+            min="0.1"
+            step="0.1"
+          />
+          <FormField
+            label="Unit Width"
+            value={data.width}
+            onChange={(value) => onChange('width', value)}
+            error={errors.width}
+            type="number"
+            unit="cm"
+            min="0.1"
+            step="0.1"
+          />
+          <FormField
+            label="Unit Height"
+            value={data.height}
+            onChange={(value) => onChange('height', value)}
+            error={errors.height}
+            type="number"
+            unit="cm"
+            min="0.1"
+            step="0.1"
+          />
+          <FormField
+            label="Unit Weight"
+            value={data.weight}
+            onChange={(value) => onChange('weight', value)}
+            error={errors.weight}
+            type="number"
+            unit="kg"
+            min="0.001"
+            step="0.001"
+          />
+          <FormField
+            label="Units per Carton"
+            value={data.unitsPerCarton}
+            onChange={(value) => onChange('unitsPerCarton', value)}
+            error={errors.unitsPerCarton}
+            type="number"
+            min="1"
+            max="500"
+            step="1"
+            tooltip="Every block arrangement of this many units is tried"
+          />
+          <FormField
+            label="Wall Allowance"
+            value={data.wallAllowance}
+            onChange={(value) => onChange('wallAllowance', value)}
+            error={errors.wallAllowance}
+            type="number"
+            unit="cm"
+            min="0"
+            max="5"
+            step="0.1"
+            tooltip="Board thickness and air added on each side of the units"
+          />
+        </div>
+        <button
+          onClick={onRun}
+          className="mt-4 inline-flex items-center justify-center rounded-xl font-medium transition-all duration-200 ease-out bg-primary text-primary-foreground hover:bg-primary/90 px-6 py-2 text-sm"
+        >
+          Suggest Cartons
+        </button>
+      </div>
+
+      {design && (
+        <div className="mt-6">
+          {design.suggestions.length === 0 ? (
+            <p className="text-sm text-muted-foreground">
+              None of the {design.evaluated} carton sizes fits this pallet and container.
+            </p>
+          ) : (
+            <>
+              <div className="flex items-end justify-between mb-3">
+                <p className="text-xs text-muted-foreground">
+                  Best {design.suggestions.length} of {design.evaluated} carton sizes, by units per container
+                </p>
+                {cartons.length > 1 && (
+                  <div className="w-48">
+                    <SelectField
+                      label="Apply to"
+                      value={target.id}
+                      onChange={setTargetId}
+                      options={cartons.map(carton => ({ value: carton.id, label: carton.sku || carton.id }))}
+                    />
+                  </div>
+                )}
+              </div>
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-muted-foreground border-b border-border">
+                      <th className="py-2 pr-4 font-medium">Carton (L × W × H)</th>
+                      <th className="py-2 pr-4 font-medium">Units (L × W × H)</th>
+                      <th className="py-2 pr-4 font-medium text-right">Weight</th>
+                      {palletData.usePallets !== false && (
+                        <>
+                          <th className="py-2 pr-4 font-medium text-right">Cartons / pallet</th>
+                          <th className="py-2 pr-4 font-medium text-right">Pallets / container</th>
+                        </>
+                      )}
+                      <th className="py-2 pr-4 font-medium text-right">Units / container</th>
+                      <th className="py-2 font-medium"></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {design.suggestions.map((suggestion, index) => (
+                      <tr key={index} className="border-b border-border/50">
+                        <td className="py-2 pr-4 font-medium">
+                          {suggestion.carton.length} × {suggestion.carton.width} × {suggestion.carton.height} cm
+                        </td>
+                        <td className="py-2 pr-4">
+                          {suggestion.arrangement.along} × {suggestion.arrangement.across} × {suggestion.arrangement.up}
+                          {suggestion.arrangement.orientation !== 'LWH' && (
+                            <span className="text-muted-foreground"> ({suggestion.arrangement.orientation})</span>
+                          )}
+                        </td>
+                        <td className="py-2 pr-4 text-right">{suggestion.carton.weight} kg</td>
+                        {palletData.usePallets !== false && (
+                          <>
+                            <td className="py-2 pr-4 text-right">{suggestion.cartonsPerPallet}</td>
+                            <td className="py-2 pr-4 text-right">{suggestion.palletsPerContainer}</td>
+                          </>
+                        )}
+                        <td className="py-2 pr-4 text-right font-medium">{suggestion.unitsPerContainer}</td>
+                        <td className="py-2 text-right">
+                          <button
+                            onClick={() => onApply(target.id, suggestion)}
+                            className="rounded-lg px-3 py-1 text-xs font-medium bg-secondary text-secondary-foreground hover:bg-secondary/80 transition-all duration-200 ease-out"
+                          >
+                            Use for {target.sku || 'carton'}
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
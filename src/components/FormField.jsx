@@ -63,6 +63,21 @@ export function FormField({
   );
 }
 
+/**
+ * Split select options into runs by their optional `group`, keeping the order
+ */
+function groupOptions(options) {
+  return options.reduce((runs, option) => {
+    const last = runs[runs.length - 1];
+    if (last && last.group === option.group) {
+      last.options.push(option);
+    } else {
+      runs.push({ group: option.group, options: [option] });
+    }
+    return runs;
+  }, []);
+}
+
 export function SelectField({ 
   label, 
   value, 
@@ -98,10 +113,20 @@ export function SelectField({
           backgroundImage: `url("data:image/svg+xml,%3csvg xmlns='http://www.w3.org/2000/svg' fill='none' viewBox='0 0 20 20'%3e%3cpath stroke='%236b7280' stroke-linecap='round' stroke-linejoin='round' stroke-width='1.5' d='m6 8 4 4 4-4'/%3e%3c/svg%3e")`
         }}
       >
-        {options.map((option) => (
-          <option key={option.value} value={option.value}>
-            {option.label}
-          </option>
+        {groupOptions(options).map(({ group, options: grouped }) => (
+          group ? (
+            <optgroup key={group} label={group}>
+              {grouped.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </optgroup>
+          ) : grouped.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))
         ))}
       </select>
       
@@ -0,0 +1,89 @@
+import { useState } from 'react';
+import { Layers3 } from 'lucide-react';
+import { SelectField } from './FormField';
+import { LayoutThumbnail } from './3d/LayoutThumbnail';
+
+/**
+ * Ranked alternative stacks of a carton type, side by side.
+ * Picking one rebuilds the pallets and container plan with it.
+ */
+export function LayoutAlternatives({ skus, cartons, palletData, onChoose }) {
+  const choosable = skus.filter(sku => sku.alternatives?.length > 1);
+  const [shownSku, setShownSku] = useState(choosable[0]?.sku);
+
+  if (choosable.length === 0) return null;
+
+  const sku = choosable.find(entry => entry.sku === shownSku) || choosable[0];
+  const carton = cartons.find(entry => entry.sku === sku.sku) || cartons[0];
+
+  return (
+    <div className="bg-card rounded-2xl shadow-sm border border-border/50 backdrop-blur-sm p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-semibold text-foreground flex items-center">
+          <Layers3 className="w-5 h-5 mr-2" />
+          Alternative Layouts
+        </h2>
+        {choosable.length > 1 && (
+          <div className="w-48">
+            <SelectField
+              label="Carton type"
+              value={sku.sku}
+              onChange={setShownSku}
+              options={choosable.map(entry => ({ value: entry.sku, label: entry.sku }))}
+            />
+          </div>
+        )}
+      </div>
+      {sku.selection && (
+        <p className="text-xs text-muted-foreground mb-4">{sku.selection.reason}</p>
+      )}
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-5 gap-4">
+        {sku.alternatives.map((alternative, index) => {
+          const inUse = index === sku.choice;
+          return (
+            <div
+              key={`${sku.sku}-${index}`}
+              className={`p-3 rounded-xl border ${inUse ? 'border-primary ring-2 ring-primary/30' : 'border-border'}`}
+            >
+              <LayoutThumbnail
+                cartonPositions={alternative.cartonPositions}
+                carton={carton}
+                palletData={palletData}
+              />
+              <div className="mt-3 space-y-1 text-xs">
+                <div className="flex items-center justify-between">
+                  <span className="font-medium text-sm text-foreground">{alternative.label}</span>
+                  {index === 0 && <span className="text-primary font-medium">Best</span>}
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-muted-foreground">Cartons per pallet:</span>
+                  <span className="font-medium">{alternative.totalCartons}</span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-muted-foreground">Layers:</span>
+                  <span className="font-medium">{alternative.maxLayers}</span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-muted-foreground">Interlocked:</span>
+                  <span className="font-medium">{(alternative.stability * 100).toFixed(0)}%</span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-muted-foreground">Pallets needed:</span>
+                  <span className="font-medium">{alternative.palletsNeeded}</span>
+                </div>
+              </div>
+              <button
+                onClick={() => onChoose(sku.id ?? sku.sku, index)}
+                disabled={inUse}
+                className="mt-3 w-full rounded-lg px-3 py-2 text-xs font-medium transition-all duration-200 ease-out bg-secondary text-secondary-foreground hover:bg-secondary/80 disabled:bg-primary disabled:text-primary-foreground"
+              >
+                {inUse ? 'In use' : 'Use this layout'}
+              </button>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,186 @@
+import { useState } from 'react';
+import { FolderOpen, Copy, Trash2, History } from 'lucide-react';
+import { FormField } from './FormField';
+import { compareVersions, findVersion, isOutdated, latestVersion } from '../lib/plan-store';
+
+/**
+ * Saved load plans: save the current plan as a new version (or a new plan),
+ * reopen any version, duplicate, delete and compare two versions.
+ */
+export function LoadPlans({ plans, currentPlan, canSave, onSave, onOpen, onDuplicate, onDelete }) {
+  const [name, setName] = useState('');
+  const [note, setNote] = useState('');
+  const [expanded, setExpanded] = useState(null);
+  const [compared, setCompared] = useState([]); // Up to two { id, number }
+
+  const current = currentPlan && plans.plans.find(plan => plan.id === currentPlan.id);
+
+  const save = (asNew) => {
+    onSave(name, note, asNew);
+    setName('');
+    setNote('');
+  };
+
+  const toggleCompare = (id, number) => {
+    setCompared(prev => {
+      const picked = prev.some(entry => entry.id === id && entry.number === number);
+      if (picked) return prev.filter(entry => !(entry.id === id && entry.number === number));
+      return [...prev, { id, number }].slice(-2);
+    });
+  };
+
+  const comparison = compared.length === 2
+    ? compared.map(entry => findVersion(plans, entry.id, entry.number)).filter(Boolean)
+    : [];
+
+  const describe = (version) => version.summary
+    ? `${version.summary.containersUsed} containers, ${version.summary.palletsUsed} pallets, ${version.summary.efficiency.toFixed(1)}% placed`
+    : 'Not calculated';
+
+  const buttonClass = 'inline-flex items-center rounded-lg px-3 py-1 text-xs font-medium bg-secondary text-secondary-foreground hover:bg-secondary/80 transition-all duration-200 ease-out';
+
+  return (
+    <div className="bg-card rounded-2xl shadow-sm border border-border/50 backdrop-blur-sm p-6 animate-fade-in-up">
+      <h2 className="text-xl font-semibold text-foreground mb-1 flex items-center">
+        <FolderOpen className="w-5 h-5 mr-2" />
+        Load Plans
+      </h2>
+      <p className="text-sm text-muted-foreground mb-4">
+        {current
+          ? `Working on ${current.name}, version ${currentPlan.number}`
+          : 'Plans are saved in this browser with their version history'}
+      </p>
+
+      {canSave && (
+        <div className="p-4 bg-secondary/30 rounded-xl mb-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <FormField
+              label="Plan Name"
+              value={name}
+              onChange={setName}
+              placeholder={current?.name ?? 'Untitled plan'}
+            />
+            <FormField
+              label="Version Note"
+              value={note}
+              onChange={setNote}
+              placeholder="What changed"
+            />
+          </div>
+          <div className="mt-4 flex space-x-2">
+            {current && (
+              <button
+                onClick={() => save(false)}
+                className="inline-flex items-center justify-center rounded-xl font-medium transition-all duration-200 ease-out bg-primary text-primary-foreground hover:bg-primary/90 px-6 py-2 text-sm"
+              >
+                Save as Version {latestVersion(current).number + 1}
+              </button>
+            )}
+            <button
+              onClick={() => save(true)}
+              className={`inline-flex items-center justify-center rounded-xl font-medium transition-all duration-200 ease-out px-6 py-2 text-sm ${current ? 'bg-secondary text-secondary-foreground hover:bg-secondary/80' : 'bg-primary text-primary-foreground hover:bg-primary/90'}`}
+            >
+              Save as New Plan
+            </button>
+          </div>
+        </div>
+      )}
+
+      {plans.plans.length === 0 ? (
+        <p className="text-sm text-muted-foreground">No saved plans yet.</p>
+      ) : (
+        <ul className="divide-y divide-border/50">
+          {plans.plans.map(plan => {
+            const latest = latestVersion(plan);
+            return (
+              <li key={plan.id} className="py-3">
+                <div className="flex items-start justify-between text-sm">
+                  <div>
+                    <span className="font-medium">{plan.name}</span>
+                    <span className="ml-2 text-xs text-muted-foreground">
+                      v{latest.number} · {new Date(latest.savedAt).toLocaleString()}
+                    </span>
+                    {isOutdated(latest) && (
+                      <span className="ml-2 text-xs text-amber-600">recalculated when opened</span>
+                    )}
+                    <p className="text-xs text-muted-foreground">{describe(latest)}</p>
+                  </div>
+                  <div className="flex space-x-2">
+                    <button onClick={() => onOpen(plan.id)} className={buttonClass}>Open</button>
+                    <button
+                      onClick={() => setExpanded(expanded === plan.id ? null : plan.id)}
+                      aria-label={`Versions of ${plan.name}`}
+                      className={buttonClass}
+                    >
+                      <History className="w-3 h-3" />
+                    </button>
+                    <button onClick={() => onDuplicate(plan.id)} aria-label={`Duplicate ${plan.name}`} className={buttonClass}>
+                      <Copy className="w-3 h-3" />
+                    </button>
+                    <button
+                      onClick={() => onDelete(plan.id)}
+                      aria-label={`Delete ${plan.name}`}
+                      className="inline-flex items-center rounded-lg px-3 py-1 text-xs text-muted-foreground hover:text-destructive hover:bg-destructive/10 transition-all duration-200 ease-out"
+                    >
+                      <Trash2 className="w-3 h-3" />
+                    </button>
+                  </div>
+                </div>
+
+                {expanded === plan.id && (
+                  <ul className="mt-2 ml-4 space-y-1 text-xs">
+                    {[...plan.versions].reverse().map(version => (
+                      <li key={version.number} className="flex items-center justify-between">
+                        <label className="flex items-center space-x-2">
+                          <input
+                            type="checkbox"
+                            checked={compared.some(entry => entry.id === plan.id && entry.number === version.number)}
+                            onChange={() => toggleCompare(plan.id, version.number)}
+                          />
+                          <span className="font-medium">v{version.number}</span>
+                          <span className="text-muted-foreground">
+                            {new Date(version.savedAt).toLocaleString()} · {describe(version)}
+                            {version.note && ` · ${version.note}`}
+                          </span>
+                        </label>
+                        <button onClick={() => onOpen(plan.id, version.number)} className={buttonClass}>Open</button>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {comparison.length === 2 && (
+        <div className="mt-4 overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-muted-foreground border-b border-border">
+                <th className="py-2 pr-4 font-medium"></th>
+                {comparison.map(({ plan, version }) => (
+                  <th key={`${plan.id}-${version.number}`} className="py-2 pr-4 font-medium text-right">
+                    {plan.name} v{version.number}
+                  </th>
+                ))}
+                <th className="py-2 font-medium text-right">Difference</th>
+              </tr>
+            </thead>
+            <tbody>
+              {compareVersions(comparison[0].version, comparison[1].version).map(row => (
+                <tr key={row.label} className="border-b border-border/50">
+                  <td className="py-2 pr-4 text-muted-foreground">{row.label}</td>
+                  <td className={`py-2 pr-4 text-right ${row.better === 'a' ? 'text-green-600 font-medium' : ''}`}>{row.a ?? '—'}</td>
+                  <td className={`py-2 pr-4 text-right ${row.better === 'b' ? 'text-green-600 font-medium' : ''}`}>{row.b ?? '—'}</td>
+                  <td className="py-2 text-right">{row.difference == null ? '—' : `${row.difference > 0 ? '+' : ''}${row.difference}`}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
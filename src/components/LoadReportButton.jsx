@@ -0,0 +1,28 @@
+import { FileDown } from 'lucide-react';
+import { buildLoadReportPdf } from '../lib/load-report-pdf';
+
+/**
+ * Downloads the printable PDF report of a result
+ */
+export function LoadReportButton({ report }) {
+  const download = () => {
+    const createdAt = new Date();
+    const bytes = buildLoadReportPdf(report, { createdAt });
+    const url = URL.createObjectURL(new Blob([bytes], { type: 'application/pdf' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `load-report-${createdAt.toISOString().slice(0, 10)}.pdf`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <button
+      onClick={download}
+      className="inline-flex items-center rounded-lg px-3 py-1 text-xs font-medium bg-secondary text-secondary-foreground hover:bg-secondary/80 transition-all duration-200 ease-out"
+    >
+      <FileDown className="w-3 h-3 mr-1" />
+      PDF Report
+    </button>
+  );
+}
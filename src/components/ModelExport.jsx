@@ -0,0 +1,64 @@
+import { useState } from 'react';
+import { Box } from 'lucide-react';
+import { SelectField } from './FormField';
+import { MODEL_FORMATS, exportLoadModel, modelExportTargets } from '../lib/load-model-export';
+
+/**
+ * Download a container or pallet of the result as a glTF/GLB or STL model
+ */
+export function ModelExport({ report }) {
+  const targets = modelExportTargets(report);
+  const [target, setTarget] = useState(targets[0]?.value);
+  const [busy, setBusy] = useState(null);
+  const [error, setError] = useState(null);
+  const selected = targets.some(option => option.value === target) ? target : targets[0]?.value;
+
+  const download = async (format) => {
+    setBusy(format);
+    setError(null);
+    try {
+      const { data, fileName, type } = await exportLoadModel(report, format, selected);
+      const url = URL.createObjectURL(new Blob([data], { type }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileName;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (exportError) {
+      console.error('Model export error:', exportError);
+      setError(`The model could not be exported: ${exportError.message}`);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  if (targets.length === 0) return null;
+
+  return (
+    <div className="mt-4 p-4 bg-secondary/30 rounded-xl">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 items-end">
+        <SelectField
+          label="Export Model"
+          value={selected}
+          onChange={setTarget}
+          options={targets}
+          tooltip="Built from the plan; cartons are named by SKU and number"
+        />
+        <div className="flex flex-wrap gap-2 pb-1">
+          {Object.entries(MODEL_FORMATS).map(([format, { name }]) => (
+            <button
+              key={format}
+              onClick={() => download(format)}
+              disabled={busy !== null}
+              className="inline-flex items-center rounded-lg px-3 py-1 text-xs font-medium bg-secondary text-secondary-foreground hover:bg-secondary/80 transition-all duration-200 ease-out disabled:opacity-50"
+            >
+              <Box className="w-3 h-3 mr-1" />
+              {busy === format ? 'Exporting…' : name}
+            </button>
+          ))}
+        </div>
+      </div>
+      {error && <p className="mt-2 text-xs text-destructive">{error}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,169 @@
+import { useRef, useState } from 'react';
+import { FileSpreadsheet, Upload } from 'lucide-react';
+import { SelectField } from './FormField';
+import {
+  PACKING_LIST_FIELDS,
+  checkPackingList,
+  guessColumnMapping,
+  readPackingList
+} from '../lib/packing-list';
+
+const NOT_MAPPED = '';
+
+/**
+ * Packing list upload for the carton step: map the file's columns to
+ * carton fields, review the checked rows and replace the carton types.
+ */
+export function PackingListImport({ onImport }) {
+  const [list, setList] = useState(null); // { fileName, headers, rows }
+  const [mapping, setMapping] = useState({});
+  const [message, setMessage] = useState(null);
+  const fileInput = useRef(null);
+
+  const upload = async (event) => {
+    const [file] = event.target.files;
+    event.target.value = '';
+    if (!file) return;
+    try {
+      const { headers, rows } = await readPackingList(file);
+      setList({ fileName: file.name, headers, rows });
+      setMapping(guessColumnMapping(headers));
+      setMessage(null);
+    } catch (error) {
+      setList(null);
+      setMessage({ error: true, text: `${file.name} could not be read: ${error.message}` });
+    }
+  };
+
+  const checked = list && checkPackingList(list.rows, mapping);
+  const ready = checked && checked.missing.length === 0 && checked.validCount === checked.rows.length;
+
+  const importRows = () => {
+    onImport(checked.rows.map(row => row.values));
+    setMessage({ error: false, text: `Imported ${checked.rows.length} carton types from ${list.fileName}` });
+    setList(null);
+  };
+
+  const columnOptions = [
+    { value: NOT_MAPPED, label: 'Not in file' },
+    ...(list?.headers ?? []).map((header, index) => ({ value: String(index), label: header || `Column ${index + 1}` }))
+  ];
+  const previewFields = PACKING_LIST_FIELDS.filter(({ key }) => key !== 'noStack');
+
+  return (
+    <div className="bg-card rounded-2xl shadow-sm border border-border/50 backdrop-blur-sm p-6 animate-fade-in-up">
+      <div className="flex items-start justify-between mb-4">
+        <div>
+          <h2 className="text-xl font-semibold text-foreground flex items-center">
+            <FileSpreadsheet className="w-5 h-5 mr-2" />
+            Import Packing List
+          </h2>
+          <p className="text-sm text-muted-foreground">
+            CSV or XLSX with a header row; the imported rows replace the carton types above
+          </p>
+        </div>
+        <button
+          onClick={() => fileInput.current?.click()}
+          className="inline-flex items-center rounded-lg px-3 py-1 text-xs font-medium bg-secondary text-secondary-foreground hover:bg-secondary/80 transition-all duration-200 ease-out"
+        >
+          <Upload className="w-3 h-3 mr-1" />
+          Upload
+        </button>
+        <input
+          ref={fileInput}
+          type="file"
+          accept=".csv,.tsv,.txt,.xlsx,text/csv,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+          className="hidden"
+          onChange={upload}
+        />
+      </div>
+
+      {message && (
+        <p className={`text-xs ${message.error ? 'text-destructive' : 'text-muted-foreground'}`}>{message.text}</p>
+      )}
+
+      {checked && (
+        <>
+          <div className="p-4 bg-secondary/30 rounded-xl">
+            <h3 className="text-sm font-medium text-foreground mb-3">Columns of {list.fileName}</h3>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+              {PACKING_LIST_FIELDS.map(({ key, label, required }) => (
+                <SelectField
+                  key={key}
+                  label={label}
+                  value={mapping[key] == null ? NOT_MAPPED : String(mapping[key])}
+                  onChange={(value) => setMapping(prev => ({ ...prev, [key]: value === NOT_MAPPED ? null : Number(value) }))}
+                  options={columnOptions}
+                  required={required}
+                  tooltip={key === 'noStack' ? 'Rows marked yes, x, 1 or true get a max load on top of 0 kg' : undefined}
+                />
+              ))}
+            </div>
+          </div>
+
+          {checked.missing.length > 0 && (
+            <div className="mt-4 p-4 bg-amber-50 dark:bg-amber-950/20 rounded-xl border border-amber-200 dark:border-amber-800">
+              <span className="text-sm font-medium text-amber-900 dark:text-amber-100">
+                Choose a column for: {checked.missing.join(', ')}
+              </span>
+            </div>
+          )}
+
+          <div className="mt-4 max-h-80 overflow-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-muted-foreground border-b border-border">
+                  <th className="py-2 pr-4 font-medium">Line</th>
+                  {previewFields.map(({ key, label }) => (
+                    <th key={key} className="py-2 pr-4 font-medium">{label}</th>
+                  ))}
+                  <th className="py-2 font-medium">Problems</th>
+                </tr>
+              </thead>
+              <tbody>
+                {checked.rows.map(row => (
+                  <tr key={row.line} className="border-b border-border/50">
+                    <td className="py-2 pr-4 text-muted-foreground">{row.line}</td>
+                    {previewFields.map(({ key }) => (
+                      <td
+                        key={key}
+                        title={row.errors[key]}
+                        className={`py-2 pr-4 ${row.errors[key] ? 'bg-destructive/10 text-destructive font-medium' : ''}`}
+                      >
+                        {row.values[key] || '—'}
+                      </td>
+                    ))}
+                    <td className="py-2 text-xs text-destructive">
+                      {Object.values(row.errors).join('; ')}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="mt-4 flex items-center space-x-2">
+            <button
+              onClick={importRows}
+              disabled={!ready}
+              className="inline-flex items-center justify-center rounded-xl font-medium transition-all duration-200 ease-out bg-primary text-primary-foreground hover:bg-primary/90 px-6 py-2 text-sm disabled:opacity-50 disabled:pointer-events-none"
+            >
+              Replace Carton Types ({checked.rows.length})
+            </button>
+            <button
+              onClick={() => setList(null)}
+              className="inline-flex items-center justify-center rounded-xl font-medium transition-all duration-200 ease-out bg-secondary text-secondary-foreground hover:bg-secondary/80 px-6 py-2 text-sm"
+            >
+              Cancel
+            </button>
+            {!ready && checked.missing.length === 0 && (
+              <span className="text-xs text-muted-foreground">
+                {checked.rows.length - checked.validCount} of {checked.rows.length} rows need fixing in the file
+              </span>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
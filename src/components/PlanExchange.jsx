@@ -0,0 +1,110 @@
+import { useRef } from 'react';
+import { ArrowLeftRight, Download, Upload } from 'lucide-react';
+
+/**
+ * Load plan files for a WMS or TMS: import a JSON or XML plan and export
+ * the current result in either variant (see docs/PLAN_EXCHANGE.md)
+ */
+export function PlanExchange({ canExport, onExport, onImport, outcome, onDismiss }) {
+  const fileInput = useRef(null);
+
+  const exportFile = (format) => {
+    const text = onExport(format);
+    if (!text) return;
+    const type = format === 'xml' ? 'application/xml' : 'application/json';
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `load-plan-${new Date().toISOString().slice(0, 10)}.${format}`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const importFile = async (event) => {
+    const [file] = event.target.files;
+    event.target.value = '';
+    if (!file) return;
+    onImport(await file.text());
+  };
+
+  const buttonClass = 'inline-flex items-center rounded-lg px-3 py-1 text-xs font-medium bg-secondary text-secondary-foreground hover:bg-secondary/80 transition-all duration-200 ease-out';
+
+  return (
+    <div className="bg-card rounded-2xl shadow-sm border border-border/50 backdrop-blur-sm p-6 animate-fade-in-up">
+      <div className="flex items-start justify-between mb-4">
+        <div>
+          <h2 className="text-xl font-semibold text-foreground flex items-center">
+            <ArrowLeftRight className="w-5 h-5 mr-2" />
+            Plan Files
+          </h2>
+          <p className="text-sm text-muted-foreground mt-1">
+            Exchange load plans with a WMS or TMS as JSON or XML
+          </p>
+        </div>
+        <div className="flex space-x-2">
+          <button onClick={() => fileInput.current?.click()} className={buttonClass}>
+            <Upload className="w-3 h-3 mr-1" />
+            Import
+          </button>
+          {canExport && (
+            <>
+              <button onClick={() => exportFile('json')} className={buttonClass}>
+                <Download className="w-3 h-3 mr-1" />
+                JSON
+              </button>
+              <button onClick={() => exportFile('xml')} className={buttonClass}>
+                <Download className="w-3 h-3 mr-1" />
+                XML
+              </button>
+            </>
+          )}
+          <input
+            ref={fileInput}
+            type="file"
+            accept="application/json,application/xml,text/xml,.json,.xml"
+            className="hidden"
+            onChange={importFile}
+          />
+        </div>
+      </div>
+
+      {outcome?.error && (
+        <div className="p-4 bg-red-50 dark:bg-red-950/20 rounded-xl border border-red-200 dark:border-red-800">
+          <div className="flex items-start justify-between">
+            <div>
+              <span className="text-sm font-medium text-red-900 dark:text-red-100">
+                The plan file could not be opened
+              </span>
+              <p className="text-xs text-red-700 dark:text-red-200 mt-1">{outcome.error}</p>
+            </div>
+            <button onClick={onDismiss} className="text-xs font-medium text-red-700 dark:text-red-200 hover:underline">
+              Dismiss
+            </button>
+          </div>
+        </div>
+      )}
+
+      {outcome?.differences?.length > 0 && (
+        <div className="p-4 bg-amber-50 dark:bg-amber-950/20 rounded-xl border border-amber-200 dark:border-amber-800">
+          <div className="flex items-start justify-between">
+            <div>
+              <span className="text-sm font-medium text-amber-900 dark:text-amber-100">
+                The recalculated plan differs from the file
+              </span>
+              <ul className="text-xs text-amber-700 dark:text-amber-200 mt-1 space-y-1">
+                {outcome.differences.map(difference => <li key={difference}>{difference}</li>)}
+              </ul>
+            </div>
+            <button onClick={onDismiss} className="text-xs font-medium text-amber-700 dark:text-amber-200 hover:underline">
+              Dismiss
+            </button>
+          </div>
+        </div>
+      )}
+
+      {outcome?.differences?.length === 0 && (
+        <p className="text-xs text-muted-foreground">The imported plan was reproduced exactly.</p>
+      )}
+    </div>
+  );
+}
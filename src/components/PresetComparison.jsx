@@ -0,0 +1,144 @@
+import { useState } from 'react';
+import { Loader2, Ship } from 'lucide-react';
+import { FormField, SelectField } from './FormField';
+import { CONTAINER_PRESETS } from '../lib/calculator';
+import { DEFAULT_CONTAINER_COSTS } from '../lib/preset-evaluator';
+
+/**
+ * Evaluate-all mode: the shipment on every pallet and container preset,
+ * cheapest or smallest combination first
+ */
+export function PresetComparison({ evaluation, onEvaluate, onApply }) {
+  const [basis, setBasis] = useState('cost');
+  const [isEvaluating, setIsEvaluating] = useState(false);
+  const [costs, setCosts] = useState(() => Object.fromEntries(
+    Object.entries(DEFAULT_CONTAINER_COSTS).map(([key, cost]) => [key, String(cost)])
+  ));
+
+  const basisOptions = [
+    { value: 'cost', label: 'Cheapest' },
+    { value: 'volume', label: 'Smallest Container Volume' }
+  ];
+
+  const runEvaluation = async () => {
+    setIsEvaluating(true);
+    try {
+      await onEvaluate(basis, Object.fromEntries(
+        Object.entries(costs).map(([key, cost]) => [key, parseFloat(cost) || 0])
+      ));
+    } finally {
+      setIsEvaluating(false);
+    }
+  };
+
+  const describeContainers = (containers) => containers
+    .map(entry => `${entry.count} × ${entry.name}`)
+    .join(' + ');
+
+  return (
+    <div className="bg-card rounded-2xl shadow-sm border border-border/50 backdrop-blur-sm p-6">
+      <h2 className="text-xl font-semibold text-foreground mb-1 flex items-center">
+        <Ship className="w-5 h-5 mr-2" />
+        Compare Pallets and Containers
+      </h2>
+      <p className="text-sm text-muted-foreground mb-4">
+        Runs this shipment on every pallet and container preset, including mixes of container sizes
+      </p>
+
+      <div className="p-4 bg-secondary/30 rounded-xl">
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+          <SelectField
+            label="Recommend"
+            value={basis}
+            onChange={setBasis}
+            options={basisOptions}
+          />
+          {Object.keys(costs).map(key => (
+            <FormField
+              key={key}
+              label={`${CONTAINER_PRESETS[key].name} Cost`}
+              value={costs[key]}
+              onChange={(value) => setCosts(prev => ({ ...prev, [key]: value }))}
+              type="number"
+              min="0"
+              step="1"
+              tooltip="Freight cost per container; the defaults are relative rates"
+            />
+          ))}
+        </div>
+        <button
+          onClick={runEvaluation}
+          disabled={isEvaluating}
+          className="mt-4 inline-flex items-center justify-center rounded-xl font-medium transition-all duration-200 ease-out disabled:opacity-50 disabled:pointer-events-none bg-primary text-primary-foreground hover:bg-primary/90 px-6 py-2 text-sm"
+        >
+          {isEvaluating ? (
+            <>
+              <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+              Evaluating...
+            </>
+          ) : (
+            'Evaluate All Presets'
+          )}
+        </button>
+      </div>
+
+      {evaluation && (
+        <div className="mt-6">
+          {evaluation.options.length === 0 ? (
+            <p className="text-sm text-muted-foreground">No preset combination carries the full quantity.</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-muted-foreground border-b border-border">
+                    <th className="py-2 pr-4 font-medium">Pallet</th>
+                    <th className="py-2 pr-4 font-medium">Containers</th>
+                    <th className="py-2 pr-4 font-medium text-right">Pallets</th>
+                    <th className="py-2 pr-4 font-medium text-right">Cost</th>
+                    <th className="py-2 pr-4 font-medium text-right">Volume</th>
+                    <th className="py-2 font-medium"></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {evaluation.options.map((option, index) => {
+                    const [main] = option.containers;
+                    return (
+                      <tr key={index} className={`border-b border-border/50 ${index === 0 ? 'bg-primary/5' : ''}`}>
+                        <td className="py-2 pr-4 font-medium">
+                          {option.palletName ?? 'No pallets'}
+                          {index === 0 && <span className="ml-2 text-xs text-primary">Recommended</span>}
+                        </td>
+                        <td className="py-2 pr-4">{describeContainers(option.containers)}</td>
+                        <td className="py-2 pr-4 text-right">{option.pallets || '—'}</td>
+                        <td className="py-2 pr-4 text-right">{option.cost.toLocaleString()}</td>
+                        <td className="py-2 pr-4 text-right">{option.volume.toFixed(1)} m³</td>
+                        <td className="py-2 text-right">
+                          {/* A plan loads one container type, so a mix cannot be applied */}
+                          {option.containers.length === 1 ? (
+                            <button
+                              onClick={() => onApply(option.pallet, main.type)}
+                              className="rounded-lg px-3 py-1 text-xs font-medium bg-secondary text-secondary-foreground hover:bg-secondary/80 transition-all duration-200 ease-out"
+                            >
+                              Use
+                            </button>
+                          ) : (
+                            <span
+                              className="text-xs text-muted-foreground"
+                              title="Plan each container type of the mix on its own"
+                            >
+                              Mix
+                            </span>
+                          )}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,148 @@
+import { useRef, useState } from 'react';
+import { BookMarked, Download, Upload, Trash2 } from 'lucide-react';
+import { FormField, SelectField } from './FormField';
+import { LIBRARY_KINDS } from '../lib/preset-library';
+
+/**
+ * Saved presets of one kind: save the current values with a name, tags
+ * and notes, remove entries, and import or export the whole library.
+ */
+export function PresetLibrary({ kind, entries, sources, onSave, onRemove, onImport, onExport }) {
+  const [details, setDetails] = useState({ name: '', tags: '', notes: '' });
+  const [sourceId, setSourceId] = useState(sources?.[0]?.value);
+  const [message, setMessage] = useState(null);
+  const fileInput = useRef(null);
+  const { name: kindName } = LIBRARY_KINDS[kind];
+  const source = sources?.find(option => option.value === sourceId) ?? sources?.[0];
+
+  const save = () => {
+    // A carton is saved under its SKU unless it is given a name
+    const name = details.name.trim() || (kind === 'cartons' ? source?.label ?? '' : '');
+    if (!name) {
+      setMessage({ error: true, text: 'Enter a name to save under' });
+      return;
+    }
+    onSave(kind, { ...details, name }, source?.value);
+    setMessage({ error: false, text: `Saved "${name}"` });
+    setDetails({ name: '', tags: '', notes: '' });
+  };
+
+  const exportFile = () => {
+    const url = URL.createObjectURL(new Blob([onExport()], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'palletizr-library.json';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const importFile = async (event) => {
+    const [file] = event.target.files;
+    event.target.value = '';
+    if (!file) return;
+    const result = onImport(await file.text());
+    setMessage(result.error
+      ? { error: true, text: `Import failed: ${result.error}` }
+      : { error: false, text: `Imported ${result.imported} entries` });
+  };
+
+  const describe = ({ values }) => [
+    `${values.length || '?'} × ${values.width || '?'} × ${values.height || '?'} cm`,
+    values.weight && `${values.weight} kg`,
+    values.weightCapacity && `${values.weightCapacity} kg payload`,
+    values.maxStackHeight && `stack ${values.maxStackHeight} cm`
+  ].filter(Boolean).join(', ');
+
+  return (
+    <div className="bg-card rounded-2xl shadow-sm border border-border/50 backdrop-blur-sm p-6 animate-fade-in-up">
+      <div className="flex items-start justify-between mb-4">
+        <h2 className="text-xl font-semibold text-foreground flex items-center">
+          <BookMarked className="w-5 h-5 mr-2" />
+          Saved {kindName}
+        </h2>
+        <div className="flex space-x-2">
+          <button
+            onClick={() => fileInput.current?.click()}
+            className="inline-flex items-center rounded-lg px-3 py-1 text-xs font-medium bg-secondary text-secondary-foreground hover:bg-secondary/80 transition-all duration-200 ease-out"
+          >
+            <Upload className="w-3 h-3 mr-1" />
+            Import
+          </button>
+          <button
+            onClick={exportFile}
+            className="inline-flex items-center rounded-lg px-3 py-1 text-xs font-medium bg-secondary text-secondary-foreground hover:bg-secondary/80 transition-all duration-200 ease-out"
+          >
+            <Download className="w-3 h-3 mr-1" />
+            Export
+          </button>
+          <input ref={fileInput} type="file" accept="application/json,.json" className="hidden" onChange={importFile} />
+        </div>
+      </div>
+
+      <div className="p-4 bg-secondary/30 rounded-xl">
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          {sources?.length > 1 && (
+            <SelectField
+              label="Carton Type"
+              value={source.value}
+              onChange={setSourceId}
+              options={sources}
+            />
+          )}
+          <FormField
+            label="Name"
+            value={details.name}
+            onChange={(value) => setDetails(prev => ({ ...prev, name: value }))}
+            placeholder={kind === 'cartons' ? source?.label : 'Name'}
+            tooltip="Saving under an existing name replaces that entry"
+          />
+          <FormField
+            label="Tags"
+            value={details.tags}
+            onChange={(value) => setDetails(prev => ({ ...prev, tags: value }))}
+            placeholder="export, fragile"
+            tooltip="Comma separated"
+          />
+          <FormField
+            label="Notes"
+            value={details.notes}
+            onChange={(value) => setDetails(prev => ({ ...prev, notes: value }))}
+          />
+        </div>
+        <button
+          onClick={save}
+          className="mt-4 inline-flex items-center justify-center rounded-xl font-medium transition-all duration-200 ease-out bg-primary text-primary-foreground hover:bg-primary/90 px-6 py-2 text-sm"
+        >
+          Save {kind === 'cartons' ? 'Carton' : `Current ${kind === 'pallets' ? 'Pallet' : 'Container'}`}
+        </button>
+        {message && (
+          <p className={`mt-2 text-xs ${message.error ? 'text-destructive' : 'text-muted-foreground'}`}>{message.text}</p>
+        )}
+      </div>
+
+      {entries.length > 0 && (
+        <ul className="mt-4 divide-y divide-border/50">
+          {entries.map(entry => (
+            <li key={entry.id} className="py-2 flex items-start justify-between text-sm">
+              <div>
+                <span className="font-medium">{entry.name}</span>
+                {entry.tags.map(tag => (
+                  <span key={tag} className="ml-2 rounded-full bg-secondary px-2 py-0.5 text-xs text-secondary-foreground">{tag}</span>
+                ))}
+                <p className="text-xs text-muted-foreground">{describe(entry)}</p>
+                {entry.notes && <p className="text-xs text-muted-foreground">{entry.notes}</p>}
+              </div>
+              <button
+                onClick={() => onRemove(kind, entry.id)}
+                aria-label={`Remove ${entry.name}`}
+                className="inline-flex items-center justify-center rounded-lg w-8 h-8 text-muted-foreground hover:text-destructive hover:bg-destructive/10 transition-all duration-200 ease-out"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
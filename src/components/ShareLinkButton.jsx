@@ -0,0 +1,44 @@
+import { useState } from 'react';
+import { Link2, Check } from 'lucide-react';
+import { SHARE_PARAM } from '../lib/share-link';
+
+/**
+ * Copies a link that opens the current calculation; shows the link when
+ * the clipboard is not available
+ */
+export function ShareLinkButton({ getLink }) {
+  const [copied, setCopied] = useState(false);
+  const [fallback, setFallback] = useState(null);
+
+  const share = async () => {
+    const url = `${window.location.origin}${window.location.pathname}?${SHARE_PARAM}=${getLink()}`;
+    try {
+      await navigator.clipboard.writeText(url);
+      setCopied(true);
+      setFallback(null);
+      setTimeout(() => setCopied(false), 2000);
+    } catch {
+      setFallback(url);
+    }
+  };
+
+  return (
+    <div className="flex flex-col items-end">
+      <button
+        onClick={share}
+        className="inline-flex items-center rounded-lg px-3 py-1 text-xs font-medium bg-secondary text-secondary-foreground hover:bg-secondary/80 transition-all duration-200 ease-out"
+      >
+        {copied ? <Check className="w-3 h-3 mr-1" /> : <Link2 className="w-3 h-3 mr-1" />}
+        {copied ? 'Link copied' : 'Copy Share Link'}
+      </button>
+      {fallback && (
+        <input
+          readOnly
+          value={fallback}
+          onFocus={(event) => event.target.select()}
+          className="mt-2 w-72 rounded-lg border border-border bg-input px-2 py-1 text-xs"
+        />
+      )}
+    </div>
+  );
+}
@@ -1,7 +1,17 @@
-import { FormField } from '../FormField';
-import { Package, Ruler, Weight, Hash } from 'lucide-react';
+import { FormField, SelectField } from '../FormField';
+import { Package, Ruler, Plus, Trash2 } from 'lucide-react';
+
+export function CartonStep({ cartons, onChange, onAdd, onRemove, errors = {}, saved = [], onLoadSaved }) {
+  const totals = cartons.reduce((acc, carton) => {
+    const quantity = parseInt(carton.quantity) || 0;
+    const volume = (parseFloat(carton.length) || 0) * (parseFloat(carton.width) || 0) * (parseFloat(carton.height) || 0);
+    return {
+      quantity: acc.quantity + quantity,
+      volume: acc.volume + volume * quantity / 1000000,
+      weight: acc.weight + (parseFloat(carton.weight) || 0) * quantity
+    };
+  }, { quantity: 0, volume: 0, weight: 0 });
 
-export function CartonStep({ data, onChange, errors = {} }) {
   return (
     <div className="bg-card rounded-2xl shadow-sm border border-border/50 backdrop-blur-sm p-6 animate-fade-in-up">
       <div className="flex items-center space-x-3 mb-6">
@@ -10,123 +20,55 @@ export function CartonStep({ data, onChange, errors = {} }) {
         </div>
         <div>
           <h2 className="text-xl font-semibold text-foreground">Carton Specifications</h2>
-          <p className="text-sm text-muted-foreground">Enter the dimensions and details of your cartons</p>
+          <p className="text-sm text-muted-foreground">Enter the dimensions and details of each carton type (SKU) in the shipment</p>
         </div>
       </div>
 
-      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-        <div className="space-y-4">
-          <FormField
-            label="Length"
-            value={data.length}
-            onChange={(value) => onChange('length', value)}
-            error={errors.length}
-            type="number"
-            placeholder="50"
-            unit="cm"
-            min="1"
-            max="500"
-            step="0.1"
-            required
-            tooltip="The longest dimension of your carton"
-          />
-
-          <FormField
-            label="Width"
-            value={data.width}
-            onChange={(value) => onChange('width', value)}
-            error={errors.width}
-            type="number"
-            placeholder="30"
-            unit="cm"
-            min="1"
-            max="500"
-            step="0.1"
-            required
-            tooltip="The width dimension of your carton"
-          />
-
-          <FormField
-            label="Height"
-            value={data.height}
-            onChange={(value) => onChange('height', value)}
-            error={errors.height}
-            type="number"
-            placeholder="25"
-            unit="cm"
-            min="1"
-            max="500"
-            step="0.1"
-            required
-            tooltip="The height dimension of your carton"
-          />
-        </div>
-
-        <div className="space-y-4">
-          <FormField
-            label="Weight per Carton"
-            value={data.weight}
-            onChange={(value) => onChange('weight', value)}
-            error={errors.weight}
-            type="number"
-            placeholder="15"
-            unit="kg"
-            min="0.1"
-            max="1000"
-            step="0.1"
-            required
-            tooltip="The weight of each individual carton"
+      <div className="space-y-4">
+        {cartons.map((carton) => (
+          <CartonTypeFields
+            key={carton.id}
+            carton={carton}
+            onChange={(field, value) => onChange(carton.id, field, value)}
+            onRemove={cartons.length > 1 ? () => onRemove(carton.id) : null}
+            errors={errors[carton.id]}
+            saved={saved}
+            onLoadSaved={(entryId) => onLoadSaved(carton.id, entryId)}
           />
+        ))}
 
-          <FormField
-            label="Total Quantity"
-            value={data.quantity}
-            onChange={(value) => onChange('quantity', value)}
-            error={errors.quantity}
-            type="number"
-            placeholder="200"
-            unit="pieces"
-            min="1"
-            max="10000"
-            step="1"
-            required
-            tooltip="Total number of cartons to be loaded"
-          />
+        <button
+          type="button"
+          onClick={onAdd}
+          className="w-full inline-flex items-center justify-center rounded-xl font-medium transition-all duration-200 ease-out focus:outline-none focus:ring-2 focus:ring-ring focus:ring-offset-2 active:scale-95 border-2 border-dashed border-border text-muted-foreground hover:text-foreground hover:border-primary/50 px-6 py-3"
+        >
+          <Plus className="w-4 h-4 mr-2" />
+          Add Carton Type
+        </button>
+      </div>
 
-          {/* Visual Preview */}
-          <div className="mt-6 p-4 bg-secondary/50 rounded-xl">
-            <h3 className="text-sm font-medium text-foreground mb-3 flex items-center">
-              <Ruler className="w-4 h-4 mr-2" />
-              Carton Preview
-            </h3>
-            <div className="grid grid-cols-2 gap-3 text-xs">
-              <div className="flex justify-between">
-                <span className="text-muted-foreground">Dimensions:</span>
-                <span className="font-medium">{data.length || '0'} × {data.width || '0'} × {data.height || '0'} cm</span>
-              </div>
-              <div className="flex justify-between">
-                <span className="text-muted-foreground">Volume:</span>
-                <span className="font-medium">
-                  {data.length && data.width && data.height 
-                    ? (parseFloat(data.length) * parseFloat(data.width) * parseFloat(data.height) / 1000).toFixed(1)
-                    : '0'
-                  } L
-                </span>
-              </div>
-              <div className="flex justify-between">
-                <span className="text-muted-foreground">Weight:</span>
-                <span className="font-medium">{data.weight || '0'} kg</span>
-              </div>
-              <div className="flex justify-between">
-                <span className="text-muted-foreground">Total Weight:</span>
-                <span className="font-medium">
-                  {data.weight && data.quantity 
-                    ? (parseFloat(data.weight) * parseInt(data.quantity)).toFixed(1)
-                    : '0'
-                  } kg
-                </span>
-              </div>
-            </div>
+      {/* Shipment Preview */}
+      <div className="mt-6 p-4 bg-secondary/50 rounded-xl">
+        <h3 className="text-sm font-medium text-foreground mb-3 flex items-center">
+          <Ruler className="w-4 h-4 mr-2" />
+          Shipment Preview
+        </h3>
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-3 text-xs">
+          <div className="flex justify-between">
+            <span className="text-muted-foreground">Carton Types:</span>
+            <span className="font-medium">{cartons.length}</span>
+          </div>
+          <div className="flex justify-between">
+            <span className="text-muted-foreground">Total Cartons:</span>
+            <span className="font-medium">{totals.quantity}</span>
+          </div>
+          <div className="flex justify-between">
+            <span className="text-muted-foreground">Total Volume:</span>
+            <span className="font-medium">{totals.volume.toFixed(2)} m³</span>
+          </div>
+          <div className="flex justify-between">
+            <span className="text-muted-foreground">Total Weight:</span>
+            <span className="font-medium">{totals.weight.toFixed(1)} kg</span>
           </div>
         </div>
       </div>
@@ -150,3 +92,160 @@ export function CartonStep({ data, onChange, errors = {} }) {
   );
 }
 
+
+function CartonTypeFields({ carton, onChange, onRemove, errors = {}, saved, onLoadSaved }) {
+  return (
+    <div className="p-4 bg-secondary/30 rounded-xl">
+      <div className="flex items-end space-x-3 mb-4">
+        <div className="flex-1">
+          <FormField
+            label="SKU / Name"
+            value={carton.sku}
+            onChange={(value) => onChange('sku', value)}
+            error={errors.sku}
+            placeholder="SKU-1"
+            tooltip="A name used to identify this carton type in the results"
+          />
+        </div>
+        {saved.length > 0 && (
+          <div className="flex-1">
+            <SelectField
+              label="Saved Carton"
+              value=""
+              onChange={(value) => value && onLoadSaved(value)}
+              options={[
+                { value: '', label: 'Load a saved carton…' },
+                ...saved.map(entry => ({
+                  value: entry.id,
+                  label: entry.tags.length > 0 ? `${entry.name} (${entry.tags.join(', ')})` : entry.name
+                }))
+              ]}
+            />
+          </div>
+        )}
+        {onRemove && (
+          <button
+            type="button"
+            onClick={onRemove}
+            aria-label={`Remove ${carton.sku || 'carton type'}`}
+            className="inline-flex items-center justify-center rounded-xl transition-all duration-200 ease-out focus:outline-none focus:ring-2 focus:ring-ring active:scale-95 text-muted-foreground hover:text-destructive hover:bg-destructive/10 w-11 h-11"
+          >
+            <Trash2 className="w-4 h-4" />
+          </button>
+        )}
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <FormField
+          label="Length"
+          value={carton.length}
+          onChange={(value) => onChange('length', value)}
+          error={errors.length}
+          type="number"
+          placeholder="50"
+          unit="cm"
+          min="1"
+          max="500"
+          step="0.1"
+          required
+          tooltip="The longest dimension of your carton"
+        />
+
+        <FormField
+          label="Width"
+          value={carton.width}
+          onChange={(value) => onChange('width', value)}
+          error={errors.width}
+          type="number"
+          placeholder="30"
+          unit="cm"
+          min="1"
+          max="500"
+          step="0.1"
+          required
+          tooltip="The width dimension of your carton"
+        />
+
+        <FormField
+          label="Height"
+          value={carton.height}
+          onChange={(value) => onChange('height', value)}
+          error={errors.height}
+          type="number"
+          placeholder="25"
+          unit="cm"
+          min="1"
+          max="500"
+          step="0.1"
+          required
+          tooltip="The height dimension of your carton"
+        />
+
+        <FormField
+          label="Weight per Carton"
+          value={carton.weight}
+          onChange={(value) => onChange('weight', value)}
+          error={errors.weight}
+          type="number"
+          placeholder="15"
+          unit="kg"
+          min="0.1"
+          max="1000"
+          step="0.1"
+          required
+          tooltip="The weight of each individual carton"
+        />
+
+        <FormField
+          label="Quantity"
+          value={carton.quantity}
+          onChange={(value) => onChange('quantity', value)}
+          error={errors.quantity}
+          type="number"
+          placeholder="200"
+          unit="pieces"
+          min="1"
+          max="10000"
+          step="1"
+          required
+          tooltip="Number of cartons of this type to be loaded"
+        />
+
+        <FormField
+          label="Max Load on Top"
+          value={carton.maxLoadOnTop}
+          onChange={(value) => onChange('maxLoadOnTop', value)}
+          error={errors.maxLoadOnTop}
+          type="number"
+          placeholder="No limit"
+          unit="kg"
+          min="0"
+          max="10000"
+          step="0.1"
+          tooltip="Weight one carton can carry on top without crushing; used when load bearing is considered"
+        />
+
+        <div className="flex flex-col justify-end text-xs pb-3 space-y-1">
+          <div className="flex justify-between">
+            <span className="text-muted-foreground">Volume:</span>
+            <span className="font-medium">
+              {carton.length && carton.width && carton.height 
+                ? (parseFloat(carton.length) * parseFloat(carton.width) * parseFloat(carton.height) / 1000).toFixed(1)
+                : '0'
+              } L
+            </span>
+          </div>
+          <div className="flex justify-between">
+            <span className="text-muted-foreground">Line Weight:</span>
+            <span className="font-medium">
+              {carton.weight && carton.quantity 
+                ? (parseFloat(carton.weight) * parseInt(carton.quantity)).toFixed(1)
+                : '0'
+              } kg
+            </span>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,12 +1,22 @@
 import { FormField, SelectField } from '../FormField';
-import { CONTAINER_PRESETS } from '../../lib/calculator';
+import { CONTAINER_PRESETS, containerRules } from '../../lib/calculator';
+import { EQUIPMENT_CATEGORIES } from '../../lib/equipment-catalogue';
+import { LIBRARY_PRESET_PREFIX } from '../../lib/preset-library';
 import { Container, Ship, Info } from 'lucide-react';
 
-export function ContainerStep({ data, onChange, errors = {} }) {
-  const presetOptions = Object.entries(CONTAINER_PRESETS).map(([key, preset]) => ({
-    value: key,
-    label: preset.name
-  }));
+export function ContainerStep({ data, onChange, errors = {}, saved = [] }) {
+  // Catalogue equipment grouped by category, custom, then the saved containers
+  const presetOptions = [
+    ...Object.entries(EQUIPMENT_CATEGORIES).flatMap(([category, { name }]) => (
+      Object.entries(CONTAINER_PRESETS)
+        .filter(([, preset]) => preset.category === category)
+        .map(([key, preset]) => ({ value: key, label: preset.name, group: name }))
+    )),
+    { value: 'custom', label: CONTAINER_PRESETS.custom.name },
+    ...saved.map(entry => ({ value: `${LIBRARY_PRESET_PREFIX}${entry.id}`, label: entry.name, group: 'Saved Containers' }))
+  ];
+  const preset = CONTAINER_PRESETS[data.preset];
+  const limits = containerRules(data.preset);
 
   return (
     <div className="bg-card rounded-2xl shadow-sm border border-border/50 backdrop-blur-sm p-6 animate-fade-in-up">
@@ -39,8 +49,8 @@ export function ContainerStep({ data, onChange, errors = {} }) {
             type="number"
             placeholder="1219.2"
             unit="cm"
-            min="500"
-            max="1500"
+            min={limits.length.min}
+            max={limits.length.max}
             step="0.1"
             required
             tooltip="Internal length of the container (usable space)"
@@ -54,8 +64,8 @@ export function ContainerStep({ data, onChange, errors = {} }) {
             type="number"
             placeholder="243.8"
             unit="cm"
-            min="200"
-            max="300"
+            min={limits.width.min}
+            max={limits.width.max}
             step="0.1"
             required
             tooltip="Internal width of the container (usable space)"
@@ -71,8 +81,8 @@ export function ContainerStep({ data, onChange, errors = {} }) {
             type="number"
             placeholder="259.1"
             unit="cm"
-            min="200"
-            max="300"
+            min={limits.height.min}
+            max={limits.height.max}
             step="0.1"
             required
             tooltip="Internal height of the container (usable space)"
@@ -86,13 +96,42 @@ export function ContainerStep({ data, onChange, errors = {} }) {
             type="number"
             placeholder="26000"
             unit="kg"
-            min="10000"
-            max="30000"
+            min={limits.weightCapacity.min}
+            max={limits.weightCapacity.max}
             step="100"
             required
             tooltip="Maximum payload weight the container can carry"
           />
 
+          <div className="grid grid-cols-2 gap-4">
+            <FormField
+              label="Door Width"
+              value={data.doorWidth}
+              onChange={(value) => onChange('doorWidth', value)}
+              error={errors.doorWidth}
+              type="number"
+              placeholder="234"
+              unit="cm"
+              min={limits.doorWidth.min}
+              max={limits.doorWidth.max}
+              step="0.1"
+              tooltip="Rear door opening; leave blank for top or side loading"
+            />
+            <FormField
+              label="Door Height"
+              value={data.doorHeight}
+              onChange={(value) => onChange('doorHeight', value)}
+              error={errors.doorHeight}
+              type="number"
+              placeholder="228"
+              unit="cm"
+              min={limits.doorHeight.min}
+              max={limits.doorHeight.max}
+              step="0.1"
+              tooltip="Every loaded pallet must pass under the door"
+            />
+          </div>
+
           {/* Container Preview */}
           <div className="mt-6 p-4 bg-secondary/50 rounded-xl">
             <h3 className="text-sm font-medium text-foreground mb-3 flex items-center">
@@ -128,6 +167,17 @@ export function ContainerStep({ data, onChange, errors = {} }) {
                 <span className="text-muted-foreground">Weight Limit:</span>
                 <span className="font-medium">{data.weightCapacity || '0'} kg</span>
               </div>
+              <div className="flex justify-between">
+                <span className="text-muted-foreground">Door Opening:</span>
+                <span className="font-medium">
+                  {data.doorWidth && data.doorHeight ? `${data.doorWidth} × ${data.doorHeight} cm` : 'Top or side loading'}
+                </span>
+              </div>
+              {preset?.contour && (
+                <p className="text-muted-foreground pt-1">
+                  Contoured unit: loads are planned in the largest box inside the contour
+                </p>
+              )}
             </div>
           </div>
         </div>
@@ -177,7 +227,8 @@ export function ContainerStep({ data, onChange, errors = {} }) {
             <h4 className="text-sm font-medium text-slate-900 dark:text-slate-100">Container Guidelines</h4>
             <ul className="text-xs text-slate-700 dark:text-slate-200 mt-1 space-y-1">
               <li>• Dimensions shown are internal usable space</li>
-              <li>• Consider door opening restrictions for loading</li>
+              <li>• Loaded pallets taller or wider than the door are flagged in the results</li>
+              <li>• Reefer sizes allow for the cooling unit and T-floor</li>
               <li>• Weight limits include container tare weight</li>
               <li>• High cube containers offer 30cm additional height</li>
             </ul>
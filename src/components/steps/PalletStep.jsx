@@ -1,12 +1,16 @@
 import { FormField, SelectField, CheckboxField } from '../FormField';
 import { PALLET_PRESETS } from '../../lib/calculator';
+import { LIBRARY_PRESET_PREFIX } from '../../lib/preset-library';
 import { Layers, Truck, Settings } from 'lucide-react';
 
-export function PalletStep({ data, onChange, errors = {} }) {
-  const presetOptions = Object.entries(PALLET_PRESETS).map(([key, preset]) => ({
-    value: key,
-    label: preset.name
-  }));
+export function PalletStep({ data, onChange, errors = {}, saved = [] }) {
+  const presetOptions = [
+    ...Object.entries(PALLET_PRESETS).map(([key, preset]) => ({
+      value: key,
+      label: preset.name
+    })),
+    ...saved.map(entry => ({ value: `${LIBRARY_PRESET_PREFIX}${entry.id}`, label: entry.name, group: 'Saved Pallets' }))
+  ];
 
   return (
     <div className="bg-card rounded-2xl shadow-sm border border-border/50 backdrop-blur-sm p-6 animate-fade-in-up">
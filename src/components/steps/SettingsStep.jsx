@@ -1,12 +1,28 @@
-import { CheckboxField, SelectField } from '../FormField';
-import { Settings, RotateCw, Weight, Layers3 } from 'lucide-react';
+import { CheckboxField, FormField, SelectField } from '../FormField';
+import { Settings, RotateCw, Weight, Layers3, Maximize, Scale, Boxes, Target } from 'lucide-react';
+
+export function SettingsStep({ data, onChange, errors = {} }) {
+  const optimizationGoalOptions = [
+    { value: 'maxCartons', label: 'Most Cartons per Pallet (Default)' },
+    { value: 'balanced', label: 'Balanced' },
+    { value: 'fewestContainers', label: 'Fewest Containers' },
+    { value: 'fewestPallets', label: 'Fewest Pallets' },
+    { value: 'maxStability', label: 'Most Stable Stack' },
+    { value: 'fewestPatterns', label: 'Fewest Layer Patterns' }
+  ];
 
-export function SettingsStep({ data, onChange }) {
   const stackingPatternOptions = [
     { value: 'auto', label: 'Auto-Optimize (Recommended)' },
     { value: 'simple', label: 'Simple Stacking' },
     { value: 'interlock', label: 'Interlocked Pattern' },
-    { value: 'column', label: 'Column Stacking' }
+    { value: 'column', label: 'Column Stacking' },
+    { value: 'pinwheel', label: 'Pinwheel Pattern' }
+  ];
+
+  const fillModeOptions = [
+    { value: 'layers', label: 'Complete Layers First' },
+    { value: 'pyramid', label: 'Pyramid (Centred Top Layer)' },
+    { value: 'even', label: 'Spread Evenly Across Pallets' }
   ];
 
   return (
@@ -22,6 +38,38 @@ export function SettingsStep({ data, onChange }) {
       </div>
 
       <div className="space-y-6">
+        {/* Optimization Goal */}
+        <div className="p-4 bg-secondary/30 rounded-xl">
+          <h3 className="text-sm font-medium text-foreground mb-4 flex items-center">
+            <Target className="w-4 h-4 mr-2" />
+            Optimization Goal
+          </h3>
+          <SelectField
+            label="Optimize For"
+            value={data.optimizationGoal}
+            onChange={(value) => onChange('optimizationGoal', value)}
+            options={optimizationGoalOptions}
+            tooltip="Every candidate stack is ranked by this goal; the results explain why the winner was chosen"
+          />
+          <div className="mt-4 grid grid-cols-1 md:grid-cols-2 gap-3 text-xs text-muted-foreground">
+            <div>
+              <span className="font-medium">Most cartons / fewest pallets:</span> Densest stack, ties go to the better-filled pallet cube
+            </div>
+            <div>
+              <span className="font-medium">Balanced:</span> Most stable stack within 5% of the best carton count (may load fewer cartons)
+            </div>
+            <div>
+              <span className="font-medium">Fewest containers:</span> Stack that ships the quantity in the fewest containers
+            </div>
+            <div>
+              <span className="font-medium">Most stable:</span> Highest share of interlocked cartons, even at a lower count
+            </div>
+            <div>
+              <span className="font-medium">Fewest layer patterns:</span> Layers that are all built the same way, simplest to load by hand
+            </div>
+          </div>
+        </div>
+
         {/* Rotation Settings */}
         <div className="p-4 bg-secondary/30 rounded-xl">
           <h3 className="text-sm font-medium text-foreground mb-4 flex items-center">
@@ -41,7 +89,7 @@ export function SettingsStep({ data, onChange }) {
               label="Prevent Vertical Rotation (This Side Up)"
               checked={data.preventVerticalRotation}
               onChange={(value) => onChange('preventVerticalRotation', value)}
-              description="Prevent cartons from being rotated vertically to maintain proper orientation"
+              description="Keep cartons upright. When off, cartons may also stand on their side or end if that fits more per pallet"
               tooltip="Enable this for fragile items or products with specific orientation requirements"
             />
           </div>
@@ -58,7 +106,7 @@ export function SettingsStep({ data, onChange }) {
               label="Consider Load Bearing Capacity"
               checked={data.considerLoadBearing}
               onChange={(value) => onChange('considerLoadBearing', value)}
-              description="Factor in the ability of cartons to support weight when stacking"
+              description="Limit layers so no carton carries more than its max load on top. Interlocked stacks count at reduced strength"
               tooltip="Important for fragile items or when stacking heavy cartons on lighter ones"
             />
           </div>
@@ -81,21 +129,164 @@ export function SettingsStep({ data, onChange }) {
           <div className="mt-4 text-xs text-muted-foreground">
             <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
               <div>
-                <span className="font-medium">Auto-Optimize:</span> Automatically selects the best pattern
+                <span className="font-medium">Auto-Optimize:</span> Tries every pattern and keeps the one that best meets the goal
               </div>
               <div>
                 <span className="font-medium">Simple:</span> Basic row-by-row stacking
               </div>
               <div>
-                <span className="font-medium">Interlock:</span> Alternating pattern for stability
+                <span className="font-medium">Interlock:</span> Alternate layers rotated 180° or mirrored for stability
               </div>
               <div>
                 <span className="font-medium">Column:</span> Vertical alignment for easy access
               </div>
+              <div>
+                <span className="font-medium">Pinwheel:</span> Blocks turned 90° around the centre, reversed each layer
+              </div>
             </div>
           </div>
         </div>
 
+        {/* Remainder Handling */}
+        <div className="p-4 bg-secondary/30 rounded-xl">
+          <SelectField
+            label="Partial Pallet Fill"
+            value={data.fillMode}
+            onChange={(value) => onChange('fillMode', value)}
+            options={fillModeOptions}
+            tooltip="How cartons that do not fill a whole pallet are stacked"
+          />
+          <div className="mt-4 grid grid-cols-1 md:grid-cols-3 gap-3 text-xs text-muted-foreground">
+            <div>
+              <span className="font-medium">Layers first:</span> Last pallet gets full layers, then one partial layer
+            </div>
+            <div>
+              <span className="font-medium">Pyramid:</span> Partial top layer kept in the middle of the stack
+            </div>
+            <div>
+              <span className="font-medium">Even:</span> Every pallet of a carton type carries the same amount
+            </div>
+          </div>
+        </div>
+
+        {/* Pallet Overhang */}
+        <div className="p-4 bg-secondary/30 rounded-xl">
+          <h3 className="text-sm font-medium text-foreground mb-4 flex items-center">
+            <Maximize className="w-4 h-4 mr-2" />
+            Pallet Overhang
+          </h3>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <FormField
+              label="Overhang per End"
+              value={data.overhangLength}
+              onChange={(value) => onChange('overhangLength', value)}
+              error={errors.overhangLength}
+              type="number"
+              placeholder="0"
+              unit="cm"
+              min="-10"
+              max="10"
+              step="0.5"
+              tooltip="How far cartons may extend past each end of the pallet length"
+            />
+            <FormField
+              label="Overhang per Side"
+              value={data.overhangWidth}
+              onChange={(value) => onChange('overhangWidth', value)}
+              error={errors.overhangWidth}
+              type="number"
+              placeholder="0"
+              unit="cm"
+              min="-10"
+              max="10"
+              step="0.5"
+              tooltip="How far cartons may extend past each side of the pallet width"
+            />
+          </div>
+          <p className="mt-3 text-xs text-muted-foreground">
+            Positive values allow overhang, negative values require underhang (cartons kept inside the pallet edge).
+          </p>
+        </div>
+
+        {/* Pallet Stacking */}
+        <div className="p-4 bg-secondary/30 rounded-xl">
+          <h3 className="text-sm font-medium text-foreground mb-4 flex items-center">
+            <Boxes className="w-4 h-4 mr-2" />
+            Pallet Stacking in Container
+          </h3>
+          <div className="space-y-4">
+            <CheckboxField
+              label="Pallets Are Stackable"
+              checked={data.stackablePallets}
+              onChange={(value) => onChange('stackablePallets', value)}
+              description="Allow loaded pallets to be stacked on top of each other when the container height allows"
+              tooltip="Turn off for loads that cannot carry another pallet"
+            />
+
+            {data.stackablePallets && (
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <FormField
+                  label="Maximum Pallet Tiers"
+                  value={data.maxPalletTiers}
+                  onChange={(value) => onChange('maxPalletTiers', value)}
+                  error={errors.maxPalletTiers}
+                  type="number"
+                  placeholder="2"
+                  unit="tiers"
+                  min="1"
+                  max="5"
+                  step="1"
+                  tooltip="How many pallets may stand on top of each other"
+                />
+                <FormField
+                  label="Max Weight of a Top Pallet"
+                  value={data.maxTopPalletWeight}
+                  onChange={(value) => onChange('maxTopPalletWeight', value)}
+                  error={errors.maxTopPalletWeight}
+                  type="number"
+                  placeholder="1000"
+                  unit="kg"
+                  min="0"
+                  max="2000"
+                  step="1"
+                  tooltip="Heavier pallets always stand on the container floor"
+                />
+              </div>
+            )}
+          </div>
+        </div>
+
+        {/* Load Balance */}
+        <div className="p-4 bg-secondary/30 rounded-xl">
+          <h3 className="text-sm font-medium text-foreground mb-4 flex items-center">
+            <Scale className="w-4 h-4 mr-2" />
+            Load Balance
+          </h3>
+          <div className="space-y-4">
+            <FormField
+              label="Max Centre of Gravity Offset"
+              value={data.maxCogOffset}
+              onChange={(value) => onChange('maxCogOffset', value)}
+              error={errors.maxCogOffset}
+              type="number"
+              placeholder="50"
+              unit="cm"
+              min="0"
+              max="300"
+              step="1"
+              tooltip="Warn when the loaded container's centre of gravity is further than this from its centre"
+            />
+
+            <CheckboxField
+              label="Place Heavy Pallets in the Middle"
+              checked={data.centerHeavyPallets}
+              onChange={(value) => onChange('centerHeavyPallets', value)}
+              description="Load the heaviest pallets over the centre of the container floor instead of from the front wall"
+              tooltip="Keeps the centre of gravity near the middle for road transport"
+            />
+          </div>
+        </div>
+
         {/* Advanced Options */}
         <div className="p-4 bg-blue-50 dark:bg-blue-950/20 rounded-xl border border-blue-200 dark:border-blue-800">
           <div className="flex items-start space-x-3">
@@ -118,6 +309,10 @@ export function SettingsStep({ data, onChange }) {
         <div className="p-4 bg-secondary/50 rounded-xl">
           <h3 className="text-sm font-medium text-foreground mb-3">Current Configuration</h3>
           <div className="grid grid-cols-1 md:grid-cols-2 gap-3 text-xs">
+            <div className="flex justify-between">
+              <span className="text-muted-foreground">Goal:</span>
+              <span className="font-medium">{optimizationGoalOptions.find(opt => opt.value === data.optimizationGoal)?.label}</span>
+            </div>
             <div className="flex justify-between">
               <span className="text-muted-foreground">Rotation:</span>
               <span className="font-medium">{data.enableRotation ? 'Enabled' : 'Disabled'}</span>
@@ -130,6 +325,24 @@ export function SettingsStep({ data, onChange }) {
               <span className="text-muted-foreground">Load Bearing:</span>
               <span className="font-medium">{data.considerLoadBearing ? 'Considered' : 'Ignored'}</span>
             </div>
+            <div className="flex justify-between">
+              <span className="text-muted-foreground">Overhang (end / side):</span>
+              <span className="font-medium">{data.overhangLength || 0} / {data.overhangWidth || 0} cm</span>
+            </div>
+            <div className="flex justify-between">
+              <span className="text-muted-foreground">Partial pallets:</span>
+              <span className="font-medium">{fillModeOptions.find(opt => opt.value === data.fillMode)?.label}</span>
+            </div>
+            <div className="flex justify-between">
+              <span className="text-muted-foreground">Pallet stacking:</span>
+              <span className="font-medium">
+                {data.stackablePallets ? `Up to ${data.maxPalletTiers} tiers, ≤ ${data.maxTopPalletWeight} kg on top` : 'Floor only'}
+              </span>
+            </div>
+            <div className="flex justify-between">
+              <span className="text-muted-foreground">Max CoG offset:</span>
+              <span className="font-medium">{data.maxCogOffset} cm{data.centerHeavyPallets ? ', heavy pallets centred' : ''}</span>
+            </div>
             <div className="flex justify-between">
               <span className="text-muted-foreground">Pattern:</span>
               <span className="font-medium">{stackingPatternOptions.find(opt => opt.value === data.stackingPattern)?.label}</span>
@@ -25,10 +25,116 @@
 import { useState, useCallback } from 'react';
 import { 
   validateAllInputs,      // Input validation functions
+  containerRules,         // Limits for the selected container equipment
   generateOptimizationReport, // Main calculation orchestrator
   PALLET_PRESETS,        // Standard pallet configurations
-  CONTAINER_PRESETS      // Standard container configurations
+  CONTAINER_PRESETS,     // Standard container configurations
+  VALIDATION_RULES,      // Limits for designed cartons
+  ENGINE_VERSION         // Saved plans from another engine are recalculated
 } from '../lib/calculator';
+import { designCartons } from '../lib/carton-designer';
+import { evaluatePresets } from '../lib/preset-evaluator';
+import {
+  LIBRARY_PRESET_PREFIX,
+  addLibraryEntry,
+  createLibraryEntry,
+  exportLibrary,
+  importLibrary,
+  libraryEntryFor,
+  loadLibrary,
+  removeLibraryEntry,
+  saveLibrary
+} from '../lib/preset-library';
+import {
+  duplicatePlan as duplicateSavedPlan,
+  findVersion,
+  isOutdated,
+  loadPlans,
+  removePlan,
+  savePlanVersion,
+  savePlans
+} from '../lib/plan-store';
+import { decodeSharedPlan, encodeSharedPlan } from '../lib/share-link';
+import {
+  buildExchangeDocument,
+  compareWithReport,
+  exchangeToJson,
+  exchangeToXml,
+  readExchangeFile
+} from '../lib/plan-exchange';
+
+let cartonIdCounter = 1;
+
+/**
+ * Create a carton type entry with a unique id and a default SKU label
+ */
+function createCarton(number, values = {}) {
+  const id = `carton-${cartonIdCounter++}`;
+  return {
+    id,
+    sku: `SKU-${number}`,
+    length: '',
+    width: '',
+    height: '',
+    weight: '',
+    quantity: '',
+    maxLoadOnTop: '',
+    ...values
+  };
+}
+
+/**
+ * Convert the carton type form values to numbers
+ */
+function numericCartons(cartons) {
+  return cartons.map((carton, index) => ({
+    id: carton.id,
+    sku: carton.sku.trim() || `SKU-${index + 1}`,
+    length: parseFloat(carton.length),
+    width: parseFloat(carton.width),
+    height: parseFloat(carton.height),
+    weight: parseFloat(carton.weight),
+    quantity: parseInt(carton.quantity),
+    maxLoadOnTop: carton.maxLoadOnTop === '' ? null : parseFloat(carton.maxLoadOnTop)
+  }));
+}
+
+/**
+ * Convert the pallet, container and settings form values to numbers
+ */
+function numericPlanInputs(palletData, containerData, settings) {
+  const palletNumeric = {
+    preset: palletData.preset,
+    length: parseFloat(palletData.length),
+    width: parseFloat(palletData.width),
+    height: parseFloat(palletData.height),
+    maxStackHeight: parseFloat(palletData.maxStackHeight),
+    maxStackWeight: parseFloat(palletData.maxStackWeight),
+    usePallets: palletData.usePallets
+  };
+
+  const containerNumeric = {
+    preset: containerData.preset,
+    length: parseFloat(containerData.length),
+    width: parseFloat(containerData.width),
+    height: parseFloat(containerData.height),
+    weightCapacity: parseFloat(containerData.weightCapacity),
+    // Blank door fields mean the unit is loaded from the top or side
+    doorWidth: parseFloat(containerData.doorWidth) || null,
+    doorHeight: parseFloat(containerData.doorHeight) || null
+  };
+
+  const settingsNumeric = {
+    ...settings,
+    overhangLength: parseFloat(settings.overhangLength) || 0,
+    overhangWidth: parseFloat(settings.overhangWidth) || 0,
+    maxCogOffset: parseFloat(settings.maxCogOffset) || 0,
+    maxPalletTiers: parseInt(settings.maxPalletTiers) || 1,
+    maxTopPalletWeight: parseFloat(settings.maxTopPalletWeight) || 0
+  };
+
+  return { palletNumeric, containerNumeric, settingsNumeric };
+}
 
 /**
  * useCalculator Hook
@@ -53,19 +159,22 @@ export function useCalculator() {
   const [currentStep, setCurrentStep] = useState(0);
   
   /**
-   * Carton Data State
-   * Stores carton specifications collected in step 1
+   * Carton Types State
+   * Stores the list of carton types (SKUs) collected in step 1
    * - Dimensions in centimeters
    * - Weight in kilograms  
-   * - Quantity as integer count
+   * - Quantity as integer count per SKU
+   * - Optional max load on top (crush strength) in kilograms
    */
-  const [cartonData, setCartonData] = useState({
-    length: '50',      // Carton length (cm)
-    width: '30',       // Carton width (cm) 
-    height: '25',      // Carton height (cm)
-    weight: '15',      // Carton weight (kg)
-    quantity: '200'    // Number of cartons to pack
-  });
+  const [cartons, setCartons] = useState(() => [
+    createCarton(1, {
+      length: '50',      // Carton length (cm)
+      width: '30',       // Carton width (cm) 
+      height: '25',      // Carton height (cm)
+      weight: '15',      // Carton weight (kg)
+      quantity: '200'    // Number of cartons to pack
+    })
+  ]);
   
   /**
    * Pallet Data State
@@ -86,15 +195,17 @@ export function useCalculator() {
   /**
    * Container Data State  
    * Stores container specifications collected in step 3
-   * - Supports standard container types (20ft, 40ft, 40ft HC) and custom
-   * - Dimensions and weight capacity constraints
+   * - Supports the equipment catalogue (containers, trailers, ULDs) and custom
+   * - Dimensions, weight capacity and door opening constraints
    */
   const [containerData, setContainerData] = useState({
     preset: '40ft',           // Container type preset
     length: '1219.2',         // Container length (cm)
     width: '243.8',           // Container width (cm)
     height: '259.1',          // Container height (cm)
-    weightCapacity: '26000'   // Maximum weight capacity (kg)
+    weightCapacity: '26000',  // Maximum weight capacity (kg)
+    doorWidth: '234',         // Rear door opening width (cm), blank for none
+    doorHeight: '228'         // Rear door opening height (cm), blank for none
   });
 
   /**
@@ -106,9 +217,51 @@ export function useCalculator() {
     enableRotation: true,           // Allow carton rotation for better fit
     preventVerticalRotation: false, // Prevent vertical carton orientation
     considerLoadBearing: false,     // Factor in load-bearing calculations
-    stackingPattern: 'auto'         // Stacking algorithm selection
+    stackingPattern: 'auto',        // Stacking algorithm selection
+    optimizationGoal: 'maxCartons', // How candidate layouts are ranked (see OPTIMIZATION_GOALS)
+    fillMode: 'layers',             // Remainder handling: 'layers', 'pyramid' or 'even'
+    overhangLength: 0,              // Allowed overhang (+) or required underhang (-) per pallet end, cm
+    overhangWidth: 0,               // Allowed overhang (+) or required underhang (-) per pallet side, cm
+    maxCogOffset: 50,               // Allowed centre of gravity distance from the container centre, cm
+    centerHeavyPallets: false,      // Load the heaviest pallets over the middle of the container
+    stackablePallets: true,         // Allow pallets to be stacked on each other in the container
+    maxPalletTiers: 2,              // Pallet tiers allowed when stacking
+    maxTopPalletWeight: 1000        // Heaviest pallet allowed on top of another, kg
   });
 
+  /**
+   * Product Data State
+   * Stores the product unit used by the carton designer
+   * - Unit dimensions (cm) and weight (kg)
+   * - Units packed in one carton and the wall allowance per carton side
+   */
+  const [productData, setProductData] = useState({
+    length: '',               // Unit length (cm)
+    width: '',                // Unit width (cm)
+    height: '',               // Unit height (cm)
+    weight: '',               // Unit weight (kg)
+    unitsPerCarton: '12',     // Units in one carton
+    wallAllowance: '0.5'      // Board and air per carton side (cm)
+  });
+  const [cartonDesign, setCartonDesign] = useState(null);       // Ranked carton suggestions
+  const [presetEvaluation, setPresetEvaluation] = useState(null); // Ranked pallet/container preset options
+
+  /**
+   * Preset Library State
+   * Saved cartons, pallets and containers, kept in localStorage
+   */
+  const [library, setLibrary] = useState(() => loadLibrary());
+
+  /**
+   * Saved Plans State
+   * Named load plans with their version history, kept in localStorage,
+   * and the plan version the current inputs were opened from or saved as
+   */
+  const [plans, setPlans] = useState(() => loadPlans());
+  const [currentPlan, setCurrentPlan] = useState(null); // { id, number }
+  const [shareError, setShareError] = useState(null);   // Why a shared link could not be opened
+  const [planImport, setPlanImport] = useState(null);   // { differences } or { error } of the last plan file
+
   /**
    * Application State
    * Manages validation, calculation results, and UI state
@@ -116,6 +269,7 @@ export function useCalculator() {
   const [validationErrors, setValidationErrors] = useState({}); // Form validation errors by category
   const [result, setResult] = useState(null);                   // Optimization calculation results
   const [isCalculating, setIsCalculating] = useState(false);    // Loading state during calculations
+  const [layoutChoices, setLayoutChoices] = useState({});       // Alternative stack picked per carton id
 
   /**
    * Wizard Step Configuration
@@ -133,24 +287,42 @@ export function useCalculator() {
   // STATE UPDATE FUNCTIONS
   // =================================================================
 
-  const updateCartonData = useCallback((field, value) => {
-    setCartonData(prev => ({ ...prev, [field]: value }));
+  const updateCarton = useCallback((id, field, value) => {
+    setCartons(prev => prev.map(carton => (
+      carton.id === id ? { ...carton, [field]: value } : carton
+    )));
     
     // Clear validation error for this field
-    if (validationErrors.carton?.[field]) {
+    if (validationErrors.cartons?.[id]?.[field]) {
       setValidationErrors(prev => ({
         ...prev,
-        carton: { ...prev.carton, [field]: undefined }
+        cartons: { ...prev.cartons, [id]: { ...prev.cartons[id], [field]: undefined } }
       }));
     }
   }, [validationErrors]);
 
+  const addCarton = useCallback(() => {
+    setCartons(prev => [...prev, createCarton(prev.length + 1)]);
+  }, []);
+
+  const removeCarton = useCallback((id) => {
+    setCartons(prev => (prev.length > 1 ? prev.filter(carton => carton.id !== id) : prev));
+    setValidationErrors(prev => {
+      if (!prev.cartons?.[id]) return prev;
+      const { [id]: _removed, ...rest } = prev.cartons;
+      return { ...prev, cartons: rest };
+    });
+  }, []);
+
   const updatePalletData = useCallback((field, value) => {
     setPalletData(prev => {
       const newData = { ...prev, [field]: value };
       
       // If preset changed, update dimensions
-      if (field === 'preset' && value !== 'custom') {
+      const saved = field === 'preset' && libraryEntryFor(library, 'pallets', value);
+      if (saved) {
+        Object.assign(newData, saved.values);
+      } else if (field === 'preset' && value !== 'custom') {
         const preset = PALLET_PRESETS[value];
         if (preset) {
           Object.assign(newData, {
@@ -171,21 +343,26 @@ export function useCalculator() {
         pallet: { ...prev.pallet, [field]: undefined }
       }));
     }
-  }, [validationErrors]);
+  }, [validationErrors, library]);
 
   const updateContainerData = useCallback((field, value) => {
     setContainerData(prev => {
       const newData = { ...prev, [field]: value };
       
       // If preset changed, update dimensions
-      if (field === 'preset' && value !== 'custom') {
+      const saved = field === 'preset' && libraryEntryFor(library, 'containers', value);
+      if (saved) {
+        Object.assign(newData, saved.values);
+      } else if (field === 'preset' && value !== 'custom') {
         const preset = CONTAINER_PRESETS[value];
         if (preset) {
           Object.assign(newData, {
             length: preset.length.toString(),
             width: preset.width.toString(),
             height: preset.height.toString(),
-            weightCapacity: preset.weightCapacity.toString()
+            weightCapacity: preset.weightCapacity.toString(),
+            doorWidth: preset.door ? preset.door.width.toString() : '',
+            doorHeight: preset.door ? preset.door.height.toString() : ''
           });
         }
       }
@@ -200,26 +377,75 @@ export function useCalculator() {
         container: { ...prev.container, [field]: undefined }
       }));
     }
-  }, [validationErrors]);
+  }, [validationErrors, library]);
 
   const updateSettings = useCallback((field, value) => {
     setSettings(prev => ({ ...prev, [field]: value }));
   }, []);
 
   const validateCurrentStep = useCallback(() => {
+    // Carton step: validate every carton type separately
+    if (currentStep === 0) {
+      const cartonErrors = {};
+      const seenSkus = new Set();
+      cartons.forEach(({ id, sku, maxLoadOnTop, ...fields }) => {
+        // Max load on top is optional; blank means no limit
+        const validation = validateAllInputs(
+          maxLoadOnTop === '' ? fields : { ...fields, maxLoadOnTop },
+          'carton'
+        );
+        const errors = { ...validation.errors };
+
+        const skuKey = sku.trim().toLowerCase();
+        if (skuKey && seenSkus.has(skuKey)) {
+          errors.sku = 'Each SKU must have a unique name';
+        }
+        seenSkus.add(skuKey);
+
+        if (Object.keys(errors).length > 0) {
+          cartonErrors[id] = errors;
+        }
+      });
+
+      if (Object.keys(cartonErrors).length > 0) {
+        setValidationErrors(prev => ({ ...prev, cartons: cartonErrors }));
+        return false;
+      }
+      return true;
+    }
+
     const stepData = {
-      0: { data: cartonData, category: 'carton' },
       1: { data: palletData, category: 'pallet' },
       2: { data: containerData, category: 'container' },
-      3: { data: {}, category: 'settings' }
+      3: {
+        data: {
+          overhangLength: settings.overhangLength,
+          overhangWidth: settings.overhangWidth,
+          maxCogOffset: settings.maxCogOffset,
+          // Tier limits only matter when pallets may be stacked
+          ...(settings.stackablePallets && {
+            maxPalletTiers: settings.maxPalletTiers,
+            maxTopPalletWeight: settings.maxTopPalletWeight
+          })
+        },
+        category: 'settings'
+      }
     };
 
     const { data, category } = stepData[currentStep] || {};
     if (!data) return true;
 
+    // Pallet fields are hidden and unused when loading straight into the container
+    if (category === 'pallet' && !data.usePallets) {
+      setValidationErrors(prev => ({ ...prev, pallet: {} }));
+      return true;
+    }
+
     // Filter out non-numeric fields for validation
+    // Door fields are optional; blank means the unit is loaded from the top or side
     const numericFields = Object.keys(data).filter(key => 
-      !['preset', 'usePallets'].includes(key)
+      !['preset', 'usePallets'].includes(key) &&
+      !(['doorWidth', 'doorHeight'].includes(key) && data[key] === '')
     );
     
     const numericData = {};
@@ -227,7 +453,10 @@ export function useCalculator() {
       numericData[key] = data[key];
     });
 
-    const validation = validateAllInputs(numericData, category);
+    // Containers are checked against the limits of their equipment category
+    const validation = category === 'container'
+      ? validateAllInputs(numericData, category, containerRules(data.preset))
+      : validateAllInputs(numericData, category);
     
     if (!validation.isValid) {
       setValidationErrors(prev => ({
@@ -238,7 +467,7 @@ export function useCalculator() {
     }
 
     return true;
-  }, [currentStep, cartonData, palletData, containerData]);
+  }, [currentStep, cartons, palletData, containerData, settings]);
 
   const nextStep = useCallback(() => {
     if (validateCurrentStep() && currentStep < steps.length - 1) {
@@ -258,43 +487,35 @@ export function useCalculator() {
     }
   }, [steps.length]);
 
+  /**
+   * Build the report from the current inputs, with the picked alternative stacks
+   */
+  // Inputs can be overridden by the ones about to be put in state
+  const buildReport = useCallback((choices, inputs = {}) => {
+    const { palletNumeric, containerNumeric, settingsNumeric } = numericPlanInputs(
+      inputs.palletData ?? palletData,
+      inputs.containerData ?? containerData,
+      inputs.settings ?? settings
+    );
+
+    return generateOptimizationReport(
+      numericCartons(inputs.cartons ?? cartons),
+      palletNumeric,
+      containerNumeric,
+      { ...settingsNumeric, layoutChoices: choices }
+    );
+  }, [cartons, palletData, containerData, settings]);
+
   const calculateOptimization = useCallback(async () => {
     setIsCalculating(true);
     
     try {
       // Simulate calculation delay for better UX
       await new Promise(resolve => setTimeout(resolve, 1000));
-      
-      const cartonNumeric = {
-        length: parseFloat(cartonData.length),
-        width: parseFloat(cartonData.width),
-        height: parseFloat(cartonData.height),
-        weight: parseFloat(cartonData.weight),
-        quantity: parseInt(cartonData.quantity)
-      };
-
-      const palletNumeric = {
-        length: parseFloat(palletData.length),
-        width: parseFloat(palletData.width),
-        height: parseFloat(palletData.height),
-        maxStackHeight: parseFloat(palletData.maxStackHeight),
-        maxStackWeight: parseFloat(palletData.maxStackWeight)
-      };
-
-      const containerNumeric = {
-        length: parseFloat(containerData.length),
-        width: parseFloat(containerData.width),
-        height: parseFloat(containerData.height),
-        weightCapacity: parseFloat(containerData.weightCapacity)
-      };
-
-      const optimizationResult = generateOptimizationReport(
-        cartonNumeric,
-        palletNumeric,
-        containerNumeric,
-        settings
-      );
 
+      // New inputs give new alternatives, so earlier picks no longer apply
+      const optimizationResult = buildReport({});
+      setLayoutChoices({});
       setResult(optimizationResult);
       setCurrentStep(4); // Go to results step
     } catch (error) {
@@ -302,11 +523,371 @@ export function useCalculator() {
     } finally {
       setIsCalculating(false);
     }
-  }, [cartonData, palletData, containerData, settings]);
+  }, [buildReport]);
+
+  /**
+   * Use one of a carton type's ranked alternative stacks and rebuild the plan
+   */
+  const chooseLayout = useCallback((cartonId, index) => {
+    const choices = { ...layoutChoices, [cartonId]: index };
+    try {
+      setResult(buildReport(choices));
+      setLayoutChoices(choices);
+    } catch (error) {
+      console.error('Calculation error:', error);
+    }
+  }, [layoutChoices, buildReport]);
+
+  const updateProductData = useCallback((field, value) => {
+    setProductData(prev => ({ ...prev, [field]: value }));
+
+    // Clear validation error for this field
+    if (validationErrors.product?.[field]) {
+      setValidationErrors(prev => ({
+        ...prev,
+        product: { ...prev.product, [field]: undefined }
+      }));
+    }
+  }, [validationErrors]);
+
+  /**
+   * Carton designer: rank carton sizes for the product unit on the
+   * current pallet and container
+   */
+  const runCartonDesigner = useCallback(() => {
+    const validation = validateAllInputs(productData, 'product');
+    if (!validation.isValid) {
+      setValidationErrors(prev => ({ ...prev, product: validation.errors }));
+      setCartonDesign(null);
+      return;
+    }
+
+    const product = {
+      length: parseFloat(productData.length),
+      width: parseFloat(productData.width),
+      height: parseFloat(productData.height),
+      weight: parseFloat(productData.weight),
+      unitsPerCarton: parseInt(productData.unitsPerCarton),
+      wallAllowance: parseFloat(productData.wallAllowance) || 0
+    };
+    const { palletNumeric, containerNumeric, settingsNumeric } = numericPlanInputs(palletData, containerData, settings);
+
+    try {
+      setCartonDesign(designCartons(product, palletNumeric, containerNumeric, settingsNumeric, VALIDATION_RULES.carton));
+    } catch (error) {
+      console.error('Carton designer error:', error);
+    }
+  }, [productData, palletData, containerData, settings]);
+
+  /**
+   * Copy a suggested carton into a carton type
+   */
+  const applyCartonDesign = useCallback((cartonId, suggestion) => {
+    const { length, width, height, weight } = suggestion.carton;
+    setCartons(prev => prev.map(carton => (
+      carton.id === cartonId
+        ? { ...carton, length: String(length), width: String(width), height: String(height), weight: String(weight) }
+        : carton
+    )));
+  }, []);
+
+  /**
+   * Evaluate all presets: run the shipment on every pallet and container
+   * preset (and mixes of containers) and rank the options
+   */
+  const evaluateAllPresets = useCallback(async (basis, costs) => {
+    const { palletNumeric, settingsNumeric } = numericPlanInputs(palletData, containerData, settings);
+    try {
+      setPresetEvaluation(await evaluatePresets(numericCartons(cartons), palletNumeric, settingsNumeric, { basis, costs }));
+    } catch (error) {
+      console.error('Preset evaluation error:', error);
+    }
+  }, [cartons, palletData, containerData, settings]);
+
+  /**
+   * Switch to a pallet and container preset and rebuild the plan with them
+   */
+  const applyPresets = useCallback((palletKey, containerKey) => {
+    const pallet = PALLET_PRESETS[palletKey];
+    const container = CONTAINER_PRESETS[containerKey];
+    const nextPalletData = pallet ? {
+      ...palletData,
+      preset: palletKey,
+      length: pallet.length.toString(),
+      width: pallet.width.toString(),
+      height: pallet.height.toString()
+    } : palletData;
+    const nextContainerData = {
+      ...containerData,
+      preset: containerKey,
+      length: container.length.toString(),
+      width: container.width.toString(),
+      height: container.height.toString(),
+      weightCapacity: container.weightCapacity.toString(),
+      doorWidth: container.door ? container.door.width.toString() : '',
+      doorHeight: container.door ? container.door.height.toString() : ''
+    };
+
+    setPalletData(nextPalletData);
+    setContainerData(nextContainerData);
+    setLayoutChoices({});
+    try {
+      setResult(buildReport({}, { palletData: nextPalletData, containerData: nextContainerData }));
+    } catch (error) {
+      console.error('Calculation error:', error);
+    }
+  }, [palletData, containerData, buildReport]);
+
+  /**
+   * Change the preset library and keep the saved copy in step
+   */
+  const changeLibrary = useCallback((change) => {
+    setLibrary(prev => {
+      const next = change(prev);
+      saveLibrary(next);
+      return next;
+    });
+  }, []);
+
+  /**
+   * Save a carton type, the pallet or the container to the library.
+   * A saved pallet or container becomes the selected preset.
+   */
+  const saveToLibrary = useCallback((kind, details, cartonId) => {
+    const values = {
+      cartons: cartons.find(carton => carton.id === cartonId),
+      pallets: palletData,
+      containers: containerData
+    }[kind];
+    if (!values || !details.name?.trim()) return;
+
+    // A new entry replaces one of the same name, so its id is the one saved
+    const entry = createLibraryEntry(kind, values, details);
+    changeLibrary(prev => addLibraryEntry(prev, kind, entry));
+
+    if (kind === 'pallets') {
+      setPalletData(prev => ({ ...prev, preset: `${LIBRARY_PRESET_PREFIX}${entry.id}` }));
+    } else if (kind === 'containers') {
+      setContainerData(prev => ({ ...prev, preset: `${LIBRARY_PRESET_PREFIX}${entry.id}` }));
+    }
+  }, [cartons, palletData, containerData, changeLibrary]);
+
+  const removeFromLibrary = useCallback((kind, id) => {
+    changeLibrary(prev => removeLibraryEntry(prev, kind, id));
+    // A removed preset stays in the form as custom values
+    const removedKey = `${LIBRARY_PRESET_PREFIX}${id}`;
+    if (kind === 'pallets') {
+      setPalletData(prev => (prev.preset === removedKey ? { ...prev, preset: 'custom' } : prev));
+    } else if (kind === 'containers') {
+      setContainerData(prev => (prev.preset === removedKey ? { ...prev, preset: 'custom' } : prev));
+    }
+  }, [changeLibrary]);
+
+  /**
+   * Fill a carton type from a saved carton; the entry name becomes its SKU
+   */
+  const loadLibraryCarton = useCallback((cartonId, entryId) => {
+    const entry = library.cartons.find(saved => saved.id === entryId);
+    if (!entry) return;
+    setCartons(prev => prev.map(carton => (
+      carton.id === cartonId ? { ...carton, ...entry.values, sku: entry.name } : carton
+    )));
+    setValidationErrors(prev => {
+      if (!prev.cartons?.[cartonId]) return prev;
+      const { [cartonId]: _cleared, ...rest } = prev.cartons;
+      return { ...prev, cartons: rest };
+    });
+  }, [library]);
+
+  /**
+   * Replace the carton types with the checked rows of a packing list
+   */
+  const importCartons = useCallback((rows) => {
+    if (rows.length === 0) return;
+    setCartons(rows.map((values, index) => createCarton(index + 1, values)));
+    setLayoutChoices({});
+    setValidationErrors(prev => {
+      if (!prev.cartons) return prev;
+      const { cartons: _cleared, ...rest } = prev;
+      return rest;
+    });
+  }, []);
+
+  /**
+   * Merge a library file; returns { imported } or { error }
+   */
+  const importLibraryFile = useCallback((text) => {
+    try {
+      const { library: merged, imported } = importLibrary(library, text);
+      changeLibrary(() => merged);
+      return { imported };
+    } catch (error) {
+      return { error: error.message };
+    }
+  }, [library, changeLibrary]);
+
+  const exportLibraryFile = useCallback(() => exportLibrary(library), [library]);
+
+  /**
+   * Change the saved plans and keep the stored copy in step
+   */
+  const changePlans = useCallback((store) => {
+    savePlans(store);
+    setPlans(store);
+  }, []);
+
+  /**
+   * Save the inputs and result as a new version of the current plan,
+   * or as a new plan
+   */
+  const savePlan = useCallback((name, note = '', asNew = false) => {
+    const saved = savePlanVersion(plans, {
+      planId: asNew ? null : currentPlan?.id,
+      name,
+      note,
+      inputs: { cartons, palletData, containerData, settings, layoutChoices },
+      report: result
+    });
+    changePlans(saved.store);
+    setCurrentPlan({ id: saved.plan.id, number: saved.version.number });
+  }, [plans, currentPlan, cartons, palletData, containerData, settings, layoutChoices, result, changePlans]);
+
+  /**
+   * Put saved or shared inputs in state and rebuild their result on the
+   * results step. Returns the restored inputs and the report.
+   */
+  const restoreInputs = useCallback((inputs) => {
+    // Fresh carton ids, so new carton types cannot collide with restored ones
+    const cartonIds = {};
+    const restoredCartons = inputs.cartons.map(({ id, ...values }, index) => {
+      const carton = createCarton(index + 1, values);
+      cartonIds[id] = carton.id;
+      return carton;
+    });
+    const choices = Object.fromEntries(
+      Object.entries(inputs.layoutChoices || {}).map(([key, choice]) => [cartonIds[key] ?? key, choice])
+    );
+    // Settings added since the inputs were saved keep their current values
+    const restored = {
+      cartons: restoredCartons,
+      palletData: { ...palletData, ...inputs.palletData },
+      containerData: { ...containerData, ...inputs.containerData },
+      settings: { ...settings, ...inputs.settings },
+      layoutChoices: choices
+    };
+
+    const report = buildReport(choices, restored);
+    setCartons(restored.cartons);
+    setPalletData(restored.palletData);
+    setContainerData(restored.containerData);
+    setSettings(restored.settings);
+    setLayoutChoices(choices);
+    setCartonDesign(null);
+    setPresetEvaluation(null);
+    setValidationErrors({});
+    setResult(report);
+    setCurrentStep(4);
+    return { restored, report };
+  }, [palletData, containerData, settings, buildReport]);
+
+  /**
+   * Restore a plan version and rebuild its result. A version saved by
+   * another engine version is recalculated and saved as a new version.
+   */
+  const openPlan = useCallback((planId, number) => {
+    const found = findVersion(plans, planId, number);
+    if (!found) return;
+    const { plan, version } = found;
+
+    try {
+      const { restored, report } = restoreInputs(version.inputs);
+
+      if (isOutdated(version)) {
+        const saved = savePlanVersion(plans, {
+          planId,
+          note: `Recalculated with engine v${ENGINE_VERSION} (from v${version.engineVersion})`,
+          inputs: restored,
+          report
+        });
+        changePlans(saved.store);
+        setCurrentPlan({ id: planId, number: saved.version.number });
+      } else {
+        setCurrentPlan({ id: plan.id, number: version.number });
+      }
+    } catch (error) {
+      console.error('Calculation error:', error);
+    }
+  }, [plans, restoreInputs, changePlans]);
+
+  /**
+   * Open the inputs of a shared link; invalid links leave the wizard as it is
+   * and set shareError
+   */
+  const openSharedPlan = useCallback((value) => {
+    try {
+      restoreInputs(decodeSharedPlan(value));
+      setCurrentPlan(null);
+      setShareError(null);
+    } catch (error) {
+      setShareError(error.message);
+    }
+  }, [restoreInputs]);
+
+  const dismissShareError = useCallback(() => setShareError(null), []);
+
+  /**
+   * Link value (`plan` parameter) for the current inputs
+   */
+  const shareLink = useCallback(() => encodeSharedPlan({
+    cartons, palletData, containerData, settings, layoutChoices
+  }), [cartons, palletData, containerData, settings, layoutChoices]);
+
+  /**
+   * Exchange file of the current result: 'json' or 'xml'. Null before a
+   * result exists.
+   */
+  const exportPlanFile = useCallback((format) => {
+    if (!result) return null;
+    const name = currentPlan ? findVersion(plans, currentPlan.id, currentPlan.number)?.plan.name : '';
+    const plan = buildExchangeDocument(result, { name: name ?? '' });
+    return format === 'xml' ? exchangeToXml(plan) : exchangeToJson(plan);
+  }, [result, plans, currentPlan]);
+
+  /**
+   * Open an exchange file (JSON or XML) and recalculate it. Sets planImport
+   * to the differences between the file's positions and the result, or to
+   * the error when the file is refused and the wizard stays as it is.
+   */
+  const importPlanFile = useCallback((text) => {
+    try {
+      const { plan, inputs } = readExchangeFile(text);
+      const { report } = restoreInputs(inputs);
+      setCurrentPlan(null);
+      setPlanImport({ differences: compareWithReport(plan, report) });
+    } catch (error) {
+      setPlanImport({ error: error.message });
+    }
+  }, [restoreInputs]);
+
+  const dismissPlanImport = useCallback(() => setPlanImport(null), []);
+
+  const duplicatePlan = useCallback((planId) => {
+    changePlans(duplicateSavedPlan(plans, planId).store);
+  }, [plans, changePlans]);
+
+  const deletePlan = useCallback((planId) => {
+    changePlans(removePlan(plans, planId));
+    setCurrentPlan(prev => (prev?.id === planId ? null : prev));
+  }, [plans, changePlans]);
 
   const resetCalculator = useCallback(() => {
     setCurrentStep(0);
     setResult(null);
+    setLayoutChoices({});
+    setCartonDesign(null);
+    setPresetEvaluation(null);
+    setCurrentPlan(null);
+    setPlanImport(null);
     setValidationErrors({});
     setIsCalculating(false);
   }, []);
@@ -315,23 +896,55 @@ export function useCalculator() {
     // State
     currentStep,
     steps,
-    cartonData,
+    cartons,
     palletData,
     containerData,
     settings,
+    productData,
+    cartonDesign,
+    presetEvaluation,
+    library,
+    plans,
+    currentPlan,
+    shareError,
+    planImport,
     validationErrors,
     result,
     isCalculating,
     
     // Actions
-    updateCartonData,
+    updateCarton,
+    addCarton,
+    removeCarton,
     updatePalletData,
     updateContainerData,
     updateSettings,
+    updateProductData,
+    runCartonDesigner,
+    applyCartonDesign,
+    evaluateAllPresets,
+    applyPresets,
+    saveToLibrary,
+    removeFromLibrary,
+    loadLibraryCarton,
+    importCartons,
+    importLibraryFile,
+    exportLibraryFile,
+    savePlan,
+    openPlan,
+    duplicatePlan,
+    deletePlan,
+    openSharedPlan,
+    shareLink,
+    dismissShareError,
+    exportPlanFile,
+    importPlanFile,
+    dismissPlanImport,
     nextStep,
     prevStep,
     goToStep,
     calculateOptimization,
+    chooseLayout,
     resetCalculator,
     validateCurrentStep
   };
@@ -3,6 +3,42 @@
  * Calculates optimal positioning of cartons on pallets and pallets in containers
  */
 
+import {
+  interlockVariant,
+  pinwheelLayer,
+  stackLayers,
+  stackStability
+} from './stacking-patterns.js';
+import { balanceContainers } from './container-plan.js';
+import { packLayer } from './layer-packer.js';
+import { DEFAULT_MAX_COG_OFFSET, analyzeLoadBalance, groupStacks } from './load-balance.js';
+import { describeSelection, rankLayouts } from './optimization-goals.js';
+
+// Interlocked cartons bridge the seams below them, so their load lands mid-panel
+// instead of on the corners; a fully interlocked stack loses this share of strength
+const INTERLOCK_STRENGTH_LOSS = 0.5;
+
+// Pallet tiers in the container when the settings do not say otherwise
+const DEFAULT_MAX_PALLET_TIERS = 2;
+
+// Ranked alternative stacks kept alongside the chosen one
+const MAX_ALTERNATIVES = 5;
+
+/**
+ * Carton orientations, grouped by the carton dimension that points up.
+ * Each code lists the carton dimension along the pallet length (x),
+ * the pallet width (y) and the height (z): L = length, W = width, H = height.
+ */
+export const ORIENTATION_CODES = ['LWH', 'WLH', 'LHW', 'HLW', 'WHL', 'HWL'];
+
+// Sideways stands: the virtual carton (length, width, height) built from the real dimensions
+const SIDEWAYS_STANDS = [
+  { up: 'W', letters: { L: 'L', W: 'H', H: 'W' }, label: 'on its side' },  // LHW / HLW
+  { up: 'L', letters: { L: 'W', W: 'H', H: 'L' }, label: 'on its end' }    // WHL / HWL
+];
+
+const DIMENSION_KEYS = { L: 'length', W: 'width', H: 'height' };
+
 export class Layout3D {
   constructor(cartonData, palletData, containerData, settings) {
     this.carton = cartonData;
@@ -26,73 +62,356 @@ export class Layout3D {
       maxHeight: palletData.maxStackHeight || palletData.maxHeight || 200
     };
     
+    // Area cartons may cover: the pallet plus overhang, or minus underhang, on every side
+    this.loadArea = palletLoadArea(palletData, settings);
+
+    // Floor space one loaded pallet takes in the container
+    this.palletFootprint = {
+      length: Math.max(palletData.length, this.loadArea.length),
+      width: Math.max(palletData.width, this.loadArea.width)
+    };
+
     this.containerDims = {
       length: containerData.length,
       width: containerData.width,
       height: containerData.height,
-      maxWeight: containerData.weightCapacity || containerData.maxWeight || 26000
+      maxWeight: containerData.weightCapacity || containerData.maxWeight || 26000,
+      // Rear door opening; null when the unit is loaded from the top or side
+      door: containerData.doorWidth > 0 && containerData.doorHeight > 0
+        ? { width: containerData.doorWidth, height: containerData.doorHeight }
+        : null
     };
+
+    // Top-up layers already found, keyed by the free height and weight above a stack
+    this.topUpCache = new Map();
   }
 
   /**
-   * Calculate optimal carton arrangement on a single pallet
+   * Calculate optimal carton arrangement on a single pallet.
+   * Every candidate stack (each pattern, and with "This Side Up" off each
+   * stand on the carton's side or end, topped up with layers in another
+   * stand) is ranked by the optimization goal in settings. The result
+   * carries a `selection` explaining why the winner was chosen and the best
+   * few distinct stacks as `alternatives`; `choice` picks one of them
+   * instead of the winner. `patternFallback` names the requested stacking
+   * pattern when it could not be built and simple stacking was used instead.
+   *
+   * @param {number} choice - Index into the ranked alternatives (0 = winner)
    */
-  calculatePalletLayout() {
+  calculatePalletLayout(choice = 0) {
+    const verticalRotation = this.allowsVerticalRotation();
+    const candidates = [
+      ...this.calculateUprightCandidates(),
+      ...(verticalRotation ? SIDEWAYS_STANDS.flatMap(stand => this.calculateStandCandidates(stand)) : [])
+    ].map(layout => {
+      const stacked = this.withLoadHeight(layout);
+      return this.withLoadBearing(verticalRotation ? this.addTopUpLayers(stacked) : stacked);
+    });
+    if (candidates.length === 0) return null;
+
+    const goal = this.settings?.optimizationGoal;
+    const { length: pL, width: pW } = this.loadArea;
     const { length: cL, width: cW, height: cH } = this.cartonDims;
-    const { length: pL, width: pW, maxHeight, maxWeight } = this.palletDims;
-    
-    console.log('Calculating pallet layout with:', {
-      carton: { cL, cW, cH },
-      pallet: { pL, pW, maxHeight, maxWeight },
-      settings: this.settings
+    const ranked = rankLayouts(candidates, goal, {
+      quantity: this.carton.quantity || 0,
+      cartonVolume: cL * cW * cH,
+      palletCube: pL * pW * this.palletDims.maxHeight,
+      containersFor: layout => this.estimateContainers(layout)
     });
-    
-    // Try different orientations if rotation is enabled
+    const selection = describeSelection(ranked, goal);
+
+    const alternatives = distinctLayouts(ranked.map(({ layout, metrics }) => ({ ...layout, metrics })))
+      .slice(0, MAX_ALTERNATIVES);
+    const chosen = Number.isInteger(choice) ? Math.min(Math.max(choice, 0), alternatives.length - 1) : 0;
+
+    const patternFallback = candidates.find(layout => layout.patternFallback)?.patternFallback ?? null;
+
+    return { ...alternatives[chosen], selection, alternatives, choice: chosen, patternFallback };
+  }
+
+  /**
+   * Vertical rotation needs rotation enabled and "This Side Up" explicitly off
+   */
+  allowsVerticalRotation() {
+    return Boolean(this.settings?.enableRotation) && this.settings?.preventVerticalRotation === false;
+  }
+
+  /**
+   * Lay the carton out standing on its side or end.
+   * Runs the upright algorithms on a virtual carton whose height is the
+   * standing dimension, then maps rotation codes back to the real carton.
+   */
+  calculateStandCandidates(stand, options = {}) {
+    const virtualCarton = {
+      ...this.carton,
+      length: this.cartonDims[DIMENSION_KEYS[stand.letters.L]],
+      width: this.cartonDims[DIMENSION_KEYS[stand.letters.W]],
+      height: this.cartonDims[DIMENSION_KEYS[stand.letters.H]],
+      weight: this.cartonDims.weight
+    };
+    const virtual = new Layout3D(
+      virtualCarton,
+      { ...this.pallet, maxStackHeight: options.maxHeight ?? this.palletDims.maxHeight, maxStackWeight: options.maxWeight ?? this.palletDims.maxWeight },
+      this.container,
+      { ...this.settings, preventVerticalRotation: true }
+    );
+
+    const toRealCode = code => (code || 'LWH').split('').map(letter => stand.letters[letter]).join('');
+
+    return virtual.calculateUprightCandidates().map(layout => ({
+      ...layout,
+      label: stand.label ? `${layout.label} (${stand.label})` : layout.label,
+      cartonPositions: layout.cartonPositions.map(position => ({ ...position, rotation: toRealCode(position.rotation) })),
+      orientation: { ...layout.orientation, h: virtualCarton.height, stand: stand.up }
+    }));
+  }
+
+  /**
+   * Densest layout in one stand, used for top-up layers
+   */
+  calculateStandLayout(stand, options = {}) {
+    return densest(this.calculateStandCandidates(stand, options));
+  }
+
+  /**
+   * Containers one SKU would need if every pallet were stacked like this layout
+   */
+  estimateContainers(layout) {
+    const quantity = this.carton.quantity || 0;
+    if (quantity === 0 || layout.totalCartons === 0) return 0;
+
+    const pallets = Array.from({ length: Math.ceil(quantity / layout.totalCartons) }, (_, index) => {
+      const cartonCount = Math.min(layout.totalCartons, quantity - index * layout.totalCartons);
+      return { index, cartonCount, weight: cartonCount * this.cartonDims.weight, loadHeight: layout.loadHeight };
+    });
+    const plan = this.calculateContainerLayout(pallets);
+    // Stacks that do not fit the container can never win on container count
+    return plan.palletsPerContainer > 0 ? plan.containersNeeded : Infinity;
+  }
+
+  /**
+   * Record the loaded height of a layout (cartons only, without the pallet)
+   */
+  withLoadHeight(layout) {
+    const loadHeight = layout.cartonPositions.reduce((max, position) => (
+      Math.max(max, position.z + getOrientedDimensions(this.cartonDims, position.rotation).height)
+    ), 0);
+    return { ...layout, loadHeight };
+  }
+
+  /**
+   * Record how much the bottom layer carries against the carton's
+   * crush strength; null when load bearing is not considered.
+   */
+  withLoadBearing(layout) {
+    const capacity = cartonLoadCapacity(this.carton, this.settings, layout.stability ?? 0);
+    if (capacity === Infinity) return { ...layout, loadBearing: null };
+
+    const bottomCount = layout.cartonPositions.filter(position => position.layer === 0).length;
+    const load = bottomCount > 0 ? (layout.totalCartons - bottomCount) * this.cartonDims.weight / bottomCount : 0;
+    return { ...layout, loadBearing: describeLoadBearing(capacity, load) };
+  }
+
+  /**
+   * Fill the height left above a stack with layers in a lower stand,
+   * within the remaining stack weight and what the bottom layer can carry.
+   */
+  addTopUpLayers(layout) {
+    const { maxHeight, maxWeight } = this.palletDims;
+    const freeHeight = maxHeight - layout.loadHeight;
+    let freeWeight = maxWeight - layout.totalCartons * this.cartonDims.weight;
+
+    const capacity = cartonLoadCapacity(this.carton, this.settings, layout.stability ?? 0);
+    if (capacity !== Infinity) {
+      const bottomCount = layout.cartonPositions.filter(position => position.layer === 0).length;
+      const bottomLoad = (layout.totalCartons - bottomCount) * this.cartonDims.weight;
+      freeWeight = Math.min(freeWeight, capacity * bottomCount - bottomLoad);
+    }
+    if (freeWeight < this.cartonDims.weight) return layout;
+
+    // Candidate stacks often leave the same space, so each top-up is searched once
+    const key = `${freeHeight}:${freeWeight}`;
+    if (!this.topUpCache.has(key)) {
+      const stands = [{ up: 'H', letters: { L: 'L', W: 'W', H: 'H' } }, ...SIDEWAYS_STANDS];
+      const topUps = stands
+        .filter(stand => this.cartonDims[DIMENSION_KEYS[stand.up]] <= freeHeight)
+        .map(stand => this.calculateStandLayout(stand, { maxHeight: freeHeight, maxWeight: freeWeight }));
+      this.topUpCache.set(key, densest(topUps));
+    }
+
+    const best = this.topUpCache.get(key);
+    if (!best) return layout;
+
+    const baseLayers = layout.maxLayers;
+    const topPositions = best.cartonPositions.map(position => ({
+      ...position,
+      z: layout.loadHeight + position.z,
+      layer: baseLayers + position.layer
+    }));
+
+    return this.withLoadHeight({
+      ...layout,
+      maxLayers: baseLayers + best.maxLayers,
+      totalCartons: layout.totalCartons + best.totalCartons,
+      cartonPositions: [...layout.cartonPositions, ...topPositions],
+      topUpLayers: best.maxLayers
+    });
+  }
+
+  /**
+   * Build the upright candidate stacks (carton height pointing up) for the
+   * stacking pattern selected in settings: every pattern on auto, otherwise
+   * the requested one, falling back to simple stacking if it cannot be built.
+   */
+  calculateUprightCandidates() {
+    const requested = this.settings?.stackingPattern || 'simple';
+    const simpleLayouts = this.calculateSimpleCandidates();
+    const simple = densest(simpleLayouts);
+    if (!simple) return [];
+
+    const pallet = { ...this.loadArea };
+    const layerHeight = simple.orientation?.h ?? this.cartonDims.height;
+
+    // Column: one orientation only, every layer identical
+    const column = this.calculateColumnLayout();
+
+    // Interlock: densest layer alternated with its rotated/mirrored/shifted variant
+    const baseLayer = this.layerCells(simple.cartonPositions.filter(position => position.layer === 0));
+    const brick = interlockVariant(baseLayer, pallet);
+    const interlock = brick
+      ? this.buildPatternLayout('interlock', [baseLayer, brick.cells], layerHeight, simple.orientation)
+      : null;
+
+    // Pinwheel: four blocks turned 90° to each other, alternate layers reversed
+    let pinwheel = null;
+    if (this.settings?.enableRotation) {
+      const wheel = pinwheelLayer(pallet, this.cartonDims);
+      if (wheel) {
+        const reversed = interlockVariant(wheel, pallet);
+        pinwheel = this.buildPatternLayout(
+          'pinwheel',
+          reversed ? [wheel, reversed.cells] : [wheel],
+          this.cartonDims.height,
+          { rotation: 'pinwheel', h: this.cartonDims.height }
+        );
+      }
+    }
+
+    const byPattern = {
+      simple: simpleLayouts,
+      column: [column],
+      interlock: [interlock && { ...interlock, label: 'Interlock' }],
+      pinwheel: [pinwheel && { ...pinwheel, label: 'Pinwheel' }]
+    };
+    const usable = layouts => layouts.filter(layout => layout && layout.totalCartons > 0);
+
+    if (requested === 'auto') {
+      return usable(Object.values(byPattern).flat());
+    }
+
+    const layouts = usable(byPattern[requested] || []);
+    if (layouts.length === 0) {
+      // Reported with the result, so the planner knows the pattern was not used
+      return simpleLayouts.map(layout => ({ ...layout, patternFallback: requested }));
+    }
+    return layouts;
+  }
+
+  /**
+   * Column stacking: best single orientation, layers aligned on top of each other
+   */
+  calculateColumnLayout() {
+    const { length: cL, width: cW, height: cH } = this.cartonDims;
     const orientations = (this.settings && this.settings.enableRotation) ? [
       { l: cL, w: cW, h: cH, rotation: 0 },
       { l: cW, w: cL, h: cH, rotation: 90 }
     ] : [{ l: cL, w: cW, h: cH, rotation: 0 }];
-    
-    let bestLayout = null;
-    let bestScore = 0;
-    
-    for (const orientation of orientations) {
+
+    let best = null;
+    orientations.forEach(orientation => {
       const layout = this.calculateSingleOrientation(orientation);
-      console.log('Orientation result:', orientation, 'layout:', layout);
-      
-      if (layout && layout.totalCartons > 0) {
-        // Score based on carton count, efficiency, utilization, and rotation preference
-        let score = layout.totalCartons + (layout.efficiency * 100) + (layout.utilization * 100);
-        
-        // Prioritize rotated configurations (better space utilization)
-        if (orientation.rotation === 90) {
-          score += 50; // Bonus for rotated configuration
-        }
-        
-        console.log(`Orientation ${orientation.rotation}° score:`, score);
-        
-        if (score > bestScore) {
-          bestScore = score;
-          bestLayout = layout;
-        }
+      if (layout.totalCartons > 0 && (!best || layout.totalCartons > best.totalCartons)) {
+        best = layout;
       }
-    }
+    });
 
-    // Evaluate mixed-row layout for potential higher per-layer counts
-    const mixed = this.calculateMixedRowLayout();
-    if (mixed) {
-      const mixedScore = mixed.totalCartons + (mixed.efficiency * 100) + (mixed.utilization * 100) + 75;
-      console.log('Mixed-row layout result:', mixed, 'score:', mixedScore);
-      if (mixedScore > bestScore) {
-        bestScore = mixedScore;
-        bestLayout = mixed;
-      }
-    }
+    return best ? { ...best, pattern: 'column', label: 'Column', stability: 0 } : null;
+  }
+
+  /**
+   * Convert carton positions of one layer into footprint cells
+   */
+  layerCells(positions) {
+    return positions.map(position => {
+      const dims = getOrientedDimensions(this.cartonDims, position.rotation);
+      return { x: position.x, y: position.y, length: dims.length, width: dims.width, rotation: position.rotation };
+    });
+  }
+
+  /**
+   * Stack a cycle of layers (A, B, A, B...) within the pallet height and weight limits
+   */
+  buildPatternLayout(pattern, layerCycle, layerHeight, orientation) {
+    const { length: pL, width: pW } = this.loadArea;
+    const { maxHeight, maxWeight } = this.palletDims;
+    const cartonsPerLayer = layerCycle[0].length;
+    if (cartonsPerLayer === 0) return null;
+
+    const maxLayersByHeight = Math.floor(maxHeight / layerHeight);
+    const maxLayersByWeight = Math.floor(maxWeight / (cartonsPerLayer * this.cartonDims.weight));
+    // Crush strength depends on how far the layers interlock once stacked
+    const maxLayersByLoad = maxLayersUnderLoad(this.carton, this.settings, stackStability(layerCycle, 2));
+    const maxLayers = Math.min(maxLayersByHeight, maxLayersByWeight, maxLayersByLoad);
+    if (maxLayers <= 0) return null;
+
+    const totalCartons = cartonsPerLayer * maxLayers;
+    const layerArea = layerCycle[0].reduce((sum, cell) => sum + cell.length * cell.width, 0);
+
+    return {
+      cartonsPerLayer,
+      maxLayers,
+      totalCartons,
+      cartonPositions: stackLayers(layerCycle, maxLayers, layerHeight),
+      orientation,
+      pattern,
+      stability: stackStability(layerCycle, maxLayers),
+      efficiency: layerArea / (pL * pW),
+      utilization: totalCartons / (Math.floor(pL / this.cartonDims.length) * Math.floor(pW / this.cartonDims.width) * Math.floor(maxHeight / this.cartonDims.height))
+    };
+  }
+
+  /**
+   * Simple stacking: one layer repeated on every layer. Each way of building
+   * the layer (plain grid in either direction, mixed rows, guillotine blocks)
+   * is a candidate of its own.
+   */
+  calculateSimpleCandidates() {
+    const { length: cL, width: cW, height: cH } = this.cartonDims;
     
-    console.log('Best pallet layout:', bestLayout);
-    console.log('Selected orientation:', bestLayout?.orientation);
-    console.log('Selected rotation:', bestLayout?.cartonPositions?.[0]?.rotation);
-    return bestLayout;
+    // Try different orientations if rotation is enabled
+    const orientations = (this.settings && this.settings.enableRotation) ? [
+      { l: cL, w: cW, h: cH, rotation: 0, label: 'Simple grid' },
+      { l: cW, w: cL, h: cH, rotation: 90, label: 'Simple grid, turned 90°' }
+    ] : [{ l: cL, w: cW, h: cH, rotation: 0, label: 'Simple grid' }];
+
+    const grids = orientations.map(({ label, ...orientation }) => ({
+      ...this.calculateSingleOrientation(orientation),
+      label
+    }));
+
+    // Mixed rows of normal and rotated cartons across the pallet width
+    const mixed = this.calculateMixedRowLayout();
+
+    // Guillotine-packed layer: fills strips and gaps the grid rows leave open
+    const packed = this.calculateGuillotineLayout();
+
+    const layouts = [
+      ...grids,
+      mixed && { ...mixed, label: 'Simple, mixed rows' },
+      packed && { ...packed, label: 'Simple, guillotine blocks' }
+    ].filter(layout => layout && layout.totalCartons > 0);
+
+    return layouts.map(layout => ({ ...layout, pattern: 'simple', stability: 0 }));
   }
   
   /**
@@ -100,7 +419,8 @@ export class Layout3D {
    */
   calculateSingleOrientation(orientation) {
     const { l, w, h, rotation } = orientation;
-    const { length: pL, width: pW, maxHeight, maxWeight } = this.palletDims;
+    const { length: pL, width: pW } = this.loadArea;
+    const { maxHeight, maxWeight } = this.palletDims;
     
     // Calculate how many cartons fit in each direction
     const cartonsX = Math.floor(pL / l);
@@ -110,14 +430,13 @@ export class Layout3D {
     // Calculate maximum layers based on height and weight constraints
     const maxLayersByHeight = Math.floor(maxHeight / h);
     const maxLayersByWeight = Math.floor(maxWeight / (cartonsPerLayer * this.cartonDims.weight));
-    const maxLayers = Math.min(maxLayersByHeight, maxLayersByWeight);
+    const maxLayersByLoad = maxLayersUnderLoad(this.carton, this.settings);
+    const maxLayers = Math.min(maxLayersByHeight, maxLayersByWeight, maxLayersByLoad);
     
     const totalCartons = cartonsPerLayer * maxLayers;
     
     // Generate carton positions
     const cartonPositions = [];
-    console.log(`Generating positions: ${cartonsX} × ${cartonsY} × ${maxLayers} = ${totalCartons} cartons`);
-    console.log(`Carton dims: ${l} × ${w} × ${h}, Pallet dims: ${pL} × ${pW}`);
     
     for (let layer = 0; layer < maxLayers; layer++) {
       for (let y = 0; y < cartonsY; y++) {
@@ -127,15 +446,11 @@ export class Layout3D {
             y: y * w,                           // Position from front edge  
             z: layer * h,                       // Stack layers vertically
             layer,
-            rotation: rotation === 90 ? 'WLH' : 'LWH',  // Convert to string format
+            rotation: orientation.code ?? (rotation === 90 ? 'WLH' : 'LWH'),  // Convert to string format
             gridX: x,
             gridY: y
           };
           cartonPositions.push(position);
-          
-          if (layer === 0) {
-            console.log(`Carton [${x},${y}] position:`, position);
-          }
         }
       }
     }
@@ -159,7 +474,8 @@ export class Layout3D {
     if (!this.settings || !this.settings.enableRotation) return null;
 
     const { length: cL, width: cW, height: cH } = this.cartonDims;
-    const { length: pL, width: pW, maxHeight, maxWeight } = this.palletDims;
+    const { length: pL, width: pW } = this.loadArea;
+    const { maxHeight, maxWeight } = this.palletDims;
 
     // Per-row capacities and row widths for each orientation
     const countRow0 = Math.floor(pL / cL); // using LWH
@@ -188,7 +504,8 @@ export class Layout3D {
     const maxLayersByHeight = Math.floor(maxHeight / cH);
     const weightPerLayer = cartonsPerLayer * this.cartonDims.weight;
     const maxLayersByWeight = Math.floor(maxWeight / Math.max(1, weightPerLayer));
-    const maxLayers = Math.min(maxLayersByHeight, maxLayersByWeight);
+    const maxLayersByLoad = maxLayersUnderLoad(this.carton, this.settings);
+    const maxLayers = Math.min(maxLayersByHeight, maxLayersByWeight, maxLayersByLoad);
 
     const totalCartons = cartonsPerLayer * maxLayers;
 
@@ -240,156 +557,299 @@ export class Layout3D {
   }
   
   /**
-   * Calculate optimal pallet arrangement in container
+   * Guillotine layout: the layer packer fills the pallet with blocks of
+   * normal and rotated cartons, then the layer is repeated up the stack.
    */
-  calculateContainerLayout(palletLayout) {
-    if (!palletLayout) {
-      return {
-        palletsPerLayer: 0,
-        maxPalletLayers: 0,
-        totalPallets: 0,
-        palletPositions: [],
-        containerUtilization: 0,
-        weightUtilization: 0
-      };
-    }
+  calculateGuillotineLayout() {
+    if (!this.settings || !this.settings.enableRotation) return null;
 
-    const { length: pL, width: pW, height: pH } = this.palletDims;
-    const { length: cL, width: cW, height: cH, maxWeight } = this.containerDims;
-    
-    // Calculate pallet stack height (pallet + cartons)
-    const stackHeight = pH + (palletLayout.maxLayers * this.cartonDims.height);
-    
-    // Calculate how many pallets fit in each direction
-    const palletsX = Math.floor(cL / pL);
-    const palletsY = Math.floor(cW / pW);
-    const palletsZ = Math.floor(cH / stackHeight);
-    
-    const palletsPerLayer = palletsX * palletsY;
-    const maxPalletLayers = palletsZ;
-    const totalPallets = palletsPerLayer * maxPalletLayers;
-    
-    // Check weight constraint
-    const totalWeight = totalPallets * palletLayout.totalCartons * this.cartonDims.weight;
-    const weightLimitedPallets = Math.floor(maxWeight / (palletLayout.totalCartons * this.cartonDims.weight));
-    const actualPallets = Math.min(totalPallets, weightLimitedPallets);
-    
-    // Generate pallet positions
-    const palletPositions = [];
-    let palletCount = 0;
-    
-    for (let layer = 0; layer < maxPalletLayers && palletCount < actualPallets; layer++) {
-      // Fill across container width first (back to front), then advance along length
-      for (let x = 0; x < palletsX && palletCount < actualPallets; x++) {
-        for (let y = 0; y < palletsY && palletCount < actualPallets; y++) {
-          palletPositions.push({
-            x: (x + 0.5) * pL - cL / 2,
-            y: layer * stackHeight + pH / 2,
-            z: (y + 0.5) * pW - cW / 2,
-            layer,
-            index: palletCount
-          });
-          palletCount++;
-        }
-      }
+    const pallet = { ...this.loadArea };
+    const cells = packLayer(pallet, this.cartonDims);
+    if (!cells || cells.length === 0) return null;
+
+    const rotated = cells.filter(cell => cell.rotation === 'WLH').length;
+    return this.buildPatternLayout('simple', [cells], this.cartonDims.height, {
+      rotation: rotated > 0 && rotated < cells.length ? 'mixed' : cells[0].rotation,
+      blocks: { normal: cells.length - rotated, rotated },
+      h: this.cartonDims.height
+    });
+  }
+
+  /**
+   * Pallet stacking rules in the container: how many tiers, and the heaviest
+   * pallet that may stand on another one
+   */
+  palletStacking() {
+    if (this.settings?.stackablePallets === false) {
+      return { maxTiers: 1, maxTopWeight: 0 };
     }
-    
     return {
-      palletsPerLayer,
-      maxPalletLayers,
-      totalPallets: actualPallets,
-      palletPositions,
-      containerUtilization: (actualPallets * pL * pW * stackHeight) / (cL * cW * cH),
-      weightUtilization: totalWeight / maxWeight
+      maxTiers: this.settings?.maxPalletTiers ?? DEFAULT_MAX_PALLET_TIERS,
+      maxTopWeight: this.settings?.maxTopPalletWeight ?? Infinity
     };
   }
-  
+
   /**
-   * Calculate complete 3D layout
+   * Calculate optimal pallet arrangement in container
+   *
+   * @param {Array<Object>} pallets - Loaded pallets ({ loadHeight, weight }) in loading order
    */
-  calculateComplete3DLayout() {
-    // Calculate pallet layout
-    const palletLayout = this.calculatePalletLayout();
-    
-    if (!palletLayout) {
+  calculateContainerLayout(pallets) {
+    const { length: pL, width: pW } = this.palletFootprint;
+    const { height: pH } = this.palletDims;
+    const { length: cL, width: cW, height: cH, maxWeight, door } = this.containerDims;
+
+    // Every pallet position must take the tallest stack (pallet + cartons)
+    const stackHeight = pallets.reduce((max, pallet) => Math.max(max, pH + pallet.loadHeight), pH);
+
+    // Try both pallet orientations on the container floor
+    const orientations = [
+      { l: pL, w: pW, rotated: false },
+      { l: pW, w: pL, rotated: true }
+    ];
+    let floor = null;
+    orientations.forEach(orientation => {
+      const palletsX = Math.floor(cL / orientation.l);
+      const palletsY = Math.floor(cW / orientation.w);
+      if (!floor || palletsX * palletsY > floor.palletsX * floor.palletsY) {
+        floor = { ...orientation, palletsX, palletsY };
+      }
+    });
+
+    const { palletsX, palletsY, l, w, rotated } = floor;
+    const palletsPerLayer = palletsX * palletsY;
+    const { maxTiers, maxTopWeight } = this.palletStacking();
+    const maxPalletLayers = Math.min(Math.floor(cH / stackHeight), maxTiers);
+    const palletsPerContainer = palletsPerLayer * maxPalletLayers;
+
+    // Containers needed by space, by weight and by pallets too heavy to go on top
+    const totalWeight = pallets.reduce((sum, pallet) => sum + pallet.weight, 0);
+    const floorOnlyPallets = pallets.filter(pallet => pallet.weight > maxTopWeight).length;
+    const minimumContainers = pallets.length === 0 || palletsPerContainer === 0 ? 0 : Math.max(
+      Math.ceil(pallets.length / palletsPerContainer),
+      Math.ceil(totalWeight / maxWeight),
+      Math.ceil(floorOnlyPallets / palletsPerLayer)
+    );
+
+    // Spread the pallets over the containers with balanced weight and fill;
+    // heavy pallets go first, so they take the bottom tier
+    const assignment = balanceContainers(pallets, {
+      containersNeeded: minimumContainers,
+      palletsPerContainer,
+      maxWeight,
+      palletsPerLayer,
+      maxTopWeight
+    });
+    const containerVolume = cL * cW * cH;
+
+    // Floor slots fill across the width first, then advance along the length;
+    // with centring on, the slots nearest the container centre come first.
+    // Part loads are spread around the centre instead (see centredSlots)
+    const floorSlots = Array.from({ length: palletsPerLayer }, (_, slot) => ({
+      x: Math.floor(slot / palletsY),
+      y: slot % palletsY
+    }));
+    if (this.settings?.centerHeavyPallets) {
+      const offCentre = (index, size, span) => Math.abs((index + 0.5) * size - span / 2);
+      floorSlots.sort((a, b) => (
+        (offCentre(a.x, l, cL) - offCentre(b.x, l, cL)) || (offCentre(a.y, w, cW) - offCentre(b.y, w, cW))
+      ));
+    }
+    const maxCogOffset = this.settings?.maxCogOffset ?? DEFAULT_MAX_COG_OFFSET;
+
+    const containers = assignment.map((containerPallets, containerIndex) => {
+      // Heaviest pallets take the first slots: front (or centre) of the floor and the bottom tier
+      const loadingOrder = [...containerPallets].sort((a, b) => (b.weight - a.weight) || (a.index - b.index));
+
+      // A full container (or centring on) uses the slots as they are; a part
+      // load is spread around the centre, so it is not off-centre by layout
+      const spread = !this.settings?.centerHeavyPallets && loadingOrder.length < palletsPerContainer;
+      const slotCentres = spread
+        ? centredSlots(loadingOrder.length, { palletsY, palletsPerLayer, l, w })
+        : floorSlots.map(({ x, y }) => ({ x: (x + 0.5) * l - cL / 2, z: (y + 0.5) * w - cW / 2 }));
+
+      const palletPositions = loadingOrder.map((pallet, slot) => {
+        const layer = Math.floor(slot / palletsPerLayer);
+        const { x, z } = slotCentres[spread ? slot : slot % palletsPerLayer];
+
+        return {
+          x,
+          y: layer * stackHeight + pH / 2,
+          z,
+          layer,
+          rotated,
+          index: pallet.index,
+          container: containerIndex
+        };
+      });
+
+      // Pallets go in one at a time, as they stand on the floor: their width
+      // across the container and their full height must pass the door
+      const doorBlocked = door ? containerPallets
+        .filter(pallet => w > door.width || pH + pallet.loadHeight > door.height)
+        .map(pallet => ({ index: pallet.index, width: w, height: pH + pallet.loadHeight })) : [];
+
+      const weight = containerPallets.reduce((sum, pallet) => sum + pallet.weight, 0);
+      const usedVolume = containerPallets.reduce((sum, pallet) => sum + pL * pW * (pH + pallet.loadHeight), 0);
+      const weightByIndex = new Map(containerPallets.map(pallet => [pallet.index, pallet.weight]));
+      const stacks = groupStacks(palletPositions.map(position => ({
+        x: position.x,
+        z: position.z,
+        length: l,
+        width: w,
+        weight: weightByIndex.get(position.index)
+      })));
+
       return {
-        cartonsPerLayer: 0,
-        maxLayers: 0,
-        cartonsPerPallet: 0,
-        cartonPositions: [],
-        palletsPerContainer: 0,
-        totalPalletsPlaced: 0,
-        palletPositions: [],
-        totalCartons: 0,
-        remainingCartons: this.carton.quantity,
-        packingEfficiency: 0,
-        spaceUtilization: 0,
-        weightUtilization: 0,
-        layout3D: {
-          palletLayout: null,
-          containerLayout: null,
-          scale: 0.01,
-          cartonDimensions: this.cartonDims,
-          palletDimensions: this.palletDims,
-          containerDimensions: this.containerDims
-        }
+        index: containerIndex,
+        palletIndices: containerPallets.map(pallet => pallet.index),
+        palletPositions,
+        palletCount: containerPallets.length,
+        cartonCount: containerPallets.reduce((sum, pallet) => sum + (pallet.cartonCount || 0), 0),
+        weight,
+        fill: containerPallets.length / palletsPerContainer,
+        volumeUtilization: usedVolume / containerVolume,
+        weightUtilization: weight / maxWeight,
+        balance: analyzeLoadBalance(stacks, { length: cL, width: cW }, maxCogOffset),
+        doorBlocked
       };
-    }
-    
-    // Calculate container layout
-    const containerLayout = this.calculateContainerLayout(palletLayout);
-    
-    // Determine pallets used based on requested quantity and capacity
-    const palletsPerPallet = palletLayout.totalCartons;
-    const palletsNeeded = Math.ceil(this.carton.quantity / palletsPerPallet);
-    const palletsAvailable = containerLayout.totalPallets;
-    const palletsUsed = Math.min(palletsNeeded, palletsAvailable);
-    
-    // Calculate totals actually placed (respect quantity)
-    const totalCartons = Math.min(this.carton.quantity, palletsUsed * palletsPerPallet);
-    const remainingCartons = Math.max(0, this.carton.quantity - totalCartons);
-    const packingEfficiency = this.carton.quantity > 0 ? (totalCartons / this.carton.quantity) : 0;
-    
+    });
+
+    const containersNeeded = containers.length;
+    const usedVolume = containers.reduce((sum, container) => sum + container.volumeUtilization * containerVolume, 0);
+    const totalVolume = containersNeeded * containerVolume;
+
     return {
-      // Pallet level
-      cartonsPerLayer: palletLayout.cartonsPerLayer,
-      maxLayers: palletLayout.maxLayers,
-      cartonsPerPallet: palletLayout.totalCartons,
-      cartonPositions: palletLayout.cartonPositions,
-      
-      // Container level
-      palletsPerContainer: containerLayout.palletsPerLayer,
-      totalPalletsPlaced: palletsUsed,
-      palletPositions: containerLayout.palletPositions.slice(0, palletsUsed),
-      
-      // Summary
-      totalCartons,
-      remainingCartons,
-      packingEfficiency,
-      spaceUtilization: containerLayout.containerUtilization,
-      weightUtilization: containerLayout.weightUtilization,
-      
-      // 3D specific data
-      layout3D: {
-        palletLayout,
-        containerLayout,
-        scale: 0.01, // Convert cm to meters for 3D display
-        cartonDimensions: this.cartonDims,
-        palletDimensions: this.palletDims,
-        containerDimensions: this.containerDims
-      }
+      palletsPerLayer,
+      maxPalletLayers,
+      maxTopWeight,
+      palletsPerContainer,
+      containersNeeded,
+      stackHeight,
+      door,
+      orientation: rotated ? 'rotated' : 'normal',
+      containers,
+      // First container, kept for single-container consumers
+      palletPositions: containers[0]?.palletPositions || [],
+      unassignedPallets: pallets.length - containers.reduce((sum, container) => sum + container.palletCount, 0),
+      totalWeight,
+      containerUtilization: totalVolume > 0 ? usedVolume / totalVolume : 0,
+      weightUtilization: containersNeeded > 0 ? totalWeight / (containersNeeded * maxWeight) : 0
     };
   }
 }
 
 /**
- * Helper function to create 3D layout from calculator result
+ * Pallet centres (from the container centre) for a container that is not
+ * full. The used rows along the length are centred, as is a part-filled
+ * last row across the width; pallets on upper tiers stand on the floor
+ * stacks nearest the centre first. One entry per pallet, in loading order.
+ *
+ * @param {number} count - Pallets in the container
+ * @param {Object} floor - { palletsY, palletsPerLayer, l, w } of the floor grid
+ */
+function centredSlots(count, { palletsY, palletsPerLayer, l, w }) {
+  const floorCount = Math.min(count, palletsPerLayer);
+  const rowsUsed = Math.ceil(floorCount / palletsY);
+  const onFloor = Array.from({ length: floorCount }, (_, slot) => {
+    const x = Math.floor(slot / palletsY);
+    const across = x === rowsUsed - 1 ? floorCount - x * palletsY : palletsY;
+    return {
+      x: (x + 0.5) * l - (rowsUsed * l) / 2,
+      z: ((slot % palletsY) + 0.5) * w - (across * w) / 2
+    };
+  });
+
+  const byDistance = [...onFloor].sort((a, b) => (Math.abs(a.x) - Math.abs(b.x)) || (Math.abs(a.z) - Math.abs(b.z)));
+  const above = Array.from({ length: count - floorCount }, (_, slot) => byDistance[slot % palletsPerLayer]);
+  return [...onFloor, ...above];
+}
+
+/**
+ * Layout with the most cartons; the first one wins a tie
  */
-export function create3DLayout(cartonData, palletData, containerData, settings) {
-  console.log('Creating 3D layout with:', { cartonData, palletData, containerData, settings });
-  const layout3D = new Layout3D(cartonData, palletData, containerData, settings);
-  const result = layout3D.calculateComplete3DLayout();
-  console.log('3D layout result:', result);
-  return result;
+function densest(layouts) {
+  return layouts.reduce((best, layout) => (
+    layout && layout.totalCartons > 0 && (!best || layout.totalCartons > best.totalCartons) ? layout : best
+  ), null);
 }
 
+/**
+ * Drop layouts that place their cartons exactly like an earlier one
+ * (mixed rows and guillotine blocks often build the same layer)
+ */
+function distinctLayouts(layouts) {
+  const seen = new Set();
+  return layouts.filter(layout => {
+    const signature = layout.cartonPositions
+      .map(position => `${position.x.toFixed(1)},${position.y.toFixed(1)},${position.z.toFixed(1)},${position.rotation}`)
+      .sort()
+      .join('|');
+    if (seen.has(signature)) return false;
+    seen.add(signature);
+    return true;
+  });
+}
+
+/**
+ * Area on top of a pallet that cartons may cover.
+ * Positive overhang settings let cartons stick out past each edge,
+ * negative ones keep them that far inside (underhang).
+ */
+export function palletLoadArea(palletData, settings) {
+  const overhangLength = Number(settings?.overhangLength) || 0;
+  const overhangWidth = Number(settings?.overhangWidth) || 0;
+  return {
+    length: Math.max(0, palletData.length + 2 * overhangLength),
+    width: Math.max(0, palletData.width + 2 * overhangWidth)
+  };
+}
+
+/**
+ * Weight one carton can carry on top (kg) in a stack with the given interlock
+ * stability (0 = columns, 1 = fully interlocked). Infinity when load bearing
+ * is not considered or the carton has no limit.
+ */
+export function cartonLoadCapacity(carton, settings, stability = 0) {
+  const maxLoad = carton.maxLoadOnTop;
+  if (!settings?.considerLoadBearing || maxLoad == null || Number.isNaN(maxLoad)) return Infinity;
+  return maxLoad * (1 - INTERLOCK_STRENGTH_LOSS * stability);
+}
+
+/**
+ * Layers of one carton that can stand on each other without overloading the bottom one
+ */
+export function maxLayersUnderLoad(carton, settings, stability = 0) {
+  const capacity = cartonLoadCapacity(carton, settings, stability);
+  if (capacity === Infinity) return Infinity;
+  return Math.floor(capacity / carton.weight + 1e-9) + 1;
+}
+
+/**
+ * Load on a bottom carton against its capacity; margin is the unused share
+ */
+export function describeLoadBearing(capacity, load) {
+  return {
+    capacity,
+    load,
+    margin: capacity > 0 ? (capacity - load) / capacity : 0
+  };
+}
+
+/**
+ * Order in which a container's pallets go in: slot by slot from the front
+ * wall towards the door, the floor pallet of a slot before those stacked on it
+ */
+export function loadingSequence(palletPositions) {
+  return [...palletPositions].sort((a, b) => (a.x - b.x) || (a.z - b.z) || (a.layer - b.layer));
+}
+
+/**
+ * Resolve the footprint of a carton for a given rotation code (see ORIENTATION_CODES).
+ * Returns the extent along the pallet length (x), width (y) and height (z).
+ */
+export function getOrientedDimensions(carton, rotation) {
+  const code = ORIENTATION_CODES.includes(rotation) ? rotation : 'LWH';
+  const [x, y, z] = code.split('').map(letter => carton[DIMENSION_KEYS[letter]]);
+  return { length: x, width: y, height: z };
+}
@@ -11,6 +11,7 @@
  * - Carton rotation optimization for maximum efficiency
  * - Container and pallet preset configurations
  * - 3D layout generation for visualization
+ * - Consistency check between summary numbers and 3D layout
  * 
  * Algorithm Architecture:
  * 1. Input validation → Constraint checking → Error reporting
@@ -25,8 +26,18 @@
  * - Scalable for large carton quantities
  */
 
-// Import 3D layout generation for visualization support
-import { create3DLayout } from './3d-layout.js';
+// The packing engine produces both the summary numbers and the 3D positions
+import { packLoad } from './packing-engine.js';
+import { packFloorLoad } from './floor-loading.js';
+import { getOrientedDimensions, palletLoadArea } from './3d-layout.js';
+import { EQUIPMENT_CATALOGUE, equipmentLimits } from './equipment-catalogue.js';
+
+/**
+ * Version of the packing engine. Bump it when an engine change can alter
+ * the plan for the same inputs: saved plans from another version are
+ * recalculated when they are opened.
+ */
+export const ENGINE_VERSION = 1;
 
 /**
  * VALIDATION_RULES - Input Constraint Definitions
@@ -49,7 +60,16 @@ export const VALIDATION_RULES = {
     width: { min: 1, max: 500, unit: 'cm' },       // Realistic packaging sizes
     height: { min: 1, max: 500, unit: 'cm' },      // Prevents impossibly large cartons
     weight: { min: 0.1, max: 1000, unit: 'kg' },   // Weight: 100g to 1 ton per carton
-    quantity: { min: 1, max: 10000, unit: 'pieces' } // Quantity: 1 to 10,000 cartons
+    quantity: { min: 1, max: 10000, unit: 'pieces' }, // Quantity: 1 to 10,000 cartons
+    maxLoadOnTop: { min: 0, max: 10000, unit: 'kg' }   // Crush strength: weight a carton carries on top
+  },
+  product: {
+    length: { min: 0.1, max: 200, unit: 'cm' },        // Product unit packed in a carton (carton designer)
+    width: { min: 0.1, max: 200, unit: 'cm' },
+    height: { min: 0.1, max: 200, unit: 'cm' },
+    weight: { min: 0.001, max: 100, unit: 'kg' },
+    unitsPerCarton: { min: 1, max: 500, unit: 'units' },
+    wallAllowance: { min: 0, max: 5, unit: 'cm' }      // Board and air per carton side
   },
   pallet: {
     length: { min: 50, max: 200, unit: 'cm' },         // Standard pallet size ranges
@@ -59,10 +79,20 @@ export const VALIDATION_RULES = {
     maxStackWeight: { min: 100, max: 2000, unit: 'kg' } // Stack weight: 100kg-2t
   },
   container: {
-    length: { min: 500, max: 1500, unit: 'cm' },       // Container length: 5-15m
-    width: { min: 200, max: 300, unit: 'cm' },         // Container width: 2-3m
-    height: { min: 200, max: 300, unit: 'cm' },        // Container height: 2-3m
-    weightCapacity: { min: 10000, max: 30000, unit: 'kg' } // Capacity: 10-30 tons
+    // Custom equipment; catalogue presets use their category limits (equipment-catalogue.js)
+    length: { min: 100, max: 1500, unit: 'cm' },       // ULD to 45ft container
+    width: { min: 100, max: 330, unit: 'cm' },
+    height: { min: 80, max: 310, unit: 'cm' },
+    weightCapacity: { min: 500, max: 45000, unit: 'kg' }, // Air ULD to flat-rack payload
+    doorWidth: { min: 50, max: 330, unit: 'cm' },      // Rear door opening; blank for top or side loading
+    doorHeight: { min: 50, max: 310, unit: 'cm' }
+  },
+  settings: {
+    maxCogOffset: { min: 0, max: 300, unit: 'cm' },     // Allowed centre of gravity offset from the container centre
+    maxPalletTiers: { min: 1, max: 5, unit: 'tiers' },  // Pallets stacked on each other in the container
+    maxTopPalletWeight: { min: 0, max: 2000, unit: 'kg' }, // Heaviest pallet allowed on top of another
+    overhangLength: { min: -10, max: 10, unit: 'cm' },  // Per pallet end: underhang (-) to overhang (+)
+    overhangWidth: { min: -10, max: 10, unit: 'cm' }    // Per pallet side
   }
 };
 
@@ -73,39 +103,29 @@ export const PALLET_PRESETS = {
   custom: { length: 120, width: 80, height: 14.5, name: 'Custom Pallet' }
 };
 
+// Catalogue equipment plus a free-form entry
 export const CONTAINER_PRESETS = {
-  '20ft': { 
-    length: 591.8, 
-    width: 235.2, 
-    height: 239.2, 
-    weightCapacity: 21600, 
-    name: '20ft Standard Container' 
-  },
-  '40ft': { 
-    length: 1219.2, 
-    width: 243.8, 
-    height: 259.1, 
-    weightCapacity: 26000, 
-    name: '40ft Standard Container' 
-  },
-  '40hc': { 
-    length: 1219.2, 
-    width: 243.8, 
-    height: 289.6, 
-    weightCapacity: 26000, 
-    name: '40ft High Cube Container' 
-  },
+  ...EQUIPMENT_CATALOGUE,
   custom: { 
     length: 1219.2, 
     width: 243.8, 
     height: 259.1, 
     weightCapacity: 26000, 
+    door: { width: 234, height: 228 },
     name: 'Custom Container' 
   }
 };
 
-export function validateInput(value, field, category) {
-  const rules = VALIDATION_RULES[category]?.[field];
+/**
+ * Container limits for a preset: its catalogue category, or the general
+ * container rules for custom equipment
+ */
+export function containerRules(preset) {
+  return { ...VALIDATION_RULES.container, ...equipmentLimits(preset) };
+}
+
+export function validateInput(value, field, category, categoryRules = VALIDATION_RULES[category]) {
+  const rules = categoryRules?.[field];
   if (!rules) return { isValid: true };
 
   const numValue = parseFloat(value);
@@ -134,12 +154,12 @@ export function validateInput(value, field, category) {
   return { isValid: true };
 }
 
-export function validateAllInputs(data, category) {
+export function validateAllInputs(data, category, categoryRules = VALIDATION_RULES[category]) {
   const errors = {};
   let isValid = true;
 
   Object.keys(data).forEach(field => {
-    const validation = validateInput(data[field], field, category);
+    const validation = validateInput(data[field], field, category, categoryRules);
     if (!validation.isValid) {
       errors[field] = validation.error;
       isValid = false;
@@ -149,122 +169,311 @@ export function validateAllInputs(data, category) {
   return { isValid, errors };
 }
 
-export function calculatePalletLoading(cartonData, palletData, settings = {}) {
-  const { length: cLength, width: cWidth, height: cHeight, weight: cWeight, quantity } = cartonData;
-  const { length: pLength, width: pWidth, maxStackHeight, maxStackWeight } = palletData;
-  const { enableRotation = true, considerLoadBearing = false } = settings;
-
-  // Calculate how many cartons fit on pallet base
-  const orientations = enableRotation ? [
-    { l: cLength, w: cWidth, name: 'normal' },
-    { l: cWidth, w: cLength, name: 'rotated' }
-  ] : [{ l: cLength, w: cWidth, name: 'normal' }];
+/**
+ * Check a whole set of plan inputs (form values) the way the wizard steps
+ * check them, for inputs that arrive from outside the wizard.
+ *
+ * @param {Object} inputs - { cartons, palletData, containerData, settings }
+ * @returns {Array<string>} Problems, each naming its carton type or step
+ */
+export function validatePlanInputs({ cartons, palletData, containerData, settings }) {
+  const problems = [];
+  const describe = (label, errors) => Object.values(errors).forEach(error => problems.push(`${label}: ${error}`));
 
-  let bestFit = { cartonsPerLayer: 0, orientation: 'normal' };
+  if (cartons.length === 0) problems.push('There are no carton types');
+  const skus = new Set();
+  cartons.forEach((carton, index) => {
+    const { id: _id, sku, maxLoadOnTop, ...fields } = carton;
+    const label = `Carton ${index + 1} (${sku || 'no SKU'})`;
+    describe(label, validateAllInputs(maxLoadOnTop === '' ? fields : { ...fields, maxLoadOnTop }, 'carton').errors);
+    if (skus.has(sku.trim().toLowerCase())) problems.push(`${label}: SKU appears twice`);
+    skus.add(sku.trim().toLowerCase());
+  });
 
-  orientations.forEach(orientation => {
-    const cartonsAlongLength = Math.floor(pLength / orientation.l);
-    const cartonsAlongWidth = Math.floor(pWidth / orientation.w);
-    const cartonsPerLayer = cartonsAlongLength * cartonsAlongWidth;
+  if (palletData.usePallets) {
+    const { preset: _preset, usePallets: _usePallets, ...fields } = palletData;
+    describe('Pallet', validateAllInputs(fields, 'pallet').errors);
+  }
 
-    if (cartonsPerLayer > bestFit.cartonsPerLayer) {
-      bestFit = { cartonsPerLayer, orientation: orientation.name };
-    }
+  const { preset, ...containerFields } = containerData;
+  ['doorWidth', 'doorHeight'].forEach(field => {
+    if (containerFields[field] === '') delete containerFields[field];
   });
+  describe('Container', validateAllInputs(containerFields, 'container', containerRules(preset)).errors);
 
-  // Calculate maximum layers
-  const maxLayersByHeight = Math.floor(maxStackHeight / cHeight);
-  const maxLayersByWeight = Math.floor(maxStackWeight / (cWeight * bestFit.cartonsPerLayer));
-  const maxLayers = considerLoadBearing ? 
-    Math.min(maxLayersByHeight, maxLayersByWeight) : 
-    maxLayersByHeight;
-
-  const cartonsPerPallet = bestFit.cartonsPerLayer * maxLayers;
-  const palletsNeeded = Math.ceil(quantity / cartonsPerPallet);
-  const totalCartonsPlaced = Math.min(quantity, palletsNeeded * cartonsPerPallet);
-  const remainingCartons = quantity - totalCartonsPlaced;
-
-  return {
-    cartonsPerLayer: bestFit.cartonsPerLayer,
-    maxLayers,
-    cartonsPerPallet,
-    palletsNeeded,
-    totalCartonsPlaced,
-    remainingCartons,
-    orientation: bestFit.orientation,
-    efficiency: (totalCartonsPlaced / quantity) * 100
-  };
+  const settingFields = ['overhangLength', 'overhangWidth', 'maxCogOffset',
+    ...(settings.stackablePallets ? ['maxPalletTiers', 'maxTopPalletWeight'] : [])];
+  describe('Settings', validateAllInputs(
+    Object.fromEntries(settingFields.filter(field => field in settings).map(field => [field, settings[field]])),
+    'settings'
+  ).errors);
+
+  return problems;
 }
 
-export function calculateContainerLoading(palletResult, containerData, palletData) {
-  const { palletsNeeded } = palletResult;
-  const { length: cLength, width: cWidth, height: cHeight, weightCapacity: _weightCapacity } = containerData;
-  const { length: pLength, width: pWidth, height: pHeight } = palletData;
-
-  // Calculate pallet orientations in container
-  const orientations = [
-    { l: pLength, w: pWidth, name: 'normal' },
-    { l: pWidth, w: pLength, name: 'rotated' }
-  ];
-
-  let bestContainerFit = { palletsPerContainer: 0, orientation: 'normal' };
-
-  orientations.forEach(orientation => {
-    const palletsAlongLength = Math.floor(cLength / orientation.l);
-    const palletsAlongWidth = Math.floor(cWidth / orientation.w);
-    const palletsPerLayer = palletsAlongLength * palletsAlongWidth;
-    
-    const maxLayers = Math.floor(cHeight / (pHeight + palletResult.maxLayers * palletResult.cartonsPerLayer > 0 ? 
-      (palletData.maxStackHeight || 200) : pHeight));
-    
-    const palletsPerContainer = palletsPerLayer * maxLayers;
-
-    if (palletsPerContainer > bestContainerFit.palletsPerContainer) {
-      bestContainerFit = { palletsPerContainer, orientation: orientation.name };
-    }
-  });
+export function generateOptimizationReport(cartonData, palletData, containerData, settings) {
+  // Accept either a single carton or a list of carton types (SKUs)
+  const cartonTypes = Array.isArray(cartonData) ? cartonData : [cartonData];
+  // Without pallets the cartons go straight onto the container floor
+  const floorLoaded = palletData.usePallets === false;
+  const load = floorLoaded
+    ? packFloorLoad(cartonTypes, containerData, settings)
+    : packLoad(cartonTypes, palletData, containerData, settings);
+  const { container } = load;
 
-  const containersNeeded = Math.ceil(palletsNeeded / bestContainerFit.palletsPerContainer);
-  const totalPalletsPlaced = Math.min(palletsNeeded, containersNeeded * bestContainerFit.palletsPerContainer);
-  
-  // Calculate space utilization
-  const usedVolume = totalPalletsPlaced * pLength * pWidth * (pHeight + palletResult.maxLayers * palletResult.cartonsPerLayer * 25); // Approximate carton height
-  const totalVolume = containersNeeded * cLength * cWidth * cHeight;
-  const spaceUtilization = (usedVolume / totalVolume) * 100;
-
-  return {
-    palletsPerContainer: bestContainerFit.palletsPerContainer,
-    containersNeeded,
-    totalPalletsPlaced,
-    spaceUtilization,
-    orientation: bestContainerFit.orientation
+  const totalCartons = cartonTypes.reduce((sum, carton) => sum + carton.quantity, 0);
+  const cartonsPlaced = load.skus.reduce((sum, sku) => sum + sku.placed, 0);
+  const remainingCartons = totalCartons - cartonsPlaced;
+  const efficiency = totalCartons > 0 ? (cartonsPlaced / totalCartons) * 100 : 0;
+  const visiblePallets = container.palletPositions.map(position => load.pallets[position.index]);
+  const firstContainer = container.containers[0];
+
+  // Pallet with the least crush strength to spare in its bottom layer
+  const weakestPallet = load.pallets
+    .filter(pallet => pallet.loadBearing)
+    .reduce((weakest, pallet) => (
+      !weakest || pallet.loadBearing.margin < weakest.loadBearing.margin ? pallet : weakest
+    ), null);
+
+  // Single-SKU loads also report the per-pallet stack of that SKU
+  const [firstSku] = load.skus;
+  const palletResult = {
+    palletsNeeded: load.pallets.length,
+    mixedPallets: load.pallets.filter(pallet => pallet.type === 'mixed').length,
+    totalCartonsPlaced: cartonsPlaced,
+    remainingCartons,
+    efficiency,
+    loadBearing: weakestPallet ? { ...weakestPallet.loadBearing, palletIndex: weakestPallet.index } : null,
+    // SKUs whose requested stacking pattern could not be built
+    patternWarnings: load.skus
+      .filter(sku => sku.patternFallback)
+      .map(sku => ({
+        sku: sku.sku,
+        message: `${sku.sku}: the ${sku.patternFallback} pattern does not fit this pallet, so simple stacking is used`
+      })),
+    ...(cartonTypes.length === 1 && !floorLoaded && {
+      cartonsPerLayer: firstSku.cartonsPerLayer,
+      maxLayers: firstSku.maxLayers,
+      cartonsPerPallet: firstSku.cartonsPerPallet,
+      orientation: firstSku.orientation,
+      pattern: firstSku.pattern,
+      stability: firstSku.stability,
+      selection: firstSku.selection,
+      layoutChoice: firstSku.choice,
+      lastPalletCartons: load.pallets[load.pallets.length - 1]?.cartonCount ?? 0
+    })
   };
-}
 
-export function generateOptimizationReport(cartonData, palletData, containerData, settings) {
-  const palletResult = calculatePalletLoading(cartonData, palletData, settings);
-  const containerResult = calculateContainerLoading(palletResult, containerData, palletData);
-  
-  // Generate 3D layout data
-  const layout3D = create3DLayout(cartonData, palletData, containerData, settings);
+  const containerResult = {
+    palletsPerContainer: container.palletsPerContainer,
+    palletTiers: container.maxPalletLayers,
+    maxTopPalletWeight: container.maxTopWeight ?? null,
+    containersNeeded: container.containersNeeded,
+    totalPalletsPlaced: load.pallets.length - container.unassignedPallets,
+    // Contents of each container in the plan
+    containers: container.containers.map(loaded => ({
+      index: loaded.index,
+      palletIndices: loaded.palletIndices,
+      palletCount: loaded.palletCount,
+      cartonCount: loaded.cartonCount,
+      weight: loaded.weight,
+      fill: loaded.fill * 100,
+      spaceUtilization: loaded.volumeUtilization * 100,
+      weightUtilization: loaded.weightUtilization * 100,
+      centerOfGravity: loaded.balance.centerOfGravity,
+      floorLoad: loaded.balance.floorLoad,
+      offCentre: loaded.balance.offCentre
+    })),
+    // Containers whose centre of gravity is further from the centre than allowed
+    balanceWarnings: container.containers
+      .filter(loaded => loaded.balance.offCentre)
+      .map(loaded => {
+        const { centerOfGravity, maxOffset } = loaded.balance;
+        return {
+          container: loaded.index,
+          message: `Container ${loaded.index + 1}: centre of gravity is ${centerOfGravity.length.toFixed(0)} cm along the length and ${centerOfGravity.width.toFixed(0)} cm across the width from centre (limit ${maxOffset} cm)`
+        };
+      }),
+    // Containers with pallet stacks that do not pass through the door
+    doorWarnings: container.containers
+      .filter(loaded => loaded.doorBlocked?.length > 0)
+      .map(loaded => {
+        const { width, height } = container.door;
+        const numbers = loaded.doorBlocked.map(pallet => pallet.index + 1).join(', ');
+        const tallest = Math.max(...loaded.doorBlocked.map(pallet => pallet.height));
+        return {
+          container: loaded.index,
+          palletIndices: loaded.doorBlocked.map(pallet => pallet.index),
+          message: `Container ${loaded.index + 1}: pallet${loaded.doorBlocked.length > 1 ? 's' : ''} ${numbers} (up to ${tallest.toFixed(0)} cm tall, ${loaded.doorBlocked[0].width.toFixed(0)} cm wide) cannot pass the ${width} × ${height} cm door`
+        };
+      }),
+    spaceUtilization: container.containerUtilization * 100,
+    weightUtilization: container.weightUtilization * 100,
+    orientation: container.orientation
+  };
 
-  return {
-    carton: cartonData,
+  const report = {
+    loadingMode: floorLoaded ? 'floor' : 'pallet',
+    carton: cartonTypes[0],
+    cartons: cartonTypes,
     pallet: { ...palletData, result: palletResult },
     container: { ...containerData, result: containerResult },
     settings,
+    engineVersion: ENGINE_VERSION,
     summary: {
-      totalCartons: cartonData.quantity,
-      cartonsPlaced: palletResult.totalCartonsPlaced,
-      remainingCartons: palletResult.remainingCartons,
-      palletsUsed: palletResult.palletsNeeded,
-      containersUsed: containerResult.containersNeeded,
-      efficiency: palletResult.efficiency,
-      spaceUtilization: containerResult.spaceUtilization
+      totalCartons,
+      cartonsPlaced,
+      remainingCartons,
+      palletsUsed: load.pallets.length,
+      containersUsed: container.containersNeeded,
+      efficiency,
+      spaceUtilization: containerResult.spaceUtilization,
+      skus: load.skus
+    },
+    // 3D layout data for visualization, taken from the same engine result
+    layout3D: {
+      cartonPositions: floorLoaded
+        ? firstContainer?.cartonPositions || []
+        : load.pallets[0]?.cartonPositions || [],
+      floorLoaded,
+      palletPositions: container.palletPositions,
+      pallets: load.pallets,
+      containers: container.containers,
+      palletLimits: load.limits,
+      totalPalletsPlaced: container.palletPositions.length,
+      totalCartons: floorLoaded
+        ? firstContainer?.cartonCount || 0
+        : visiblePallets.reduce((sum, pallet) => sum + pallet.cartonCount, 0),
+      remainingCartons,
+      spaceUtilization: container.containerUtilization,
+      weightUtilization: container.weightUtilization
     },
-    // Add 3D layout data for visualization
-    layout3D,
     timestamp: new Date().toISOString()
   };
+
+  report.consistency = checkReportConsistency(report);
+  return report;
 }
 
+/**
+ * Consistency Check
+ *
+ * Cross-checks the summary numbers against the pallet contents and
+ * positions that feed the 3D scene. Any mismatch is reported as an issue
+ * so it can be flagged in the results instead of silently disagreeing.
+ *
+ * @param {Object} report - Result of generateOptimizationReport
+ * @returns {{ isConsistent: boolean, issues: Array<{ code: string, message: string }> }}
+ */
+export function checkReportConsistency(report) {
+  const { summary, layout3D, pallet: palletData, container } = report;
+  const { pallets, palletLimits } = layout3D;
+  const issues = [];
+  const TOLERANCE = 0.01;
+
+  // Floor-loaded cartons sit directly in the containers instead of on pallets
+  const looseCartons = layout3D.containers.flatMap(loaded => loaded.cartonPositions || []);
+  const carriedCartons = [...pallets.flatMap(pallet => pallet.cartonPositions), ...looseCartons];
+  const holder = layout3D.floorLoaded ? 'the containers' : 'the pallets';
+
+  if (summary.cartonsPlaced > 0 && carriedCartons.length !== summary.cartonsPlaced) {
+    issues.push({
+      code: 'carton-count',
+      message: `Summary reports ${summary.cartonsPlaced} cartons placed but ${holder} hold ${carriedCartons.length}`
+    });
+  }
+
+  if (summary.palletsUsed !== pallets.length) {
+    issues.push({
+      code: 'pallet-count',
+      message: `Summary reports ${summary.palletsUsed} pallets but ${pallets.length} were built`
+    });
+  }
+
+  summary.skus.forEach(sku => {
+    const carried = carriedCartons.filter(position => position.sku === sku.sku).length;
+    if (sku.placed > 0 && carried !== sku.placed) {
+      issues.push({
+        code: 'sku-count',
+        message: `${sku.sku}: ${sku.placed} cartons reported placed but ${holder} hold ${carried}`
+      });
+    }
+  });
+
+  const cartonsBySku = new Map(report.cartons.map(carton => [carton.sku, carton]));
+  const loadArea = palletLoadArea(palletData, report.settings);
+  pallets.forEach(pallet => {
+    const label = `Pallet ${pallet.index + 1}`;
+
+    if (pallet.cartonPositions.length !== pallet.cartonCount) {
+      issues.push({ code: 'pallet-contents', message: `${label} lists ${pallet.cartonCount} cartons but holds ${pallet.cartonPositions.length}` });
+    }
+    if (pallet.weight > palletLimits.maxWeight + TOLERANCE) {
+      issues.push({ code: 'pallet-weight', message: `${label} weighs ${pallet.weight.toFixed(1)} kg, over the ${palletLimits.maxWeight} kg stack limit` });
+    }
+    if (pallet.loadHeight > palletLimits.maxHeight + TOLERANCE) {
+      issues.push({ code: 'pallet-height', message: `${label} is stacked ${pallet.loadHeight.toFixed(1)} cm high, over the ${palletLimits.maxHeight} cm limit` });
+    }
+    if (pallet.loadBearing && pallet.loadBearing.load > pallet.loadBearing.capacity + TOLERANCE) {
+      issues.push({ code: 'pallet-crush', message: `${label} puts ${pallet.loadBearing.load.toFixed(1)} kg on each bottom carton, over its ${pallet.loadBearing.capacity.toFixed(1)} kg load limit` });
+    }
+
+    const outside = pallet.cartonPositions.some(position => {
+      const dims = getOrientedDimensions(cartonsBySku.get(position.sku) || report.carton, position.rotation);
+      return position.x < -TOLERANCE || position.y < -TOLERANCE ||
+        position.x + dims.length > loadArea.length + TOLERANCE ||
+        position.y + dims.width > loadArea.width + TOLERANCE;
+    });
+    if (outside) {
+      issues.push({ code: 'pallet-footprint', message: `${label} has cartons outside the allowed pallet overhang` });
+    }
+  });
+
+  if (pallets.length > 0 && container.result.palletsPerContainer === 0) {
+    issues.push({ code: 'container-fit', message: 'Loaded pallets are taller than the container or do not fit its floor' });
+  }
+
+  layout3D.containers.forEach(loaded => {
+    const label = `Container ${loaded.index + 1}`;
+    if (loaded.palletPositions.length > container.result.palletsPerContainer) {
+      issues.push({
+        code: 'container-slots',
+        message: `The 3D layout places ${loaded.palletPositions.length} pallets in ${label}, which holds ${container.result.palletsPerContainer}`
+      });
+    }
+    if (loaded.weight > container.weightCapacity + TOLERANCE) {
+      issues.push({ code: 'container-weight', message: `${label} carries ${loaded.weight.toFixed(0)} kg, over its ${container.weightCapacity} kg capacity` });
+    }
+
+    const outside = (loaded.cartonPositions || []).some(position => {
+      const dims = getOrientedDimensions(cartonsBySku.get(position.sku) || report.carton, position.rotation);
+      return position.x < -TOLERANCE || position.y < -TOLERANCE || position.z < -TOLERANCE ||
+        position.x + dims.length > container.length + TOLERANCE ||
+        position.y + dims.width > container.width + TOLERANCE ||
+        position.z + dims.height > container.height + TOLERANCE;
+    });
+    if (outside) {
+      issues.push({ code: 'container-bounds', message: `${label} has cartons outside its internal dimensions` });
+    }
+
+    loaded.palletPositions.forEach(position => {
+      if (position.layer === 0) return;
+      const stacked = pallets[position.index];
+      if (position.layer >= container.result.palletTiers) {
+        issues.push({ code: 'pallet-tiers', message: `${label} stacks pallet ${position.index + 1} in tier ${position.layer + 1}, above the ${container.result.palletTiers}-tier limit` });
+      } else if (stacked && stacked.weight > (container.result.maxTopPalletWeight ?? Infinity) + TOLERANCE) {
+        issues.push({ code: 'pallet-top-weight', message: `${label} stacks pallet ${position.index + 1} (${stacked.weight.toFixed(0)} kg) on another pallet, over the ${container.result.maxTopPalletWeight} kg limit` });
+      }
+    });
+  });
+
+  const plannedPallets = layout3D.containers.reduce((sum, loaded) => sum + loaded.palletPositions.length, 0);
+  if (plannedPallets !== container.result.totalPalletsPlaced) {
+    issues.push({
+      code: 'container-plan',
+      message: `The container plan loads ${plannedPallets} pallets but ${container.result.totalPalletsPlaced} are reported placed`
+    });
+  }
+
+  return { isConsistent: issues.length === 0, issues };
+}
@@ -0,0 +1,86 @@
+import { describe, expect, it } from 'vitest';
+import { checkReportConsistency, generateOptimizationReport, validatePlanInputs } from './calculator.js';
+
+const cartons = [
+  { id: 'a', sku: 'A', length: 60, width: 40, height: 40, weight: 18, quantity: 150, maxLoadOnTop: null },
+  { id: 'b', sku: 'B', length: 40, width: 30, height: 30, weight: 9, quantity: 70, maxLoadOnTop: null }
+];
+const pallet = { length: 120, width: 80, height: 14.5, maxStackHeight: 180, maxStackWeight: 1000, usePallets: true };
+const container = { length: 589.8, width: 235, height: 239.3, weightCapacity: 28000 };
+const settings = { enableRotation: true, optimizationGoal: 'maxCartons' };
+
+const codes = report => checkReportConsistency(report).issues.map(issue => issue.code);
+
+describe('generateOptimizationReport', () => {
+  it('places every carton on pallets and agrees with its own layout', () => {
+    const report = generateOptimizationReport(cartons, pallet, container, settings);
+
+    expect(report.summary.cartonsPlaced).toBe(220);
+    expect(report.summary.remainingCartons).toBe(0);
+    expect(report.consistency).toEqual({ isConsistent: true, issues: [] });
+  });
+
+  it('plans the smallest carton on every stacking pattern in a few seconds', () => {
+    const started = performance.now();
+    const report = generateOptimizationReport(
+      [{ id: 'a', sku: 'A', length: 1, width: 1, height: 1, weight: 0.01, quantity: 10 }],
+      pallet,
+      container,
+      { ...settings, stackingPattern: 'auto' }
+    );
+
+    expect(report.summary.cartonsPlaced).toBe(10);
+    expect(performance.now() - started).toBeLessThan(5000);
+  }, 20000);
+
+  it('agrees with its own layout when floor loading', () => {
+    const report = generateOptimizationReport(cartons, { ...pallet, usePallets: false }, container, settings);
+
+    expect(report.loadingMode).toBe('floor');
+    expect(report.summary.cartonsPlaced).toBe(220);
+    expect(report.consistency.isConsistent).toBe(true);
+  });
+});
+
+describe('checkReportConsistency', () => {
+  it('flags a summary that disagrees with the pallets', () => {
+    const report = generateOptimizationReport(cartons, pallet, container, settings);
+    report.summary.cartonsPlaced += 1;
+    report.summary.palletsUsed += 1;
+
+    expect(codes(report)).toEqual(expect.arrayContaining(['carton-count', 'pallet-count']));
+  });
+
+  it('flags pallets over their limits and cartons off the pallet', () => {
+    const report = generateOptimizationReport(cartons, pallet, container, settings);
+    const [first] = report.layout3D.pallets;
+    first.weight = 1200;
+    first.loadHeight = 200;
+    first.cartonPositions[0].x = -10;
+
+    expect(codes(report)).toEqual(expect.arrayContaining(['pallet-weight', 'pallet-height', 'pallet-footprint']));
+  });
+
+  it('flags floor-loaded cartons outside the container', () => {
+    const report = generateOptimizationReport(cartons, { ...pallet, usePallets: false }, container, settings);
+    report.layout3D.containers[0].cartonPositions[0].z = container.height;
+
+    expect(codes(report)).toContain('container-bounds');
+  });
+});
+
+describe('validatePlanInputs', () => {
+  it('names every field outside the allowed limits', () => {
+    const problems = validatePlanInputs({
+      cartons: [{ sku: 'A', length: '0', width: '30', height: '25', weight: '12', quantity: '10', maxLoadOnTop: '' }],
+      palletData: { preset: 'euro', length: '120', width: '80', height: '14.5', maxStackHeight: '180', maxStackWeight: '1000' },
+      containerData: { preset: '20ft', length: '589.8', width: '235', height: '239.3', weightCapacity: '-1', doorWidth: '', doorHeight: '' },
+      settings: {}
+    });
+
+    expect(problems).toEqual([
+      expect.stringMatching(/^Carton 1 \(A\): length/),
+      expect.stringMatching(/^Container: weightCapacity/)
+    ]);
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * Carton Designer - Reverse Calculation From Product Units
+ *
+ * Answers "which carton should we pack this product in?" for a given pallet
+ * and container. A carton holds a fixed count of product units; every way
+ * of arranging that count in a block (units along the length × width ×
+ * height, each unit in any allowed orientation) gives a candidate carton.
+ * Each candidate runs through the same Layout3D pallet and container
+ * calculation as a real shipment, and the candidates are ranked by the
+ * product units that fit in one container.
+ *
+ * Inner-pack Rules:
+ * - Units keep "This Side Up" unless vertical rotation is allowed
+ * - The wall allowance is added on each side of the block (board and air)
+ * - Candidates outside the carton validation limits are skipped
+ */
+
+import { Layout3D, ORIENTATION_CODES, getOrientedDimensions } from './3d-layout.js';
+import { packFloorLoad } from './floor-loading.js';
+
+// Ranked candidates returned to the caller
+const MAX_SUGGESTIONS = 10;
+
+/**
+ * Every (a, b, c) with a × b × c = count
+ */
+function blockArrangements(count) {
+  const arrangements = [];
+  for (let a = 1; a <= count; a++) {
+    if (count % a !== 0) continue;
+    for (let b = 1; b <= count / a; b++) {
+      if ((count / a) % b !== 0) continue;
+      arrangements.push({ along: a, across: b, up: count / (a * b) });
+    }
+  }
+  return arrangements;
+}
+
+/**
+ * Candidate cartons for a product: one per distinct outer size.
+ *
+ * @param {Object} product - Unit { length, width, height, weight, unitsPerCarton, wallAllowance }
+ * @param {Object} settings - Optimization settings (rotation rules)
+ * @param {Object} limits - Carton limits { length, width, height, weight } as { min, max }
+ * @returns {Array<Object>} Cartons { length, width, height, weight, arrangement }
+ */
+export function cartonCandidates(product, settings = {}, limits = {}) {
+  const wall = product.wallAllowance || 0;
+  const unitOrientations = settings.preventVerticalRotation === false ? ORIENTATION_CODES : ['LWH', 'WLH'];
+  const within = (value, limit) => !limit || (value >= limit.min && value <= limit.max);
+  const candidates = new Map();
+
+  blockArrangements(product.unitsPerCarton).forEach(block => {
+    unitOrientations.forEach(orientation => {
+      const unit = getOrientedDimensions(product, orientation);
+      const carton = {
+        length: block.along * unit.length + 2 * wall,
+        width: block.across * unit.width + 2 * wall,
+        height: block.up * unit.height + 2 * wall,
+        weight: Math.round(product.unitsPerCarton * product.weight * 1000) / 1000,
+        arrangement: { ...block, orientation }
+      };
+
+      const fits = ['length', 'width', 'height', 'weight'].every(key => within(carton[key], limits[key]));
+      // A carton turned on the pallet is the same carton: turned 90° always,
+      // on its side or end too when vertical rotation is allowed
+      const dims = unitOrientations === ORIENTATION_CODES
+        ? [carton.length, carton.width, carton.height].sort((x, y) => y - x)
+        : [Math.max(carton.length, carton.width), Math.min(carton.length, carton.width), carton.height];
+      const key = dims.map(value => value.toFixed(2)).join('×');
+      if (fits && !candidates.has(key)) {
+        candidates.set(key, carton);
+      }
+    });
+  });
+
+  return [...candidates.values()];
+}
+
+/**
+ * Cartons of one candidate that fit in a single container, with the pallet stack used
+ */
+function evaluateCarton(carton, palletData, containerData, settings) {
+  const { weightCapacity } = containerData;
+
+  if (palletData.usePallets === false) {
+    // Enough cartons to fill one container, so the first one comes out full
+    const volume = containerData.length * containerData.width * containerData.height;
+    const quantity = Math.max(1, Math.min(
+      Math.floor(volume / (carton.length * carton.width * carton.height)),
+      Math.floor(weightCapacity / carton.weight)
+    ));
+    const load = packFloorLoad([{ ...carton, sku: 'design', quantity }], containerData, settings);
+    const cartonsPerContainer = load.container.containers[0]?.cartonCount ?? 0;
+    return cartonsPerContainer > 0 ? { cartonsPerContainer, cartonsPerPallet: null, palletsPerContainer: null, pattern: null } : null;
+  }
+
+  // Rank the stacks on the pallet by density; the designer ranks the cartons itself
+  const layout3D = new Layout3D(
+    { ...carton, sku: 'design', quantity: 1, maxLoadOnTop: null },
+    palletData,
+    containerData,
+    { ...settings, optimizationGoal: 'maxCartons', layoutChoices: {} }
+  );
+  const layout = layout3D.calculatePalletLayout();
+  if (!layout || layout.totalCartons === 0) return null;
+
+  const palletWeight = layout.totalCartons * carton.weight;
+  const plan = layout3D.calculateContainerLayout([
+    { index: 0, loadHeight: layout.loadHeight, weight: palletWeight, cartonCount: layout.totalCartons }
+  ]);
+  if (plan.palletsPerContainer === 0) return null;
+
+  // Pallets per container by space, by weight and by pallets too heavy to go on top
+  const palletsPerContainer = Math.min(
+    plan.palletsPerContainer,
+    Math.floor(weightCapacity / palletWeight),
+    palletWeight > plan.maxTopWeight ? plan.palletsPerLayer : Infinity
+  );
+
+  return {
+    cartonsPerPallet: layout.totalCartons,
+    palletsPerContainer,
+    cartonsPerContainer: palletsPerContainer * layout.totalCartons,
+    pattern: layout.pattern,
+    stability: layout.stability ?? 0
+  };
+}
+
+/**
+ * Recommend carton sizes for a product on the given pallet and container.
+ *
+ * @param {Object} product - Unit { length, width, height, weight, unitsPerCarton, wallAllowance }
+ * @param {Object} palletData - Pallet dimensions and stack limits (usePallets false for floor loading)
+ * @param {Object} containerData - Container dimensions and weight capacity
+ * @param {Object} settings - Optimization settings
+ * @param {Object} limits - Carton validation limits
+ * @returns {Object} { evaluated, suggestions: [{ carton, arrangement, unitsPerContainer, ... }] }, best first
+ */
+export function designCartons(product, palletData, containerData, settings = {}, limits = {}) {
+  const candidates = cartonCandidates(product, settings, limits);
+
+  const suggestions = candidates
+    .map(({ arrangement, ...carton }) => {
+      const result = evaluateCarton(carton, palletData, containerData, settings);
+      if (!result) return null;
+      return {
+        carton,
+        arrangement,
+        ...result,
+        unitsPerPallet: result.cartonsPerPallet === null ? null : result.cartonsPerPallet * product.unitsPerCarton,
+        unitsPerContainer: result.cartonsPerContainer * product.unitsPerCarton
+      };
+    })
+    .filter(Boolean)
+    // Most units per container; ties go to fuller pallets, then the more stable stack
+    .sort((a, b) => (
+      (b.unitsPerContainer - a.unitsPerContainer) ||
+      ((b.unitsPerPallet ?? 0) - (a.unitsPerPallet ?? 0)) ||
+      ((b.stability ?? 0) - (a.stability ?? 0))
+    ));
+
+  return {
+    evaluated: candidates.length,
+    suggestions: suggestions.slice(0, MAX_SUGGESTIONS)
+  };
+}
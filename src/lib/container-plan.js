@@ -0,0 +1,75 @@
+/**
+ * Container Plan - Distributing Pallets Across Containers
+ *
+ * Splits a shipment's pallets over as many containers as it needs and keeps
+ * the containers balanced: each pallet goes to the container whose combined
+ * weight share and fill share would stay lowest after adding it.
+ * Heaviest pallets are assigned first so they spread evenly.
+ *
+ * Pallets too heavy to stand on another pallet need a floor slot, so each
+ * container takes at most one floor's worth of them.
+ */
+
+/**
+ * Assign pallets to containers.
+ *
+ * @param {Array<Object>} pallets - Pallets with index and weight
+ * @param {Object} capacity - { containersNeeded, palletsPerContainer, maxWeight,
+ *   palletsPerLayer, maxTopWeight }; the last two are optional floor-slot limits
+ * @returns {Array<Array<Object>>} Pallets per container; pallets heavier than
+ *   a whole container are left out
+ */
+export function balanceContainers(pallets, {
+  containersNeeded,
+  palletsPerContainer,
+  maxWeight,
+  palletsPerLayer = palletsPerContainer,
+  maxTopWeight = Infinity
+}) {
+  if (pallets.length === 0 || palletsPerContainer === 0) return [];
+
+  // A pallet heavier than the container capacity cannot be shipped at all
+  const ordered = pallets
+    .filter(pallet => pallet.weight <= maxWeight)
+    .sort((a, b) => (b.weight - a.weight) || (a.index - b.index));
+
+  for (let count = Math.max(1, containersNeeded); count <= ordered.length; count++) {
+    const containers = Array.from({ length: count }, () => ({ pallets: [], weight: 0, floorOnly: 0 }));
+    let fitsAll = true;
+
+    for (const pallet of ordered) {
+      const floorOnly = pallet.weight > maxTopWeight;
+      let target = null;
+      let targetScore = Infinity;
+
+      containers.forEach(container => {
+        if (container.pallets.length >= palletsPerContainer) return;
+        if (container.weight + pallet.weight > maxWeight) return;
+        if (floorOnly && container.floorOnly >= palletsPerLayer) return;
+
+        const score = (container.weight + pallet.weight) / maxWeight +
+          (container.pallets.length + 1) / palletsPerContainer;
+        if (score < targetScore) {
+          target = container;
+          targetScore = score;
+        }
+      });
+
+      if (!target) {
+        fitsAll = false;
+        break;
+      }
+
+      target.pallets.push(pallet);
+      target.weight += pallet.weight;
+      if (floorOnly) target.floorOnly += 1;
+    }
+
+    if (fitsAll) {
+      // Keep each container's pallets in shipment order
+      return containers.map(container => container.pallets.sort((a, b) => a.index - b.index));
+    }
+  }
+
+  return [];
+}
@@ -0,0 +1,148 @@
+/**
+ * Equipment Catalogue - Containers, Trailers and Air ULDs
+ *
+ * Data for every piece of load equipment the planner knows: sea containers,
+ * reefers, open-top and flat-rack units, road trailers, LTL truck bays and
+ * air unit load devices (ULDs). Each entry gives its internal size, payload
+ * and door opening. Each category has its own validation limits, so a ULD
+ * is not held to container sizes.
+ *
+ * Catalogue Rules:
+ * - Sizes are internal usable space (cm), payload in kg
+ * - `door` is the rear door opening { width, height }; null when the unit is
+ *   loaded from the top or the side (open-top, flat-rack, curtainsider, ULD pallet)
+ * - Contoured ULDs list their cross-section as steps of usable width by
+ *   height; loads are planned in the largest box that fits inside the contour
+ * - Reefer sizes already allow for the cooling unit and the T-floor
+ */
+
+/**
+ * Validation limits per equipment category, in the shape of VALIDATION_RULES
+ */
+export const EQUIPMENT_CATEGORIES = {
+  sea: {
+    name: 'Sea Containers',
+    limits: {
+      length: { min: 500, max: 1400, unit: 'cm' },
+      width: { min: 220, max: 250, unit: 'cm' },
+      height: { min: 220, max: 300, unit: 'cm' },
+      weightCapacity: { min: 10000, max: 32500, unit: 'kg' }
+    }
+  },
+  reefer: {
+    name: 'Reefer Containers',
+    limits: {
+      length: { min: 400, max: 1300, unit: 'cm' },
+      width: { min: 200, max: 240, unit: 'cm' },
+      height: { min: 200, max: 270, unit: 'cm' },
+      weightCapacity: { min: 10000, max: 32500, unit: 'kg' }
+    }
+  },
+  special: {
+    name: 'Open-Top and Flat-Rack',
+    limits: {
+      length: { min: 500, max: 1300, unit: 'cm' },
+      width: { min: 200, max: 250, unit: 'cm' },
+      height: { min: 150, max: 300, unit: 'cm' },
+      weightCapacity: { min: 10000, max: 45000, unit: 'kg' }
+    }
+  },
+  road: {
+    name: 'Road Trailers and LTL',
+    limits: {
+      length: { min: 200, max: 1400, unit: 'cm' },
+      width: { min: 220, max: 260, unit: 'cm' },
+      height: { min: 200, max: 310, unit: 'cm' },
+      weightCapacity: { min: 1000, max: 26000, unit: 'kg' }
+    }
+  },
+  air: {
+    name: 'Air ULDs',
+    limits: {
+      length: { min: 100, max: 350, unit: 'cm' },
+      width: { min: 100, max: 330, unit: 'cm' },
+      height: { min: 80, max: 300, unit: 'cm' },
+      weightCapacity: { min: 500, max: 7000, unit: 'kg' }
+    }
+  }
+};
+
+/**
+ * Largest rectangular cross-section inside a contour.
+ *
+ * @param {Array<Object>} contour - Steps { upTo, width }, bottom first: the usable
+ *   width from the previous step's height up to `upTo` (cm)
+ * @returns {Object} { width, height }
+ */
+export function contourBox(contour) {
+  let best = { width: 0, height: 0 };
+  let narrowest = Infinity;
+
+  contour.forEach(step => {
+    // A box this tall must fit the narrowest step below its top
+    narrowest = Math.min(narrowest, step.width);
+    if (narrowest * step.upTo > best.width * best.height) {
+      best = { width: narrowest, height: step.upTo };
+    }
+  });
+
+  return best;
+}
+
+const ENTRIES = {
+  '20ft': { category: 'sea', name: '20ft Standard Container', length: 591.8, width: 235.2, height: 239.2, weightCapacity: 21600, door: { width: 234, height: 228 } },
+  '40ft': { category: 'sea', name: '40ft Standard Container', length: 1219.2, width: 243.8, height: 259.1, weightCapacity: 26000, door: { width: 234, height: 228 } },
+  '40hc': { category: 'sea', name: '40ft High Cube Container', length: 1219.2, width: 243.8, height: 289.6, weightCapacity: 26000, door: { width: 234, height: 258 } },
+  '45hc': { category: 'sea', name: '45ft High Cube Container', length: 1355.6, width: 235.2, height: 269.8, weightCapacity: 27700, door: { width: 234, height: 258 } },
+  '40pw': { category: 'sea', name: '40ft Pallet-Wide High Cube', length: 1233, width: 244, height: 270, weightCapacity: 28000, door: { width: 242, height: 258 } },
+  '45pw': { category: 'sea', name: '45ft Pallet-Wide High Cube', length: 1370, width: 246, height: 270, weightCapacity: 27600, door: { width: 244, height: 258 } },
+
+  '20rf': { category: 'reefer', name: '20ft Reefer Container', length: 544, width: 229, height: 227, weightCapacity: 27400, door: { width: 229, height: 226 } },
+  '40rh': { category: 'reefer', name: '40ft High Cube Reefer', length: 1158, width: 229, height: 255, weightCapacity: 29000, door: { width: 229, height: 250 } },
+
+  '20ot': { category: 'special', name: '20ft Open-Top Container', length: 589, width: 235, height: 235, weightCapacity: 28100, door: null },
+  '40ot': { category: 'special', name: '40ft Open-Top Container', length: 1203, width: 235, height: 235, weightCapacity: 26500, door: null },
+  '40fr': { category: 'special', name: '40ft Flat-Rack', length: 1208, width: 224, height: 195, weightCapacity: 40000, door: null },
+
+  'trailer-136': { category: 'road', name: 'Curtainsider Trailer (13.6 m)', length: 1360, width: 248, height: 270, weightCapacity: 24000, door: null },
+  'swap-77': { category: 'road', name: 'Swap Body (7.7 m)', length: 770, width: 244, height: 265, weightCapacity: 15000, door: { width: 244, height: 260 } },
+  'ltl-4m': { category: 'road', name: 'LTL Truck Bay (4 loading metres)', length: 400, width: 248, height: 270, weightCapacity: 9000, door: { width: 248, height: 265 } },
+  'ltl-2m': { category: 'road', name: 'LTL Truck Bay (2 loading metres)', length: 200, width: 248, height: 270, weightCapacity: 4500, door: { width: 248, height: 265 } },
+
+  // Lower deck container: narrow base, wider above the hold's floor curve
+  ld3: {
+    category: 'air',
+    name: 'LD3 / AKE Air Container',
+    length: 153.4,
+    contour: [{ upTo: 114, width: 156.2 }, { upTo: 163, width: 201 }],
+    weightCapacity: 1588,
+    door: { width: 150, height: 155 }
+  },
+  // Main deck pallet under the Q6 contour: full width low, tapered at the top
+  pmc: {
+    category: 'air',
+    name: 'PMC Air Pallet (Q6 contour)',
+    length: 243.8,
+    contour: [{ upTo: 163, width: 317.5 }, { upTo: 244, width: 244 }],
+    weightCapacity: 6804,
+    door: null
+  }
+};
+
+/**
+ * The catalogue: entries with their planning size resolved
+ */
+export const EQUIPMENT_CATALOGUE = Object.fromEntries(
+  Object.entries(ENTRIES).map(([key, entry]) => [
+    key,
+    entry.contour ? { ...entry, ...contourBox(entry.contour) } : entry
+  ])
+);
+
+/**
+ * Validation limits for a catalogue entry, or null for equipment outside it
+ */
+export function equipmentLimits(key) {
+  const entry = EQUIPMENT_CATALOGUE[key];
+  return entry ? EQUIPMENT_CATEGORIES[entry.category].limits : null;
+}
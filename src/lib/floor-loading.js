@@ -0,0 +1,224 @@
+/**
+ * Floor Loading - Cartons Packed Directly Into the Container
+ *
+ * Used when pallets are switched off. Cartons are built into walls across
+ * the container: each wall is one carton deep along the container length
+ * and fills the width × height cross-section in columns from the floor up.
+ * Walls are added until the length or the weight capacity runs out, then
+ * loading continues in the next container. A container that is not full
+ * keeps its walls together, moved along the length so their centre of
+ * gravity is as close to the middle as the container allows, and every wall
+ * is centred across the width, so a part load is not off-centre by layout.
+ * With centerHeavyPallets on, the heaviest walls stand nearest the middle.
+ *
+ * Coordinates: x along the container length, y across its width, z up,
+ * measured from the front-left floor corner (cm).
+ */
+
+import { ORIENTATION_CODES, getOrientedDimensions, maxLayersUnderLoad } from './3d-layout.js';
+import { DEFAULT_MAX_COG_OFFSET, analyzeLoadBalance, groupStacks } from './load-balance.js';
+
+/**
+ * Orientations the settings allow for loose cartons
+ */
+function allowedOrientations(settings = {}) {
+  if (!settings.enableRotation) return ['LWH'];
+  if (settings.preventVerticalRotation === false) return ORIENTATION_CODES;
+  return ['LWH', 'WLH'];
+}
+
+/**
+ * Best wall for one carton type: the orientation that packs the most
+ * cartons per centimetre of container length. Columns stop at the height
+ * the bottom carton can carry.
+ */
+function bestWall(carton, container, settings) {
+  let best = null;
+
+  allowedOrientations(settings).forEach(rotation => {
+    const dims = getOrientedDimensions(carton, rotation);
+    const columns = Math.floor(container.width / dims.width);
+    const rows = Math.min(Math.floor(container.height / dims.height), maxLayersUnderLoad(carton, settings));
+    const perWall = columns * rows;
+    if (perWall === 0 || dims.length > container.length) return;
+
+    const density = perWall / dims.length;
+    if (!best || density > best.density) {
+      best = { rotation, dims, columns, rows, perWall, density };
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Place the walls of one container along its length, as one block with its
+ * centre of gravity as close to the middle as the length allows. Walls keep
+ * their loading order, or with centring on the heaviest stand in the middle
+ * and the next ones alternately in front of and behind them.
+ */
+function placeWalls(walls, length, centerHeavy) {
+  let order = walls;
+  if (centerHeavy) {
+    const front = [];
+    const back = [];
+    [...walls].sort((a, b) => b.weight - a.weight).forEach((wall, index) => {
+      (index % 2 === 0 ? back : front).push(wall);
+    });
+    order = [...front.reverse(), ...back];
+  }
+
+  const starts = [];
+  const blockLength = order.reduce((start, wall) => {
+    starts.push(start);
+    return start + wall.depth;
+  }, 0);
+  const weight = order.reduce((sum, wall) => sum + wall.weight, 0);
+  const centre = weight > 0
+    ? order.reduce((sum, wall, index) => sum + wall.weight * (starts[index] + wall.depth / 2), 0) / weight
+    : blockLength / 2;
+  const shift = Math.min(Math.max(length / 2 - centre, 0), length - blockLength);
+
+  return order.flatMap((wall, index) => (
+    wall.positions.map(position => ({ x: shift + starts[index], ...position }))
+  ));
+}
+
+/**
+ * Pack cartons straight onto the container floor.
+ *
+ * @param {Array<Object>} cartonTypes - Cartons with sku, dimensions, weight and quantity
+ * @param {Object} containerData - Container dimensions and weight capacity
+ * @param {Object} settings - Optimization settings
+ * @returns {Object} Same shape as packLoad, with loose cartons per container
+ */
+export function packFloorLoad(cartonTypes, containerData, settings = {}) {
+  const { length: cL, width: cW, height: cH, weightCapacity } = containerData;
+  const containerVolume = cL * cW * cH;
+
+  const containers = [];
+  let current = null;
+  const openContainer = () => {
+    current = { index: containers.length, walls: [], weight: 0, usedLength: 0, volume: 0 };
+    containers.push(current);
+  };
+
+  // Largest cartons first so small ones do not block the floor
+  const ordered = [...cartonTypes].sort((a, b) => (
+    (b.length * b.width * b.height) - (a.length * a.width * a.height)
+  ));
+
+  const placedBySku = new Map();
+
+  ordered.forEach(carton => {
+    const wall = bestWall(carton, containerData, settings);
+    if (!wall || carton.weight > weightCapacity) return;
+
+    let remaining = carton.quantity;
+    while (remaining > 0) {
+      if (!current || current.usedLength + wall.dims.length > cL || current.weight + carton.weight > weightCapacity) {
+        openContainer();
+      }
+
+      const byWeight = Math.floor((weightCapacity - current.weight) / carton.weight);
+      const count = Math.min(remaining, wall.perWall, byWeight);
+
+      // Columns across the width, centred, each stacked from the floor up
+      const offset = (cW - Math.ceil(count / wall.rows) * wall.dims.width) / 2;
+      const positions = [];
+      for (let i = 0; i < count; i++) {
+        const column = Math.floor(i / wall.rows);
+        const row = i % wall.rows;
+        positions.push({
+          y: offset + column * wall.dims.width,
+          z: row * wall.dims.height,
+          layer: row,
+          rotation: wall.rotation,
+          gridX: column,
+          gridY: row,
+          sku: carton.sku
+        });
+      }
+
+      current.walls.push({ depth: wall.dims.length, weight: count * carton.weight, positions });
+      current.usedLength += wall.dims.length;
+      current.weight += count * carton.weight;
+      current.volume += count * carton.length * carton.width * carton.height;
+      placedBySku.set(carton.sku, (placedBySku.get(carton.sku) || 0) + count);
+      remaining -= count;
+    }
+  });
+
+  // Columns of loose cartons are the stacks for the balance check
+  const cartonsBySku = new Map(cartonTypes.map(carton => [carton.sku, carton]));
+  const balanceOf = (positions) => analyzeLoadBalance(
+    groupStacks(positions.map(position => {
+      const carton = cartonsBySku.get(position.sku);
+      const dims = getOrientedDimensions(carton, position.rotation);
+      return {
+        x: position.x + dims.length / 2 - cL / 2,
+        z: position.y + dims.width / 2 - cW / 2,
+        length: dims.length,
+        width: dims.width,
+        weight: carton.weight
+      };
+    })),
+    { length: cL, width: cW },
+    settings.maxCogOffset ?? DEFAULT_MAX_COG_OFFSET
+  );
+
+  const loadedContainers = containers.map(loaded => {
+    const cartonPositions = placeWalls(loaded.walls, cL, Boolean(settings.centerHeavyPallets));
+    return {
+      index: loaded.index,
+      palletIndices: [],
+      palletPositions: [],
+      cartonPositions,
+      palletCount: 0,
+      cartonCount: cartonPositions.length,
+      weight: loaded.weight,
+      fill: loaded.usedLength / cL,
+      volumeUtilization: loaded.volume / containerVolume,
+      weightUtilization: loaded.weight / weightCapacity,
+      balance: balanceOf(cartonPositions)
+    };
+  });
+
+  const totalWeight = containers.reduce((sum, loaded) => sum + loaded.weight, 0);
+  const totalVolume = containers.reduce((sum, loaded) => sum + loaded.volume, 0);
+
+  const skus = cartonTypes.map(carton => {
+    const wall = bestWall(carton, containerData, settings);
+    const placed = placedBySku.get(carton.sku) || 0;
+    return {
+      id: carton.id,
+      sku: carton.sku,
+      quantity: carton.quantity,
+      cartonsPerWall: wall?.perWall ?? 0,
+      orientation: wall?.rotation ?? null,
+      placed,
+      remaining: carton.quantity - placed
+    };
+  });
+
+  return {
+    pallets: [],
+    skus,
+    fitsContainer: true,
+    limits: null,
+    container: {
+      mode: 'floor',
+      palletsPerLayer: 0,
+      maxPalletLayers: 0,
+      palletsPerContainer: 0,
+      containersNeeded: containers.length,
+      orientation: 'normal',
+      containers: loadedContainers,
+      palletPositions: [],
+      unassignedPallets: 0,
+      totalWeight,
+      containerUtilization: containers.length > 0 ? totalVolume / (containers.length * containerVolume) : 0,
+      weightUtilization: containers.length > 0 ? totalWeight / (containers.length * weightCapacity) : 0
+    }
+  };
+}
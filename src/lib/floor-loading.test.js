@@ -0,0 +1,75 @@
+import { describe, expect, it } from 'vitest';
+import { getOrientedDimensions } from './3d-layout.js';
+import { packFloorLoad } from './floor-loading.js';
+
+const container = { length: 589.8, width: 235, height: 239.3, weightCapacity: 28000 };
+const heavy = { sku: 'H', length: 60, width: 40, height: 40, weight: 40, quantity: 90 };
+const light = { sku: 'L', length: 50, width: 50, height: 50, weight: 5, quantity: 37 };
+
+const boxesOf = (loaded, cartons) => loaded.cartonPositions.map(position => ({
+  ...position,
+  ...getOrientedDimensions(cartons.find(carton => carton.sku === position.sku), position.rotation)
+}));
+
+describe('packFloorLoad', () => {
+  it('places every carton inside the container without overlaps', () => {
+    const cartons = [{ ...heavy, quantity: 900 }, { ...light, quantity: 370 }];
+    const load = packFloorLoad(cartons, container, { enableRotation: true });
+
+    expect(load.skus.every(sku => sku.remaining === 0)).toBe(true);
+    load.container.containers.forEach(loaded => {
+      const boxes = boxesOf(loaded, cartons);
+      boxes.forEach((box, index) => {
+        expect(box.x).toBeGreaterThanOrEqual(0);
+        expect(box.y).toBeGreaterThanOrEqual(0);
+        expect(box.x + box.length).toBeLessThanOrEqual(container.length + 1e-6);
+        expect(box.y + box.width).toBeLessThanOrEqual(container.width + 1e-6);
+        expect(box.z + box.height).toBeLessThanOrEqual(container.height + 1e-6);
+        const clash = boxes.slice(index + 1).some(other => (
+          Math.min(box.x + box.length, other.x + other.length) - Math.max(box.x, other.x) > 1e-6 &&
+          Math.min(box.y + box.width, other.y + other.width) - Math.max(box.y, other.y) > 1e-6 &&
+          Math.min(box.z + box.height, other.z + other.height) - Math.max(box.z, other.z) > 1e-6
+        ));
+        expect(clash).toBe(false);
+      });
+    });
+  });
+
+  it('opens another container when the weight capacity runs out', () => {
+    const load = packFloorLoad([{ ...heavy, weight: 100, quantity: 400 }], container, {});
+
+    expect(load.container.containersNeeded).toBe(2);
+    expect(load.container.containers[0].weight).toBeLessThanOrEqual(container.weightCapacity);
+  });
+
+  it.each([false, true])('keeps a part load centred (heavy walls centred: %s)', (centerHeavyPallets) => {
+    const load = packFloorLoad([heavy, light], container, { enableRotation: true, centerHeavyPallets });
+    const [loaded] = load.container.containers;
+
+    expect(loaded.fill).toBeLessThan(1);
+    expect(Math.abs(loaded.balance.centerOfGravity.length)).toBeLessThan(1);
+    expect(Math.abs(loaded.balance.centerOfGravity.width)).toBeLessThan(1);
+    expect(loaded.balance.offCentre).toBe(false);
+  });
+
+  it('stands the heaviest walls in the middle with centring on', () => {
+    const cartons = [{ ...light, quantity: 60 }, heavy];
+    const wallWeights = (settings) => {
+      const [loaded] = packFloorLoad(cartons, container, { enableRotation: true, ...settings }).container.containers;
+      const byWall = new Map();
+      boxesOf(loaded, cartons).forEach(box => {
+        const centre = box.x + box.length / 2;
+        byWall.set(centre, (byWall.get(centre) || 0) + cartons.find(carton => carton.sku === box.sku).weight);
+      });
+      return [...byWall].sort((a, b) => a[0] - b[0]).map(([, weight]) => weight);
+    };
+
+    const walls = wallWeights({ centerHeavyPallets: true });
+    const heaviest = walls.indexOf(Math.max(...walls));
+    expect(heaviest).toBeGreaterThan(0);
+    expect(heaviest).toBeLessThan(walls.length - 1);
+    // Without centring the walls keep their loading order, light (largest) cartons first
+    expect(wallWeights({})[0]).toBeLessThan(walls[heaviest]);
+    expect(wallWeights({})).not.toEqual(walls);
+  });
+});
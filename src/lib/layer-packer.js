@@ -0,0 +1,110 @@
+/**
+ * Layer Packer - Guillotine Block Heuristic
+ *
+ * Packs one pallet layer with a carton in both upright orientations.
+ * The layer is built from grid blocks: a block of one orientation fills a
+ * corner of the rectangle, and the two strips left beside and above it are
+ * packed the same way, recursively. Every cut runs straight across its
+ * rectangle (guillotine cuts), so strips and L-shaped gaps left by a plain
+ * grid get filled with cartons turned the other way.
+ *
+ * Returns layer cells ({ x, y, length, width, rotation }) in the same shape
+ * as the stacking pattern generators, ready for stackLayers().
+ */
+
+import { gridCells } from './stacking-patterns.js';
+
+const EPSILON = 1e-6;
+
+// Above this many states the recursion is skipped and the plain grid is kept
+const MAX_STATES = 20000;
+
+// Unwinds the recursion when the search passes MAX_STATES; any other error is a bug
+class SearchTooLarge extends Error {}
+
+const keyOf = (length, width) => `${length.toFixed(3)}:${width.toFixed(3)}`;
+
+/**
+ * Pack a rectangle with carton footprints.
+ *
+ * @param {Object} area - Rectangle to fill { length, width } (cm)
+ * @param {Object} carton - Carton footprint { length, width } (cm)
+ * @param {Object} options - { allowRotation }: also use the carton turned 90°
+ * @returns {Array<Object>|null} Layer cells, or null if the search was too large
+ */
+export function packLayer(area, carton, { allowRotation = true } = {}) {
+  const orientations = [{ length: carton.length, width: carton.width, rotation: 'LWH' }];
+  if (allowRotation && carton.length !== carton.width) {
+    orientations.push({ length: carton.width, width: carton.length, rotation: 'WLH' });
+  }
+
+  const memo = new Map();
+
+  // Best split of a rectangle: { count, block, rest: [[x, y, length, width], ...] }
+  const solve = (length, width) => {
+    if (length < EPSILON || width < EPSILON) return { count: 0 };
+
+    const key = keyOf(length, width);
+    if (memo.has(key)) return memo.get(key);
+    if (memo.size > MAX_STATES) throw new SearchTooLarge('Layer search too large');
+
+    let best = { count: 0 };
+    // No split can beat the area bound, so stop searching once it is reached
+    const bound = Math.floor((length * width + EPSILON) / (carton.length * carton.width));
+
+    for (const orientation of orientations) {
+      const cols = Math.floor((length + EPSILON) / orientation.length);
+      const rows = Math.floor((width + EPSILON) / orientation.width);
+      if (cols === 0 || rows === 0) continue;
+
+      // Full-width block of i columns, then the strip beside it and the gap above it
+      for (let i = cols; i >= 1 && best.count < bound; i--) {
+        const blockLength = i * orientation.length;
+        const blockWidth = rows * orientation.width;
+        const rest = [
+          [blockLength, 0, length - blockLength, width],
+          [0, blockWidth, blockLength, width - blockWidth]
+        ];
+        const count = i * rows + rest.reduce((sum, [, , l, w]) => sum + solve(l, w).count, 0);
+        if (count > best.count) {
+          best = { count, block: { ...orientation, cols: i, rows }, rest };
+        }
+      }
+
+      // Full-length block of j rows, then the strip above it and the gap beside it
+      for (let j = rows; j >= 1 && best.count < bound; j--) {
+        const blockLength = cols * orientation.length;
+        const blockWidth = j * orientation.width;
+        const rest = [
+          [0, blockWidth, length, width - blockWidth],
+          [blockLength, 0, length - blockLength, blockWidth]
+        ];
+        const count = cols * j + rest.reduce((sum, [, , l, w]) => sum + solve(l, w).count, 0);
+        if (count > best.count) {
+          best = { count, block: { ...orientation, cols, rows: j }, rest };
+        }
+      }
+    }
+
+    memo.set(key, best);
+    return best;
+  };
+
+  const collect = (x0, y0, length, width) => {
+    const split = solve(length, width);
+    if (!split.block) return [];
+
+    const { block } = split;
+    return [
+      ...gridCells(block.cols, block.rows, block.length, block.width, block.rotation, x0, y0),
+      ...split.rest.flatMap(([x, y, l, w]) => collect(x0 + x, y0 + y, l, w))
+    ];
+  };
+
+  try {
+    return collect(0, 0, area.length, area.width);
+  } catch (error) {
+    if (error instanceof SearchTooLarge) return null;
+    throw error;
+  }
+}
@@ -0,0 +1,70 @@
+/**
+ * Load Balance - Centre of Gravity and Floor Load
+ *
+ * Road legs care about where the weight sits, not only how much there is.
+ * A container's load is described as stacks standing on the floor (a pallet
+ * column or a column of loose cartons), each with its footprint and weight.
+ * From those stacks we derive the horizontal centre of gravity and the load
+ * each floor area carries.
+ *
+ * Coordinates are measured from the container centre (cm): x along the
+ * length, z across the width, matching the pallet positions of Layout3D.
+ */
+
+export const DEFAULT_MAX_COG_OFFSET = 50;
+
+/**
+ * Group positioned items that stand on the same footprint into stacks.
+ *
+ * @param {Array<Object>} items - Items with centre x, z, footprint length, width and weight
+ * @returns {Array<Object>} Stacks { x, z, length, width, weight }
+ */
+export function groupStacks(items) {
+  const stacks = new Map();
+
+  items.forEach(item => {
+    const key = `${item.x.toFixed(1)}:${item.z.toFixed(1)}`;
+    const stack = stacks.get(key);
+    if (stack) {
+      stack.weight += item.weight;
+    } else {
+      stacks.set(key, { x: item.x, z: item.z, length: item.length, width: item.width, weight: item.weight });
+    }
+  });
+
+  return [...stacks.values()];
+}
+
+/**
+ * Centre of gravity and floor load of one container.
+ *
+ * @param {Array<Object>} stacks - Stacks from groupStacks()
+ * @param {Object} container - Container internal { length, width } (cm)
+ * @param {number} maxOffset - Allowed distance of the CoG from the centre (cm)
+ * @returns {Object} { centerOfGravity: { length, width }, offCentre, floorLoad: { max, average } }
+ */
+export function analyzeLoadBalance(stacks, container, maxOffset = DEFAULT_MAX_COG_OFFSET) {
+  const weight = stacks.reduce((sum, stack) => sum + stack.weight, 0);
+  const floorArea = (container.length * container.width) / 10000;
+
+  // An empty container is balanced by definition
+  const centerOfGravity = weight > 0 ? {
+    length: stacks.reduce((sum, stack) => sum + stack.x * stack.weight, 0) / weight,
+    width: stacks.reduce((sum, stack) => sum + stack.z * stack.weight, 0) / weight
+  } : { length: 0, width: 0 };
+
+  // kg/m² under each stack; the floor must carry the worst one
+  const maxFloorLoad = stacks.reduce((max, stack) => (
+    Math.max(max, stack.weight / ((stack.length * stack.width) / 10000))
+  ), 0);
+
+  return {
+    centerOfGravity,
+    maxOffset,
+    offCentre: Math.abs(centerOfGravity.length) > maxOffset || Math.abs(centerOfGravity.width) > maxOffset,
+    floorLoad: {
+      max: maxFloorLoad,
+      average: floorArea > 0 ? weight / floorArea : 0
+    }
+  };
+}
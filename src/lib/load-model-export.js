@@ -0,0 +1,182 @@
+/**
+ * Load Model Export - glTF/GLB and STL Files of the 3D Load
+ *
+ * Builds a three.js scene straight from the report's layout data (the same
+ * placement math as SimpleScene3D) and writes it with the three.js
+ * exporters, so the files match the plan rather than the canvas view.
+ *
+ * Export Rules:
+ * - Units are metres with Y up, as in the 3D view and the glTF standard;
+ *   the origin is the centre of the container floor (or of the pallet base)
+ * - Cartons are named `<SKU>_<n>`, numbered in the order they were placed;
+ *   pallets `pallet_<n>`; each node carries { sku, pallet, layer } as extras
+ * - Cartons are colored by SKU, with the hues of the 3D view
+ * - STL files are written at 1:10 in millimetres (1 m of load is 100 mm),
+ *   a size slicers take as is for printed mock-ups
+ */
+
+import * as THREE from 'three';
+import { GLTFExporter } from 'three/examples/jsm/exporters/GLTFExporter.js';
+import { STLExporter } from 'three/examples/jsm/exporters/STLExporter.js';
+import { getOrientedDimensions } from './3d-layout.js';
+
+export const MODEL_FORMATS = {
+  glb: { name: 'glTF binary (.glb)', extension: 'glb', type: 'model/gltf-binary' },
+  gltf: { name: 'glTF (.gltf)', extension: 'gltf', type: 'model/gltf+json' },
+  stl: { name: 'STL for 3D printing (.stl)', extension: 'stl', type: 'model/stl' }
+};
+
+const SCALE = 0.01; // cm to m
+const STL_SCALE = 100; // m to mm at 1:10
+
+/**
+ * What can be exported from a report: each container and, for palletized
+ * loads, each pallet on its own
+ *
+ * @returns {Array<Object>} { value, label, group } for a SelectField
+ */
+export function modelExportTargets(report) {
+  const { layout3D } = report;
+  return [
+    ...layout3D.containers.map(loaded => ({
+      value: `container:${loaded.index}`,
+      label: `Container ${loaded.index + 1}`,
+      group: 'Containers'
+    })),
+    ...(layout3D.floorLoaded ? [] : layout3D.pallets.map((pallet, index) => ({
+      value: `pallet:${index}`,
+      label: `Pallet ${index + 1} (${pallet.cartonCount} cartons)`,
+      group: 'Pallets'
+    })))
+  ];
+}
+
+/**
+ * Scene of one container or one pallet.
+ *
+ * @param {Object} report - Report from generateOptimizationReport
+ * @param {string} target - `container:<index>` or `pallet:<index>` (see modelExportTargets)
+ * @returns {THREE.Scene}
+ */
+export function buildLoadScene(report, target = 'container:0') {
+  const { layout3D, pallet: palletData, container: containerData } = report;
+  const [kind, indexText] = target.split(':');
+  const index = Number(indexText);
+
+  const scene = new THREE.Scene();
+  scene.name = kind === 'pallet' ? `Pallet ${index + 1}` : `Container ${index + 1}`;
+
+  // Materials and geometries are shared, so large loads stay small on disk
+  const cartonTypes = report.cartons?.length > 0 ? report.cartons : [report.carton];
+  const cartonsBySku = new Map(cartonTypes.map(carton => [carton.sku, carton]));
+  const materials = new Map(cartonTypes.map((carton, skuIndex) => {
+    const material = new THREE.MeshStandardMaterial({
+      color: new THREE.Color().setHSL(((skuIndex * 137) % 360) / 360, 0.7, 0.55),
+      name: carton.sku
+    });
+    return [carton.sku, material];
+  }));
+  const palletMaterial = new THREE.MeshStandardMaterial({ color: 0x8b4513, name: 'pallet' });
+  const floorMaterial = new THREE.MeshStandardMaterial({ color: 0x94a3b8, name: 'container floor' });
+  const geometries = new Map();
+  const boxGeometry = (length, height, width) => {
+    const key = `${length}:${height}:${width}`;
+    if (!geometries.has(key)) geometries.set(key, new THREE.BoxGeometry(length * SCALE, height * SCALE, width * SCALE));
+    return geometries.get(key);
+  };
+
+  let cartonNumber = 0;
+  const addCarton = (parent, position, at, palletNumber) => {
+    const carton = cartonsBySku.get(position.sku) ?? report.carton;
+    const dims = getOrientedDimensions(carton, position.rotation);
+    const mesh = new THREE.Mesh(boxGeometry(dims.length, dims.height, dims.width), materials.get(carton.sku));
+    cartonNumber += 1;
+    mesh.name = `${carton.sku}_${cartonNumber}`;
+    mesh.position.set(
+      (at.x + position.x + dims.length / 2) * SCALE,
+      (at.y + position.z + dims.height / 2) * SCALE,
+      (at.z + position.y + dims.width / 2) * SCALE
+    );
+    mesh.userData = { sku: carton.sku, pallet: palletNumber, layer: position.layer + 1 };
+    parent.add(mesh);
+  };
+
+  // A pallet with its cartons, centred on the group origin at floor level
+  const palletGroup = (palletIndex) => {
+    const pallet = layout3D.pallets[palletIndex];
+    const group = new THREE.Group();
+    group.name = `pallet_${palletIndex + 1}`;
+    group.userData = { pallet: palletIndex + 1, cartons: pallet.cartonCount, weight: pallet.weight };
+
+    const base = new THREE.Mesh(boxGeometry(palletData.length, palletData.height, palletData.width), palletMaterial);
+    base.name = `pallet_${palletIndex + 1}_base`;
+    base.position.y = palletData.height / 2 * SCALE;
+    group.add(base);
+
+    // Same centring as the 3D view, so overhang sticks out evenly
+    const positions = pallet.cartonPositions;
+    const dimsOf = (position) => getOrientedDimensions(cartonsBySku.get(position.sku) ?? report.carton, position.rotation);
+    const spanX = positions.reduce((max, position) => Math.max(max, position.x + dimsOf(position).length), 0);
+    const spanZ = positions.reduce((max, position) => Math.max(max, position.y + dimsOf(position).width), 0);
+    const at = {
+      x: -palletData.length / 2 + (palletData.length - spanX) / 2,
+      y: palletData.height,
+      z: -palletData.width / 2 + (palletData.width - spanZ) / 2
+    };
+    positions.forEach(position => addCarton(group, position, at, palletIndex + 1));
+    return group;
+  };
+
+  if (kind === 'pallet') {
+    scene.add(palletGroup(index));
+    return scene;
+  }
+
+  const loaded = layout3D.containers[index];
+  const floor = new THREE.Mesh(boxGeometry(containerData.length, 1, containerData.width), floorMaterial);
+  floor.name = 'container_floor';
+  floor.position.y = -0.5 * SCALE;
+  scene.add(floor);
+
+  if (layout3D.floorLoaded) {
+    // Loose cartons are measured from the front-left floor corner
+    const at = { x: -containerData.length / 2, y: 0, z: -containerData.width / 2 };
+    (loaded?.cartonPositions ?? []).forEach(position => addCarton(scene, position, at, null));
+  } else {
+    (loaded?.palletPositions ?? []).forEach(position => {
+      const group = palletGroup(position.index);
+      group.position.set(position.x * SCALE, (position.y - palletData.height / 2) * SCALE, position.z * SCALE);
+      group.rotation.y = position.rotated ? Math.PI / 2 : 0;
+      scene.add(group);
+    });
+  }
+
+  return scene;
+}
+
+/**
+ * Write a container or pallet as a model file.
+ *
+ * @param {Object} report - Report from generateOptimizationReport
+ * @param {string} format - Key of MODEL_FORMATS
+ * @param {string} target - See modelExportTargets
+ * @returns {Promise<Object>} { data, fileName, type } where data is an
+ *   ArrayBuffer (GLB), a JSON string (glTF) or a DataView (STL)
+ */
+export async function exportLoadModel(report, format, target = 'container:0') {
+  const scene = buildLoadScene(report, target);
+  const { extension, type } = MODEL_FORMATS[format];
+  const fileName = `${target.replace(':', '-').replace(/\d+$/, number => Number(number) + 1)}.${extension}`;
+
+  if (format === 'stl') {
+    const root = new THREE.Group();
+    root.add(...scene.children);
+    root.scale.setScalar(STL_SCALE);
+    scene.add(root);
+    scene.updateMatrixWorld(true);
+    return { data: new STLExporter().parse(scene, { binary: true }), fileName, type };
+  }
+
+  const data = await new GLTFExporter().parseAsync(scene, { binary: format === 'glb' });
+  return { data: format === 'glb' ? data : JSON.stringify(data), fileName, type };
+}
@@ -0,0 +1,413 @@
+/**
+ * Load Report PDF - Printable Report for the Warehouse Floor
+ *
+ * Turns a report from generateOptimizationReport into a PDF: the summary,
+ * carton types, equipment and per-container weights and centre of gravity,
+ * a top-down diagram of each distinct pallet layer, the loading sequence of
+ * every container and a signature block.
+ *
+ * Report Rules:
+ * - Layers are distinct by their carton positions, rotations and SKUs;
+ *   each diagram says how often the layer occurs and on which pallets
+ * - Pallets are loaded slot by slot from the front wall (nose) towards the
+ *   door; in a slot the floor pallet goes in before the ones stacked on it
+ * - Floor-loaded plans have no pallet layers; their sequence lists the
+ *   carton walls from the front wall
+ */
+
+import { CONTAINER_PRESETS } from './calculator.js';
+import { getOrientedDimensions, loadingSequence } from './3d-layout.js';
+import { A4, createPdfDocument, textWidth, wrapText } from './pdf-writer.js';
+
+const MARGIN = 40;
+const CONTENT_WIDTH = A4.width - 2 * MARGIN;
+const FOOTER_TOP = A4.height - 25;
+
+const GREY = [0.45, 0.45, 0.45];
+const LIGHT = [0.85, 0.85, 0.85];
+const PALLET_COLOR = [0.55, 0.35, 0.2];
+const WARNING = [0.7, 0.35, 0];
+
+/**
+ * Fill color of a SKU, with the hues of the 3D view
+ */
+function skuColor(index) {
+  const hue = (index * 137) % 360;
+  const chroma = 0.45;
+  const x = chroma * (1 - Math.abs(((hue / 60) % 2) - 1));
+  const [r, g, b] = hue < 60 ? [chroma, x, 0]
+    : hue < 120 ? [x, chroma, 0]
+      : hue < 180 ? [0, chroma, x]
+        : hue < 240 ? [0, x, chroma]
+          : hue < 300 ? [x, 0, chroma]
+            : [chroma, 0, x];
+  const light = 0.85 - chroma / 2;
+  return [r + light, g + light, b + light];
+}
+
+const number = (value, digits = 0) => Number(value ?? 0).toLocaleString('en-US', {
+  minimumFractionDigits: digits,
+  maximumFractionDigits: digits
+});
+
+const listNumbers = (numbers) => {
+  const shown = numbers.slice(0, 12).join(', ');
+  return numbers.length > 12 ? `${shown} and ${numbers.length - 12} more` : shown;
+};
+
+/**
+ * Distinct layers over all pallets, in order of first appearance
+ *
+ * @returns {Array<Object>} { positions, count, pallets } where pallets are
+ *   1-based pallet numbers
+ */
+function distinctLayers(pallets) {
+  const layers = new Map();
+  pallets.forEach((pallet, palletIndex) => {
+    const byLayer = new Map();
+    pallet.cartonPositions.forEach(position => {
+      if (!byLayer.has(position.layer)) byLayer.set(position.layer, []);
+      byLayer.get(position.layer).push(position);
+    });
+
+    byLayer.forEach(positions => {
+      const key = positions
+        .map(position => `${position.sku}:${position.x.toFixed(1)}:${position.y.toFixed(1)}:${position.rotation}`)
+        .sort()
+        .join('|');
+      if (!layers.has(key)) layers.set(key, { positions, count: 0, pallets: [] });
+      const layer = layers.get(key);
+      layer.count += 1;
+      if (!layer.pallets.includes(palletIndex + 1)) layer.pallets.push(palletIndex + 1);
+    });
+  });
+  return [...layers.values()];
+}
+
+/**
+ * Build the load report PDF.
+ *
+ * @param {Object} report - Report from generateOptimizationReport
+ * @param {Object} options - { title, createdAt }
+ * @returns {Uint8Array} PDF file
+ */
+export function buildLoadReportPdf(report, { title = 'Load Report', createdAt = new Date() } = {}) {
+  const pdf = createPdfDocument(A4);
+  const { summary, layout3D, pallet, container } = report;
+  const containerResult = container.result;
+  const floorLoaded = report.loadingMode === 'floor';
+  const cartonsBySku = new Map(report.cartons.map((carton, index) => [carton.sku, { carton, color: skuColor(index) }]));
+  const dimsOf = (position) => getOrientedDimensions(cartonsBySku.get(position.sku)?.carton ?? report.carton, position.rotation);
+
+  let top = MARGIN;
+
+  const newPage = () => {
+    pdf.addPage();
+    pdf.text(MARGIN, FOOTER_TOP, `${title} - ${createdAt.toLocaleDateString()}`, { size: 8, color: GREY });
+    pdf.text(A4.width - MARGIN, FOOTER_TOP, `Page ${pdf.pageCount}`, { size: 8, color: GREY, align: 'right' });
+    top = MARGIN;
+  };
+
+  // Start a new page when the next block does not fit
+  const ensureSpace = (height) => {
+    if (top + height > FOOTER_TOP - 20) newPage();
+  };
+
+  const heading = (text) => {
+    ensureSpace(40);
+    top += 14;
+    pdf.text(MARGIN, top, text, { size: 13, bold: true });
+    top += 6;
+    pdf.line(MARGIN, top, A4.width - MARGIN, top, { color: LIGHT });
+    top += 14;
+  };
+
+  /**
+   * Table rows; columns are { label, width, align }
+   */
+  const table = (columns, rows) => {
+    const rowHeight = 14;
+    const header = () => {
+      let x = MARGIN;
+      columns.forEach(({ label, width, align = 'left' }) => {
+        pdf.text(align === 'right' ? x + width - 4 : x, top, label, { size: 8, bold: true, color: GREY, align });
+        x += width;
+      });
+      top += 4;
+      pdf.line(MARGIN, top, MARGIN + columns.reduce((sum, column) => sum + column.width, 0), top, { color: LIGHT });
+      top += rowHeight - 4;
+    };
+
+    ensureSpace(rowHeight * 2);
+    header();
+    rows.forEach(row => {
+      if (top + rowHeight > FOOTER_TOP - 20) {
+        newPage();
+        header();
+      }
+      let x = MARGIN;
+      columns.forEach(({ width, align = 'left' }, index) => {
+        const cell = row.cells ? row.cells[index] : row[index];
+        pdf.text(align === 'right' ? x + width - 4 : x, top, cell, { size: 9, align, color: row.color });
+        x += width;
+      });
+      top += rowHeight;
+    });
+    top += 6;
+  };
+
+  const paragraph = (text, { size = 9, color = GREY } = {}) => {
+    wrapText(text, CONTENT_WIDTH, size).forEach(line => {
+      ensureSpace(size + 5);
+      pdf.text(MARGIN, top, line, { size, color });
+      top += size + 5;
+    });
+  };
+
+  const facts = (pairs) => {
+    const columnWidth = CONTENT_WIDTH / 2;
+    pairs.forEach(([label, value], index) => {
+      const x = MARGIN + (index % 2) * columnWidth;
+      if (index % 2 === 0) ensureSpace(14);
+      pdf.text(x, top, label, { size: 9, color: GREY });
+      pdf.text(x + columnWidth - 12, top, value, { size: 9, bold: true, align: 'right' });
+      if (index % 2 === 1 || index === pairs.length - 1) top += 14;
+    });
+    top += 4;
+  };
+
+  // Summary
+  newPage();
+  pdf.text(MARGIN, top + 14, title, { size: 20, bold: true });
+  top += 32;
+  pdf.text(MARGIN, top, `Created ${createdAt.toLocaleString()} - ${floorLoaded ? 'floor loaded' : 'palletized'} load`, { size: 9, color: GREY });
+  top += 10;
+
+  heading('Summary');
+  const totalWeight = containerResult.containers.reduce((sum, loaded) => sum + loaded.weight, 0);
+  facts([
+    ['Cartons placed', `${number(summary.cartonsPlaced)} of ${number(summary.totalCartons)}`],
+    ['Cartons left over', number(summary.remainingCartons)],
+    ['Pallets', floorLoaded ? 'none' : number(summary.palletsUsed)],
+    ['Containers', number(summary.containersUsed)],
+    ['Efficiency', `${number(summary.efficiency, 1)} %`],
+    ['Space utilization', `${number(summary.spaceUtilization, 1)} %`],
+    ['Total weight', `${number(totalWeight)} kg`],
+    ['Engine version', String(report.engineVersion ?? '-')]
+  ]);
+
+  heading('Carton Types');
+  const placedBySku = new Map(summary.skus.map(sku => [sku.sku, sku.placed]));
+  table([
+    { label: 'SKU', width: 150 },
+    { label: 'L x W x H (cm)', width: 120 },
+    { label: 'Weight (kg)', width: 70, align: 'right' },
+    { label: 'Quantity', width: 60, align: 'right' },
+    { label: 'Placed', width: 60, align: 'right' },
+    { label: 'Max on top', width: 55, align: 'right' }
+  ], report.cartons.map(carton => [
+    carton.sku,
+    `${number(carton.length, 1)} x ${number(carton.width, 1)} x ${number(carton.height, 1)}`,
+    number(carton.weight, 1),
+    number(carton.quantity),
+    number(placedBySku.get(carton.sku) ?? 0),
+    carton.maxLoadOnTop == null ? '-' : `${number(carton.maxLoadOnTop)} kg`
+  ]));
+
+  heading('Equipment');
+  facts([
+    ...(!floorLoaded ? [
+      ['Pallet', `${number(pallet.length, 1)} x ${number(pallet.width, 1)} x ${number(pallet.height, 1)} cm`],
+      ['Stack limits', `${number(pallet.maxStackHeight)} cm, ${number(pallet.maxStackWeight)} kg`]
+    ] : []),
+    ['Container', CONTAINER_PRESETS[container.preset]?.name ?? 'Custom'],
+    ['Inside', `${number(container.length, 1)} x ${number(container.width, 1)} x ${number(container.height, 1)} cm`],
+    ['Payload', `${number(container.weightCapacity)} kg`],
+    ['Door', container.doorWidth ? `${number(container.doorWidth)} x ${number(container.doorHeight)} cm` : 'none']
+  ]);
+
+  heading('Weights and Centre of Gravity');
+  table([
+    { label: 'Container', width: 60 },
+    { label: 'Pallets', width: 50, align: 'right' },
+    { label: 'Cartons', width: 55, align: 'right' },
+    { label: 'Weight (kg)', width: 70, align: 'right' },
+    { label: 'Payload', width: 55, align: 'right' },
+    { label: 'CoG along (cm)', width: 80, align: 'right' },
+    { label: 'CoG across (cm)', width: 80, align: 'right' },
+    { label: 'Balance', width: 65, align: 'right' }
+  ], containerResult.containers.map(loaded => ({
+    cells: [
+      String(loaded.index + 1),
+      number(loaded.palletCount),
+      number(loaded.cartonCount),
+      number(loaded.weight),
+      `${number(loaded.weightUtilization, 1)} %`,
+      number(loaded.centerOfGravity.length),
+      number(loaded.centerOfGravity.width),
+      loaded.offCentre ? 'Off centre' : 'OK'
+    ],
+    color: loaded.offCentre ? WARNING : undefined
+  })));
+  paragraph('CoG offsets are measured from the container centre; along is positive towards the door.', { size: 8 });
+
+  const warnings = [
+    ...(pallet.result.patternWarnings ?? []).map(warning => warning.message),
+    ...containerResult.balanceWarnings.map(warning => warning.message),
+    ...(containerResult.doorWarnings ?? []).map(warning => warning.message),
+    ...(summary.remainingCartons > 0 ? [`${number(summary.remainingCartons)} cartons do not fit and are not loaded`] : [])
+  ];
+  if (warnings.length > 0) {
+    heading('Warnings');
+    warnings.forEach(message => paragraph(message, { color: WARNING }));
+  }
+
+  // Pallet layers, two diagrams per row
+  if (!floorLoaded && layout3D.pallets.length > 0) {
+    const layers = distinctLayers(layout3D.pallets);
+    heading(`Pallet Layers (${layers.length} distinct)`);
+
+    const cellWidth = CONTENT_WIDTH / 2;
+    const box = { width: cellWidth - 30, height: 150 };
+    layers.forEach((layer, index) => {
+      const column = index % 2;
+      if (column === 0) ensureSpace(box.height + 50);
+      const left = MARGIN + column * cellWidth;
+
+      // Same centring as the 3D view, so overhang sticks out evenly
+      const spanX = layer.positions.reduce((max, position) => Math.max(max, position.x + dimsOf(position).length), 0);
+      const spanY = layer.positions.reduce((max, position) => Math.max(max, position.y + dimsOf(position).width), 0);
+      const extentX = Math.max(pallet.length, spanX);
+      const extentY = Math.max(pallet.width, spanY);
+      const scale = Math.min(box.width / extentX, box.height / extentY);
+      const originX = left + (box.width - extentX * scale) / 2;
+      const originY = top + 14 + (box.height - extentY * scale) / 2;
+      const palletX = originX + (extentX - pallet.length) / 2 * scale;
+      const palletY = originY + (extentY - pallet.width) / 2 * scale;
+      const offsetX = palletX + (pallet.length - spanX) / 2 * scale;
+      const offsetY = palletY + (pallet.width - spanY) / 2 * scale;
+
+      pdf.text(left, top, `Layer ${index + 1}: ${layer.positions.length} cartons, used ${layer.count}x`, { size: 9, bold: true });
+      pdf.rect(palletX, palletY, pallet.length * scale, pallet.width * scale, { stroke: PALLET_COLOR, lineWidth: 1.5 });
+      layer.positions.forEach(position => {
+        const dims = dimsOf(position);
+        const width = dims.length * scale;
+        const height = dims.width * scale;
+        const x = offsetX + position.x * scale;
+        const y = offsetY + position.y * scale;
+        pdf.rect(x, y, width, height, { fill: cartonsBySku.get(position.sku)?.color ?? LIGHT, stroke: [0.2, 0.2, 0.2] });
+        if (report.cartons.length > 1 && textWidth(position.sku, 6) < width - 2 && height > 8) {
+          pdf.text(x + width / 2, y + height / 2 + 2, position.sku, { size: 6, align: 'center' });
+        }
+      });
+      pdf.text(left, top + box.height + 28, `Pallets ${listNumbers(layer.pallets)}`, { size: 8, color: GREY });
+
+      if (column === 1 || index === layers.length - 1) top += box.height + 44;
+    });
+  }
+
+  // Loading sequence of every container
+  containerResult.containers.forEach((loaded, containerIndex) => {
+    const placed = layout3D.containers[containerIndex];
+    ensureSpace(220);
+    heading(`Loading Sequence - Container ${containerIndex + 1}`);
+
+    const scale = Math.min(CONTENT_WIDTH / container.length, 140 / container.width);
+    const left = MARGIN;
+    const floorTop = top + 12;
+    const floorWidth = container.length * scale;
+    const floorHeight = container.width * scale;
+    pdf.text(left, top, 'Front wall', { size: 8, color: GREY });
+    pdf.text(left + floorWidth, top, container.doorWidth ? 'Door' : 'Open end', { size: 8, color: GREY, align: 'right' });
+    pdf.rect(left, floorTop, floorWidth, floorHeight, { lineWidth: 1 });
+    pdf.line(left + floorWidth, floorTop, left + floorWidth, floorTop + floorHeight, { lineWidth: 3 });
+    pdf.line(left + floorWidth / 2, floorTop, left + floorWidth / 2, floorTop + floorHeight, { color: LIGHT, dash: [3, 3] });
+    pdf.line(left, floorTop + floorHeight / 2, left + floorWidth, floorTop + floorHeight / 2, { color: LIGHT, dash: [3, 3] });
+
+    let sequence;
+    if (floorLoaded) {
+      // Cartons seen from above, walls numbered from the front
+      const walls = [...new Set(placed.cartonPositions.map(position => position.x))].sort((a, b) => a - b);
+      placed.cartonPositions.filter(position => position.layer === 0).forEach(position => {
+        const dims = dimsOf(position);
+        pdf.rect(left + position.x * scale, floorTop + position.y * scale, dims.length * scale, dims.width * scale, {
+          fill: cartonsBySku.get(position.sku)?.color ?? LIGHT,
+          stroke: [0.3, 0.3, 0.3],
+          lineWidth: 0.25
+        });
+      });
+      sequence = walls.map((x, wall) => {
+        const positions = placed.cartonPositions.filter(position => position.x === x);
+        const skus = [...new Set(positions.map(position => position.sku))];
+        return [String(wall + 1), `${number(x)} cm from front`, skus.join(', '), number(positions.length),
+          number(positions.reduce((sum, position) => sum + (cartonsBySku.get(position.sku)?.carton.weight ?? 0), 0))];
+      });
+    } else {
+      const [footLength, footWidth] = placed.palletPositions[0]?.rotated
+        ? [pallet.width, pallet.length]
+        : [pallet.length, pallet.width];
+      const loadingOrder = loadingSequence(placed.palletPositions);
+      const slots = new Map();
+      loadingOrder.forEach((position, step) => {
+        const key = `${position.x}:${position.z}`;
+        if (!slots.has(key)) slots.set(key, { position, steps: [] });
+        slots.get(key).steps.push(step + 1);
+      });
+      slots.forEach(({ position, steps }) => {
+        const x = left + (position.x + container.length / 2 - footLength / 2) * scale;
+        const y = floorTop + (position.z + container.width / 2 - footWidth / 2) * scale;
+        pdf.rect(x, y, footLength * scale, footWidth * scale, { fill: [0.93, 0.88, 0.8], stroke: PALLET_COLOR, lineWidth: 1 });
+        pdf.text(x + footLength * scale / 2, y + footWidth * scale / 2 + 3, steps.join(' / '), { size: 8, bold: true, align: 'center' });
+      });
+      sequence = loadingOrder.map((position, step) => {
+        const loadedPallet = layout3D.pallets[position.index];
+        return [
+          String(step + 1),
+          `Pallet ${position.index + 1}`,
+          `${position.layer === 0 ? 'Floor' : `Tier ${position.layer + 1}`}, ${number(position.x + container.length / 2 - footLength / 2)} cm from front`,
+          number(loadedPallet.cartonCount),
+          number(loadedPallet.weight)
+        ];
+      });
+    }
+
+    // Centre of gravity
+    const cogX = left + (container.length / 2 + loaded.centerOfGravity.length) * scale;
+    const cogY = floorTop + (container.width / 2 + loaded.centerOfGravity.width) * scale;
+    const cogColor = loaded.offCentre ? WARNING : [0.1, 0.4, 0.8];
+    pdf.line(cogX - 6, cogY, cogX + 6, cogY, { color: cogColor, lineWidth: 1.5 });
+    pdf.line(cogX, cogY - 6, cogX, cogY + 6, { color: cogColor, lineWidth: 1.5 });
+    pdf.text(cogX + 8, cogY - 3, 'CoG', { size: 7, bold: true, color: cogColor });
+
+    top = floorTop + floorHeight + 14;
+    paragraph(`${number(loaded.weight)} kg (${number(loaded.weightUtilization, 1)} % of payload), ${number(loaded.cartonCount)} cartons${floorLoaded ? '' : `, ${loaded.palletCount} pallets; numbers show the loading order`}`, { size: 8 });
+    top += 4;
+
+    table([
+      { label: 'Step', width: 40 },
+      { label: floorLoaded ? 'Wall' : 'Pallet', width: 90 },
+      { label: floorLoaded ? 'SKUs' : 'Position', width: 230 },
+      { label: 'Cartons', width: 70, align: 'right' },
+      { label: 'Weight (kg)', width: 85, align: 'right' }
+    ], sequence);
+  });
+
+  // Signature block
+  ensureSpace(170);
+  heading('Sign-off');
+  const blockWidth = CONTENT_WIDTH / 3;
+  ['Loaded by', 'Checked by', 'Carrier / driver'].forEach((role, index) => {
+    const x = MARGIN + index * blockWidth;
+    pdf.text(x, top, role, { size: 9, bold: true });
+    ['Name', 'Signature', 'Date'].forEach((field, line) => {
+      const lineTop = top + 30 + line * 28;
+      pdf.line(x, lineTop, x + blockWidth - 20, lineTop, { color: GREY });
+      pdf.text(x, lineTop + 9, field, { size: 7, color: GREY });
+    });
+  });
+  top += 30 + 3 * 28;
+  pdf.text(MARGIN, top, 'Container and seal numbers:', { size: 9, color: GREY });
+  pdf.line(MARGIN + 130, top + 2, A4.width - MARGIN, top + 2, { color: GREY });
+
+  return pdf.output({ title, author: 'Palletizr Pro' });
+}
@@ -0,0 +1,194 @@
+/**
+ * Optimization Goals - Ranking Candidate Layouts
+ *
+ * Layout3D builds several candidate stacks for a carton: plain grids in each
+ * direction, mixed rows, guillotine blocks, column, interlock and pinwheel
+ * patterns, upright or standing on a side. Which one is best depends on what
+ * the shipment is after, so the choice follows an explicit goal
+ * (settings.optimizationGoal).
+ *
+ * Each goal is an ordered list of measures. Candidates are compared on the
+ * first measure; ties go to the next one, and a full tie keeps the candidate
+ * that was built first. The first measure on which the winner beats the
+ * runner-up is reported as the reason it was chosen.
+ */
+
+export const DEFAULT_OPTIMIZATION_GOAL = 'maxCartons';
+
+// The balanced goal accepts any layout within this share of the best carton count
+const BALANCED_COUNT_TOLERANCE = 0.95;
+
+const percent = value => `${(value * 100).toFixed(0)}%`;
+
+/**
+ * Measures a layout can be ranked on.
+ * `of` reads the value from a layout; `better` says which direction wins.
+ */
+const MEASURES = {
+  nearBestCount: {
+    label: 'carton count',
+    better: 'higher',
+    of: (layout, context) => (layout.totalCartons >= context.bestCount * BALANCED_COUNT_TOLERANCE ? 1 : 0),
+    format: value => (value ? 'within 5% of the best' : 'below 95% of the best')
+  },
+  containers: {
+    label: 'containers',
+    better: 'lower',
+    of: (layout, context) => context.containersFor(layout),
+    format: value => (Number.isFinite(value) ? `${value}` : 'none (does not fit)')
+  },
+  pallets: {
+    label: 'pallets',
+    better: 'lower',
+    of: (layout, context) => Math.ceil(context.quantity / layout.totalCartons),
+    format: value => `${value}`
+  },
+  cartonsPerPallet: {
+    label: 'cartons per pallet',
+    better: 'higher',
+    of: layout => layout.totalCartons,
+    format: value => `${value}`
+  },
+  cube: {
+    label: 'pallet cube used',
+    better: 'higher',
+    of: (layout, context) => (context.palletCube > 0 ? layout.totalCartons * context.cartonVolume / context.palletCube : 0),
+    format: percent
+  },
+  stability: {
+    label: 'interlock',
+    better: 'higher',
+    of: layout => layout.stability ?? 0,
+    format: percent
+  },
+  layerPatterns: {
+    label: 'distinct layer patterns',
+    better: 'lower',
+    of: layout => countLayerPatterns(layout.cartonPositions),
+    format: value => `${value}`
+  }
+};
+
+/**
+ * Optimization goals, each a summary for explanations and its ranking measures
+ */
+export const OPTIMIZATION_GOALS = {
+  balanced: {
+    summary: 'a stable stack near the best carton count',
+    measures: ['nearBestCount', 'stability', 'cartonsPerPallet']
+  },
+  fewestContainers: {
+    summary: 'fewest containers',
+    measures: ['containers', 'pallets', 'stability']
+  },
+  fewestPallets: {
+    summary: 'fewest pallets',
+    measures: ['pallets', 'cartonsPerPallet', 'stability']
+  },
+  maxCartons: {
+    summary: 'most cartons per pallet',
+    measures: ['cartonsPerPallet', 'cube', 'stability']
+  },
+  maxStability: {
+    summary: 'most stable stack',
+    measures: ['stability', 'cartonsPerPallet']
+  },
+  fewestPatterns: {
+    summary: 'fewest distinct layer patterns',
+    measures: ['layerPatterns', 'cartonsPerPallet', 'stability']
+  }
+};
+
+/**
+ * Resolve a goal id, falling back to the default for unknown ids
+ */
+export function resolveGoal(goalId) {
+  return OPTIMIZATION_GOALS[goalId] ? goalId : DEFAULT_OPTIMIZATION_GOAL;
+}
+
+/**
+ * Count the layers that differ in their carton arrangement
+ * (an interlocked stack has two, a column stack one).
+ */
+export function countLayerPatterns(positions) {
+  const layers = new Map();
+  positions.forEach(position => {
+    const cells = layers.get(position.layer) || [];
+    cells.push(`${position.x.toFixed(1)},${position.y.toFixed(1)},${position.rotation || 'LWH'}`);
+    layers.set(position.layer, cells);
+  });
+
+  return new Set([...layers.values()].map(cells => cells.sort().join('|'))).size;
+}
+
+/**
+ * Rank candidate layouts by a goal.
+ *
+ * @param {Array<Object>} layouts - Candidate layouts, in preference order for full ties
+ * @param {string} goalId - Key of OPTIMIZATION_GOALS
+ * @param {Object} context - { quantity, cartonVolume, palletCube, containersFor(layout) }
+ * @returns {Array<Object>} Entries { layout, metrics }, best first
+ */
+export function rankLayouts(layouts, goalId, context) {
+  const { measures } = OPTIMIZATION_GOALS[resolveGoal(goalId)];
+  const bestCount = Math.max(0, ...layouts.map(layout => layout.totalCartons));
+  const measureContext = { ...context, bestCount };
+
+  const entries = layouts.map((layout, order) => ({
+    layout,
+    order,
+    metrics: Object.fromEntries(measures.map(name => [name, MEASURES[name].of(layout, measureContext)]))
+  }));
+
+  entries.sort((a, b) => {
+    for (const name of measures) {
+      const [valueA, valueB] = [a.metrics[name], b.metrics[name]];
+      if (valueA === valueB) continue;
+      const aWins = MEASURES[name].better === 'higher' ? valueA > valueB : valueA < valueB;
+      return aWins ? -1 : 1;
+    }
+    return a.order - b.order;
+  });
+
+  return entries.map(({ layout, metrics }) => ({ layout, metrics }));
+}
+
+/**
+ * Explain why the first entry of a ranking won.
+ *
+ * @param {Array<Object>} ranked - Result of rankLayouts()
+ * @param {string} goalId - Goal used for the ranking
+ * @returns {Object} { goal, reason, candidates: [{ label, totalCartons, stability, metrics }] }
+ */
+export function describeSelection(ranked, goalId) {
+  const goal = resolveGoal(goalId);
+  const { summary, measures } = OPTIMIZATION_GOALS[goal];
+  const [winner, ...others] = ranked;
+  const differs = entry => measures.some(name => entry.metrics[name] !== winner.metrics[name]);
+  // Layouts that tie on every measure say nothing about the choice; explain against the first that differs
+  const runnerUp = others.find(differs);
+
+  let reason;
+  if (others.length === 0) {
+    reason = `${winner.layout.label} is the only layout that fits`;
+  } else if (!runnerUp) {
+    reason = `${winner.layout.label} chosen for ${summary}: every layout ties, so the first one built is kept`;
+  } else {
+    const deciding = measures.find(name => winner.metrics[name] !== runnerUp.metrics[name]);
+    const { label, format } = MEASURES[deciding];
+    reason = `${winner.layout.label} chosen for ${summary}: ${label} ${format(winner.metrics[deciding])}` +
+      ` vs ${format(runnerUp.metrics[deciding])} for ${runnerUp.layout.label}`;
+  }
+
+  return {
+    goal,
+    reason,
+    candidates: ranked.map(({ layout, metrics }) => ({
+      label: layout.label,
+      pattern: layout.pattern,
+      totalCartons: layout.totalCartons,
+      stability: layout.stability ?? 0,
+      metrics
+    }))
+  };
+}
@@ -0,0 +1,373 @@
+/**
+ * Packing Engine - Single Source of Truth for Load Results
+ *
+ * Builds every pallet of a shipment, whether it has one carton type or many
+ * (SKUs), and places the pallets in the container. The summary numbers and the
+ * 3D scene are both derived from this one result, so they cannot disagree.
+ *
+ * Each SKU is first laid out on its own with Layout3D to find its best stack.
+ * Full pallets are built per SKU, and the leftover layers of every SKU are then
+ * combined onto shared pallets.
+ *
+ * Fill Modes (settings.fillMode):
+ * - layers: complete layers first, the last layer filled row by row
+ * - pyramid: complete layers first, a partial top layer centred on the stack
+ * - even: the SKU's quantity spread evenly over all of its pallets
+ *
+ * Layout Choice (settings.layoutChoices):
+ * - Maps a carton id (or SKU) to one of its ranked alternative stacks;
+ *   SKUs without an entry use the stack the optimization goal ranked first
+ *
+ * Constraint Rules:
+ * - The pallet's maximum stack height and stack weight always apply
+ * - Pallet stacks must fit the container height; weight capacity sets the container count
+ *
+ * Mixed Pallet Rules:
+ * - Leftover full layers go first, heaviest at the bottom
+ * - A partial layer closes the pallet; nothing is stacked on top of it
+ * - Every pallet respects the stack height and stack weight limits
+ * - With load bearing on, no layer carries more per carton than its crush strength
+ */
+
+import {
+  Layout3D,
+  cartonLoadCapacity,
+  describeLoadBearing,
+  getOrientedDimensions
+} from './3d-layout.js';
+
+const LOAD_TOLERANCE = 1e-6;
+
+export const FILL_MODES = ['layers', 'pyramid', 'even'];
+
+/**
+ * Take some cartons from a layer. Layers-first keeps the row order; the other
+ * modes keep the cartons nearest the layer centre so a partial top layer
+ * sits in the middle of the stack.
+ */
+function takeFromLayer(layerPositions, count, carton, fillMode) {
+  if (count >= layerPositions.length || fillMode === 'layers') {
+    return layerPositions.slice(0, count);
+  }
+
+  const boxes = layerPositions.map(position => {
+    const dims = getOrientedDimensions(carton, position.rotation);
+    return { x: position.x, y: position.y, length: dims.length, width: dims.width };
+  });
+  const middle = {
+    x: (Math.min(...boxes.map(box => box.x)) + Math.max(...boxes.map(box => box.x + box.length))) / 2,
+    y: (Math.min(...boxes.map(box => box.y)) + Math.max(...boxes.map(box => box.y + box.width))) / 2
+  };
+
+  return boxes
+    .map((box, order) => ({
+      order,
+      distance: Math.hypot(box.x + box.length / 2 - middle.x, box.y + box.width / 2 - middle.y)
+    }))
+    .sort((a, b) => (a.distance - b.distance) || (a.order - b.order))
+    .slice(0, count)
+    .sort((a, b) => a.order - b.order)
+    .map(entry => layerPositions[entry.order]);
+}
+
+/**
+ * Cut a quantity of one SKU into layers that follow the SKU's own stack,
+ * keeping its layer-to-layer pattern (interlock, top-up layers).
+ */
+function sliceLayers(layers, quantity, carton, capacity, fillMode) {
+  const slices = [];
+  let remainder = quantity;
+
+  for (let layerIndex = 0; remainder > 0; layerIndex++) {
+    const layerPositions = layers[layerIndex % layers.length];
+    const count = Math.min(remainder, layerPositions.length);
+    slices.push({
+      sku: carton.sku,
+      count,
+      height: Math.max(...layerPositions.map(position => getOrientedDimensions(carton, position.rotation).height)),
+      weight: count * carton.weight,
+      partial: count < layerPositions.length,
+      capacity,
+      positions: takeFromLayer(layerPositions, count, carton, fillMode)
+    });
+    remainder -= count;
+  }
+
+  return slices;
+}
+
+/**
+ * Plan the pallets for one SKU: its best layer, the single-SKU pallets it
+ * fills and the leftover layers that still need a place on a mixed pallet.
+ */
+function planSku(carton, palletData, containerData, settings) {
+  // A planner may have picked one of the ranked alternatives for this SKU
+  const choice = settings.layoutChoices?.[carton.id ?? carton.sku] ?? 0;
+  const layout = new Layout3D(carton, palletData, containerData, settings).calculatePalletLayout(choice);
+
+  if (!layout || layout.totalCartons === 0) {
+    return { carton, layout: null, fullPallets: 0, pallets: [], leftoverLayers: [] };
+  }
+
+  const fillMode = FILL_MODES.includes(settings.fillMode) ? settings.fillMode : 'layers';
+  const capacity = cartonLoadCapacity(carton, settings, layout.stability ?? 0);
+
+  // Group the stack by layer; layers may differ in count and height
+  // (interlocked patterns, top-up layers in another stand)
+  const layers = [];
+  layout.cartonPositions.forEach(position => {
+    (layers[position.layer] = layers[position.layer] || []).push(position);
+  });
+
+  // Even fill: as many pallets as a full load needs, each carrying an equal share
+  if (fillMode === 'even') {
+    const palletCount = Math.ceil(carton.quantity / layout.totalCartons);
+    const share = Math.floor(carton.quantity / palletCount);
+    const extra = carton.quantity % palletCount;
+    const pallets = Array.from({ length: palletCount }, (_, index) => (
+      buildSingleSkuPallet(sliceLayers(layers, share + (index < extra ? 1 : 0), carton, capacity, fillMode), carton)
+    ));
+
+    return {
+      carton,
+      layout,
+      fullPallets: pallets.filter(pallet => pallet.cartonCount === layout.totalCartons).length,
+      pallets,
+      leftoverLayers: []
+    };
+  }
+
+  const fullPallets = Math.floor(carton.quantity / layout.totalCartons);
+  const fullPallet = {
+    type: 'single',
+    skus: [carton.sku],
+    cartonPositions: layout.cartonPositions.map(position => ({ ...position, sku: carton.sku })),
+    cartonCount: layout.totalCartons,
+    weight: layout.totalCartons * carton.weight,
+    loadHeight: layout.loadHeight,
+    loadBearing: layout.loadBearing ?? null
+  };
+
+  const remainder = carton.quantity - fullPallets * layout.totalCartons;
+  return {
+    carton,
+    layout,
+    fullPallets,
+    pallets: Array.from({ length: fullPallets }, () => ({ ...fullPallet })),
+    leftoverLayers: sliceLayers(layers, remainder, carton, capacity, fillMode)
+  };
+}
+
+/**
+ * Build a pallet carrying only some layers of one SKU
+ */
+function buildSingleSkuPallet(layers, carton) {
+  const { cartonPositions, loadHeight } = buildPalletPositions(layers);
+  const [bottom] = layers;
+  const loadAbove = layers.slice(1).reduce((sum, layer) => sum + layer.weight, 0);
+
+  return {
+    type: 'single',
+    skus: [carton.sku],
+    cartonPositions,
+    cartonCount: cartonPositions.length,
+    weight: cartonPositions.length * carton.weight,
+    loadHeight,
+    loadBearing: bottom.capacity === Infinity ? null : describeLoadBearing(bottom.capacity, loadAbove / bottom.count)
+  };
+}
+
+/**
+ * Stack a list of layers into the position list of one pallet.
+ */
+function buildPalletPositions(layers) {
+  const cartonPositions = [];
+  let zOffset = 0;
+
+  layers.forEach((layer, layerIndex) => {
+    layer.positions.forEach(position => {
+      cartonPositions.push({
+        ...position,
+        z: zOffset,
+        layer: layerIndex,
+        sku: layer.sku
+      });
+    });
+    zOffset += layer.height;
+  });
+
+  return { cartonPositions, loadHeight: zOffset };
+}
+
+/**
+ * Combine leftover layers of all SKUs onto shared pallets (first-fit decreasing).
+ */
+function buildMixedPallets(leftoverLayers, maxHeight, maxWeight) {
+  const ordered = [...leftoverLayers].sort((a, b) => {
+    if (a.partial !== b.partial) return a.partial ? 1 : -1;
+    return b.weight - a.weight;
+  });
+
+  const pallets = [];
+
+  // Every layer already on the pallet must carry the new one, spread over its cartons
+  const carries = (pallet, layer) => pallet.layers.every((below, index) => (
+    (pallet.loadAbove[index] + layer.weight) / below.count <= below.capacity + LOAD_TOLERANCE
+  ));
+
+  ordered.forEach(layer => {
+    let target = pallets.find(pallet =>
+      !pallet.closed &&
+      pallet.height + layer.height <= maxHeight &&
+      pallet.weight + layer.weight <= maxWeight &&
+      carries(pallet, layer)
+    );
+
+    if (!target) {
+      target = { layers: [], loadAbove: [], height: 0, weight: 0, closed: false };
+      pallets.push(target);
+    }
+
+    target.loadAbove = target.loadAbove.map(load => load + layer.weight);
+    target.layers.push(layer);
+    target.loadAbove.push(0);
+    target.height += layer.height;
+    target.weight += layer.weight;
+    if (layer.partial) target.closed = true;
+  });
+
+  return pallets;
+}
+
+/**
+ * Describe the carton orientations used in a layout
+ */
+function describeOrientation(positions) {
+  const codes = [...new Set(positions.map(position => position.rotation || 'LWH'))];
+  if (codes.length > 1) return 'mixed';
+  if (codes[0] === 'LWH') return 'normal';
+  if (codes[0] === 'WLH') return 'rotated';
+  return codes[0];
+}
+
+/**
+ * Pack a list of carton types onto pallets, without placing them yet.
+ * The container only matters to goals that count containers, so one build
+ * can be placed in several container types (see loadPallets).
+ *
+ * @param {Array<Object>} cartonTypes - Cartons with sku, dimensions, weight and quantity
+ * @param {Object} palletData - Pallet dimensions and stack limits
+ * @param {Object} containerData - Container dimensions and weight capacity
+ * @param {Object} settings - Optimization settings
+ * @returns {Object} { skuPlans, pallets, limits }
+ */
+export function buildPallets(cartonTypes, palletData, containerData, settings = {}) {
+  const skuPlans = cartonTypes.map(carton => planSku(carton, palletData, containerData, settings));
+  const layout = new Layout3D(cartonTypes[0], palletData, containerData, settings);
+  const { maxHeight, maxWeight } = layout.palletDims;
+
+  const pallets = [];
+
+  // Single-SKU pallets first
+  skuPlans.forEach(plan => pallets.push(...plan.pallets));
+
+  // Then the shared pallets built from every SKU's leftover layers
+  const leftoverLayers = skuPlans.flatMap(plan => plan.leftoverLayers);
+  buildMixedPallets(leftoverLayers, maxHeight, maxWeight).forEach(mixed => {
+    const { cartonPositions, loadHeight } = buildPalletPositions(mixed.layers);
+    const skus = [...new Set(mixed.layers.map(layer => layer.sku))];
+    const [bottom] = mixed.layers;
+    pallets.push({
+      type: skus.length > 1 ? 'mixed' : 'single',
+      skus,
+      cartonPositions,
+      cartonCount: cartonPositions.length,
+      weight: mixed.weight,
+      loadHeight,
+      loadBearing: bottom.capacity === Infinity
+        ? null
+        : describeLoadBearing(bottom.capacity, mixed.loadAbove[0] / bottom.count)
+    });
+  });
+
+  pallets.forEach((pallet, index) => { pallet.index = index; });
+
+  return { skuPlans, pallets, limits: { maxHeight, maxWeight } };
+}
+
+/**
+ * Place built pallets in a container type. The pallets are not changed, so
+ * the same build can be loaded into several containers.
+ *
+ * @param {Object} built - Result of buildPallets
+ * @returns {Object} Pallet list, per-SKU results and container placement
+ */
+export function loadPallets({ skuPlans, pallets, limits }, palletData, containerData, settings = {}) {
+  const layout = new Layout3D(skuPlans[0].carton, palletData, containerData, settings);
+  const container = layout.calculateContainerLayout(pallets);
+  const fitsContainer = pallets.length === 0 || container.palletsPerContainer > 0;
+
+  // A carton counts as placed once its pallet is loaded in a container
+  const loadedPallets = new Set(container.containers.flatMap(loaded => loaded.palletIndices));
+  const placedBySku = new Map();
+  pallets.filter(pallet => loadedPallets.has(pallet.index)).forEach(pallet => {
+    pallet.cartonPositions.forEach(position => {
+      placedBySku.set(position.sku, (placedBySku.get(position.sku) || 0) + 1);
+    });
+  });
+
+  const skus = skuPlans.map(plan => {
+    const placed = placedBySku.get(plan.carton.sku) || 0;
+    return {
+      id: plan.carton.id,
+      sku: plan.carton.sku,
+      quantity: plan.carton.quantity,
+      cartonsPerLayer: plan.layout?.cartonsPerLayer ?? 0,
+      maxLayers: plan.layout?.maxLayers ?? 0,
+      cartonsPerPallet: plan.layout?.totalCartons ?? 0,
+      pattern: plan.layout?.pattern ?? null,
+      stability: plan.layout?.stability ?? 0,
+      orientation: plan.layout ? describeOrientation(plan.layout.cartonPositions) : null,
+      loadBearing: plan.layout?.loadBearing ?? null,
+      selection: plan.layout?.selection ?? null,
+      patternFallback: plan.layout?.patternFallback ?? null,
+      alternatives: (plan.layout?.alternatives || []).map(alternative => ({
+        label: alternative.label,
+        pattern: alternative.pattern,
+        cartonsPerLayer: alternative.cartonsPerLayer,
+        maxLayers: alternative.maxLayers,
+        totalCartons: alternative.totalCartons,
+        stability: alternative.stability ?? 0,
+        loadHeight: alternative.loadHeight,
+        palletsNeeded: Math.ceil(plan.carton.quantity / alternative.totalCartons),
+        metrics: alternative.metrics,
+        cartonPositions: alternative.cartonPositions
+      })),
+      choice: plan.layout?.choice ?? 0,
+      fullPallets: plan.fullPallets,
+      placed,
+      remaining: plan.carton.quantity - placed
+    };
+  });
+
+  return {
+    pallets,
+    skus,
+    fitsContainer,
+    limits,
+    container
+  };
+}
+
+/**
+ * Pack a list of carton types onto pallets and place the pallets in the container.
+ *
+ * @param {Array<Object>} cartonTypes - Cartons with sku, dimensions, weight and quantity
+ * @param {Object} palletData - Pallet dimensions and stack limits
+ * @param {Object} containerData - Container dimensions and weight capacity
+ * @param {Object} settings - Optimization settings
+ * @returns {Object} Pallet list, per-SKU results and container placement
+ */
+export function packLoad(cartonTypes, palletData, containerData, settings = {}) {
+  return loadPallets(buildPallets(cartonTypes, palletData, containerData, settings), palletData, containerData, settings);
+}
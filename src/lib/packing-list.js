@@ -0,0 +1,298 @@
+/**
+ * Packing List Import - Carton Types From CSV or XLSX
+ *
+ * Reads a packing list exported from an ERP or spreadsheet, maps its
+ * columns to carton fields and checks every row before the rows replace
+ * the carton types of the calculation.
+ *
+ * Import Rules:
+ * - The first non-empty row holds the column headers
+ * - Columns are matched to fields by their header; the mapping can be
+ *   changed before importing
+ * - Every mapped cell is checked with validateInput against
+ *   VALIDATION_RULES.carton; the list is imported only when every row passes
+ * - A set "no stack" flag (yes, x, 1, true) means nothing may be loaded on
+ *   top of the carton (max load on top 0)
+ * - XLSX files are read from their first worksheet
+ */
+
+import { validateInput } from './calculator.js';
+
+/**
+ * Carton fields a column can be mapped to, with the headers they match
+ */
+export const PACKING_LIST_FIELDS = [
+  { key: 'sku', label: 'SKU', required: true, headers: ['sku', 'item', 'article', 'part', 'product', 'name', 'code'] },
+  { key: 'length', label: 'Length (cm)', required: true, headers: ['length', 'len', 'l'] },
+  { key: 'width', label: 'Width (cm)', required: true, headers: ['width', 'w'] },
+  { key: 'height', label: 'Height (cm)', required: true, headers: ['height', 'h'] },
+  { key: 'weight', label: 'Weight (kg)', required: true, headers: ['weight', 'gross weight', 'kg', 'wt'] },
+  { key: 'quantity', label: 'Quantity', required: true, headers: ['quantity', 'qty', 'cartons', 'pcs', 'pieces', 'count'] },
+  { key: 'maxLoadOnTop', label: 'Max load on top (kg)', headers: ['max load on top', 'load on top', 'stack load', 'crush'] },
+  { key: 'noStack', label: 'No stack flag', headers: ['no stack', 'do not stack', 'non stackable', 'fragile'] }
+];
+
+const FLAG_SET = ['yes', 'y', 'true', '1', 'x'];
+
+/**
+ * Split CSV text into rows of cells. The delimiter (comma, semicolon or
+ * tab) is taken from the header line; quoted cells may hold delimiters,
+ * quotes ("") and line breaks.
+ */
+export function parseCsv(text) {
+  const source = text.replace(/^\uFEFF/, '');
+  const headerLine = source.split(/\r?\n/).find(line => line.trim()) ?? '';
+  const delimiter = [',', ';', '\t']
+    .map(candidate => [candidate, headerLine.split(candidate).length])
+    .sort((a, b) => b[1] - a[1])[0][0];
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.map(cells => cells.map(value => value.trim()));
+}
+
+/**
+ * Files of a zip archive (as XLSX files are), by name
+ */
+async function unzip(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const view = new DataView(buffer);
+
+  // End of central directory record, searched from the end of the file
+  let end = bytes.length - 22;
+  while (end >= 0 && view.getUint32(end, true) !== 0x06054b50) end--;
+  if (end < 0) {
+    throw new Error('The file is not an XLSX workbook');
+  }
+
+  const files = {};
+  const count = view.getUint16(end + 10, true);
+  let offset = view.getUint32(end + 16, true);
+  for (let i = 0; i < count; i++) {
+    const method = view.getUint16(offset + 10, true);
+    const size = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = new TextDecoder().decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+    const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    files[name] = { method, data: bytes.subarray(dataStart, dataStart + size) };
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  const read = async (name) => {
+    const file = files[name];
+    if (!file) return null;
+    if (file.method === 0) return new TextDecoder().decode(file.data);
+    if (file.method !== 8) {
+      throw new Error('The workbook uses a compression this app cannot read');
+    }
+    const stream = new Blob([file.data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Response(stream).text();
+  };
+
+  return { names: Object.keys(files), read };
+}
+
+const decodeXml = (text) => text
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&#(\d+);/g, (_match, code) => String.fromCodePoint(Number(code)))
+  .replace(/&#x([0-9a-f]+);/gi, (_match, code) => String.fromCodePoint(parseInt(code, 16)))
+  .replace(/&amp;/g, '&');
+
+// Text of all <t> runs in an element (shared strings may be rich text)
+const textOf = (xml) => decodeXml([...xml.matchAll(/<t\b[^>]*>([\s\S]*?)<\/t>/g)].map(match => match[1]).join(''));
+
+const attribute = (attributes, name) => new RegExp(`\\b${name}="([^"]*)"`).exec(attributes)?.[1];
+
+// Column index of a cell reference such as "C12"
+const columnIndex = (reference) => [...reference.replace(/\d+$/, '')]
+  .reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+
+/**
+ * Rows of cells (strings) of the first worksheet of an XLSX workbook;
+ * rows the sheet leaves out are empty
+ */
+export async function readXlsx(buffer) {
+  const zip = await unzip(buffer);
+
+  const workbook = await zip.read('xl/workbook.xml');
+  const relations = await zip.read('xl/_rels/workbook.xml.rels');
+  const firstSheetId = workbook && /<sheet\b[^>]*\br:id="([^"]+)"/.exec(workbook)?.[1];
+  const target = relations && firstSheetId
+    && new RegExp(`<Relationship\\b[^>]*\\bId="${firstSheetId}"[^>]*\\bTarget="([^"]+)"`).exec(relations)?.[1];
+  const sheetName = target
+    ? (target.startsWith('/') ? target.slice(1) : `xl/${target}`)
+    : zip.names.filter(name => /^xl\/worksheets\/[^/]+\.xml$/.test(name)).sort()[0];
+  const sheet = sheetName && await zip.read(sheetName);
+  if (!sheet) {
+    throw new Error('The workbook has no worksheet');
+  }
+
+  const sharedXml = await zip.read('xl/sharedStrings.xml');
+  const shared = sharedXml ? [...sharedXml.matchAll(/<si\b[^>]*>([\s\S]*?)<\/si>/g)].map(match => textOf(match[1])) : [];
+
+  const rows = [];
+  [...sheet.matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)].forEach(([, rowAttributes, content = ''], position) => {
+    const cells = [];
+    [...content.matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)].forEach(([, attributes, inner = ''], position) => {
+      const reference = attribute(attributes, 'r');
+      const type = attribute(attributes, 't');
+      const value = /<v\b[^>]*>([\s\S]*?)<\/v>/.exec(inner)?.[1];
+      const text = type === 's' ? shared[Number(value)] ?? ''
+        : type === 'inlineStr' ? textOf(inner)
+          : decodeXml(value ?? '');
+      cells[reference ? columnIndex(reference) : position] = text.trim();
+    });
+    const number = Number(attribute(rowAttributes, 'r'));
+    rows[number > 0 ? number - 1 : position] = Array.from(cells, cell => cell ?? '');
+  });
+  return Array.from(rows, row => row ?? []);
+}
+
+/**
+ * Read a CSV or XLSX file into header and data rows
+ *
+ * @param {File} file - Uploaded packing list
+ * @returns {Promise<Object>} { headers, rows } where rows are
+ *   { line, cells } with their line in the file; empty rows are left out
+ * @throws {Error} For other file types, unreadable workbooks and files without data rows
+ */
+export async function readPackingList(file) {
+  const name = file.name.toLowerCase();
+  let cells;
+  if (name.endsWith('.xlsx')) {
+    cells = await readXlsx(await file.arrayBuffer());
+  } else if (name.endsWith('.csv') || name.endsWith('.txt') || name.endsWith('.tsv')) {
+    cells = parseCsv(await file.text());
+  } else {
+    throw new Error('Upload a .csv or .xlsx file');
+  }
+
+  const [header, ...rows] = cells
+    .map((row, index) => ({ line: index + 1, cells: row }))
+    .filter(row => row.cells.some(cell => cell !== ''));
+  if (!header || rows.length === 0) {
+    throw new Error('The file has no rows below the header');
+  }
+  return { headers: header.cells, rows };
+}
+
+const normalizeHeader = (header) => header.toLowerCase().replace(/\(.*?\)|\[.*?\]/g, '').replace(/[^a-z]+/g, ' ').trim();
+
+/**
+ * Column of each field, matched by header name
+ *
+ * @returns {Object} Field key to column index, or null when no column matches
+ */
+export function guessColumnMapping(headers) {
+  const normalized = headers.map(normalizeHeader);
+  const used = new Set();
+  return Object.fromEntries(PACKING_LIST_FIELDS.map(({ key, headers: names }) => {
+    const index = normalized.findIndex((header, column) => !used.has(column) && names.includes(header));
+    if (index === -1) return [key, null];
+    used.add(index);
+    return [key, index];
+  }));
+}
+
+// Numbers as spreadsheets write them: a decimal comma ("12,5") has one or
+// two digits after it, thousands separators ("1,234") group digits by three
+const toNumberText = (value) => {
+  if (/^-?\d+,\d{1,2}$/.test(value)) return value.replace(',', '.');
+  if (/^-?\d{1,3}(,\d{3})+(\.\d+)?$/.test(value)) return value.replace(/,/g, '');
+  return value;
+};
+
+/**
+ * Check the data rows with a column mapping.
+ *
+ * @param {Array<Object>} rows - Data rows { line, cells } from readPackingList
+ * @param {Object} mapping - Field key to column index (null for unmapped)
+ * @returns {Object} { missing, rows, validCount } where missing lists the
+ *   required fields without a column and each row is
+ *   { line, values, errors } with errors keyed by field
+ */
+export function checkPackingList(rows, mapping) {
+  const missing = PACKING_LIST_FIELDS
+    .filter(({ key, required }) => required && mapping[key] == null)
+    .map(({ label }) => label);
+
+  const seenSkus = new Set();
+  const checked = rows.map(({ line, cells }) => {
+    const cell = (key) => (mapping[key] == null ? '' : cells[mapping[key]] ?? '');
+    const values = {
+      sku: cell('sku'),
+      ...Object.fromEntries(['length', 'width', 'height', 'weight', 'quantity', 'maxLoadOnTop']
+        .map(key => [key, toNumberText(cell(key))]))
+    };
+    if (FLAG_SET.includes(cell('noStack').toLowerCase())) {
+      values.maxLoadOnTop = '0';
+    }
+
+    const errors = {};
+    ['length', 'width', 'height', 'weight', 'quantity', 'maxLoadOnTop'].forEach(key => {
+      // Max load on top is optional; blank means no limit
+      if (mapping[key] == null || (key === 'maxLoadOnTop' && values[key] === '')) return;
+      // validateInput reads only the leading number, so "12 kg" must not pass
+      const validation = Number.isFinite(Number(values[key]))
+        ? validateInput(values[key], key, 'carton')
+        : { isValid: false, error: `Please enter a valid number for ${key}` };
+      if (!validation.isValid) {
+        errors[key] = validation.error;
+      } else if (key === 'quantity' && !Number.isInteger(Number(values[key]))) {
+        errors[key] = 'quantity must be a whole number of cartons';
+      }
+    });
+    const skuKey = values.sku.toLowerCase();
+    if (mapping.sku != null && !skuKey) errors.sku = 'SKU is empty';
+    else if (seenSkus.has(skuKey)) errors.sku = 'Each SKU must have a unique name';
+    seenSkus.add(skuKey);
+
+    return { line, values, errors };
+  });
+
+  return {
+    missing,
+    rows: checked,
+    validCount: checked.filter(row => Object.keys(row.errors).length === 0).length
+  };
+}
@@ -0,0 +1,137 @@
+import { describe, expect, it } from 'vitest';
+import { checkPackingList, guessColumnMapping, parseCsv, readXlsx } from './packing-list.js';
+
+/**
+ * Zip archive with stored (uncompressed) files, as a minimal XLSX
+ */
+function storedZip(files) {
+  const encoder = new TextEncoder();
+  const locals = [];
+  const central = [];
+  let offset = 0;
+
+  Object.entries(files).forEach(([name, text]) => {
+    const nameBytes = encoder.encode(name);
+    const data = encoder.encode(text);
+
+    const local = new Uint8Array(30 + nameBytes.length + data.length);
+    const localView = new DataView(local.buffer);
+    localView.setUint32(0, 0x04034b50, true);
+    localView.setUint32(18, data.length, true);
+    localView.setUint32(22, data.length, true);
+    localView.setUint16(26, nameBytes.length, true);
+    local.set(nameBytes, 30);
+    local.set(data, 30 + nameBytes.length);
+
+    const entry = new Uint8Array(46 + nameBytes.length);
+    const entryView = new DataView(entry.buffer);
+    entryView.setUint32(0, 0x02014b50, true);
+    entryView.setUint32(20, data.length, true);
+    entryView.setUint32(24, data.length, true);
+    entryView.setUint16(28, nameBytes.length, true);
+    entryView.setUint32(42, offset, true);
+    entry.set(nameBytes, 46);
+
+    locals.push(local);
+    central.push(entry);
+    offset += local.length;
+  });
+
+  const centralSize = central.reduce((sum, entry) => sum + entry.length, 0);
+  const end = new Uint8Array(22);
+  const endView = new DataView(end.buffer);
+  endView.setUint32(0, 0x06054b50, true);
+  endView.setUint16(8, central.length, true);
+  endView.setUint16(10, central.length, true);
+  endView.setUint32(12, centralSize, true);
+  endView.setUint32(16, offset, true);
+
+  const parts = [...locals, ...central, end];
+  const zip = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  parts.reduce((position, part) => {
+    zip.set(part, position);
+    return position + part.length;
+  }, 0);
+  return zip.buffer;
+}
+
+const rowsOf = (lines) => lines.map((cells, index) => ({ line: index + 2, cells }));
+
+describe('parseCsv', () => {
+  it('takes the delimiter from the header line', () => {
+    expect(parseCsv('sku;qty\nA;12,5\n')).toEqual([['sku', 'qty'], ['A', '12,5']]);
+    expect(parseCsv('sku\tqty\r\nA\t3')).toEqual([['sku', 'qty'], ['A', '3']]);
+  });
+
+  it('reads quoted cells with delimiters, quotes and line breaks', () => {
+    expect(parseCsv('\uFEFFsku,notes\n"A, large","say ""hi""\nagain"')).toEqual([
+      ['sku', 'notes'],
+      ['A, large', 'say "hi"\nagain']
+    ]);
+  });
+});
+
+describe('guessColumnMapping', () => {
+  it('matches columns by header name', () => {
+    const mapping = guessColumnMapping(['Item', 'L', 'W', 'H', 'Gross Weight', 'Qty', 'Fragile']);
+    expect(mapping).toMatchObject({ sku: 0, length: 1, width: 2, height: 3, weight: 4, quantity: 5, noStack: 6, maxLoadOnTop: null });
+  });
+});
+
+describe('checkPackingList', () => {
+  const mapping = { sku: 0, length: 1, width: 2, height: 3, weight: 4, quantity: 5, maxLoadOnTop: null, noStack: 6 };
+
+  it('reads decimal commas and thousands separators', () => {
+    const { rows, validCount } = checkPackingList(rowsOf([
+      ['A', '50', '30,5', '25', '12,25', '1,200', ''],
+      ['B', '40', '30', '20', '8', '2,500.0', 'yes']
+    ]), mapping);
+
+    expect(validCount).toBe(2);
+    expect(rows[0].values).toMatchObject({ width: '30.5', weight: '12.25', quantity: '1200' });
+    expect(rows[1].values).toMatchObject({ quantity: '2500.0', maxLoadOnTop: '0' });
+  });
+
+  it('flags values with units, fractional quantities, blank and repeated SKUs', () => {
+    const { rows, validCount } = checkPackingList(rowsOf([
+      ['A', '50 cm', '30', '25', '12', '10', ''],
+      ['B', '50', '30', '25', '12', '2,5', ''],
+      ['', '50', '30', '25', '12', '10', ''],
+      ['a', '50', '30', '25', '12', '10', '']
+    ]), mapping);
+
+    expect(validCount).toBe(0);
+    expect(rows[0].errors.length).toMatch(/valid number/);
+    expect(rows[1].errors.quantity).toMatch(/whole number/);
+    expect(rows[2].errors.sku).toMatch(/empty/);
+    expect(rows[3].errors.sku).toMatch(/unique/);
+  });
+
+  it('lists required fields without a column', () => {
+    const { missing } = checkPackingList([], { ...mapping, weight: null, quantity: null });
+    expect(missing).toEqual(['Weight (kg)', 'Quantity']);
+  });
+});
+
+describe('readXlsx', () => {
+  it('reads the first worksheet with shared and inline strings', async () => {
+    const workbook = storedZip({
+      'xl/workbook.xml': '<workbook><sheets><sheet name="List" sheetId="1" r:id="rId1"/></sheets></workbook>',
+      'xl/_rels/workbook.xml.rels': '<Relationships><Relationship Id="rId1" Target="worksheets/sheet1.xml"/></Relationships>',
+      'xl/sharedStrings.xml': '<sst><si><t>SKU</t></si><si><r><t>Q</t></r><r><t>ty</t></r></si><si><t>A &amp; B</t></si></sst>',
+      'xl/worksheets/sheet1.xml': [
+        '<worksheet><sheetData>',
+        '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c></row>',
+        '<row r="3"><c r="A3" t="s"><v>2</v></c><c r="C3"><v>12</v></c></row>',
+        '<row r="4"><c r="A4" t="inlineStr"><is><t>C</t></is></c></row>',
+        '</sheetData></worksheet>'
+      ].join('')
+    });
+
+    expect(await readXlsx(workbook)).toEqual([['SKU', 'Qty'], [], ['A & B', '', '12'], ['C']]);
+  });
+
+  it('rejects files that are not a workbook', async () => {
+    await expect(readXlsx(new TextEncoder().encode('sku,qty').buffer)).rejects.toThrow(/not an XLSX workbook/);
+  });
+});
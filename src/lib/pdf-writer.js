@@ -0,0 +1,151 @@
+/**
+ * PDF Writer - Minimal Vector PDF Documents
+ *
+ * Writes the small subset of PDF the load report needs: pages with text in
+ * the standard Helvetica fonts, lines and filled or outlined rectangles.
+ * Everything is built in the browser; no fonts or images are embedded.
+ *
+ * Writer Rules:
+ * - Coordinates are points from the top-left corner of the page (PDF
+ *   itself counts from the bottom-left)
+ * - Text is written in WinAnsi encoding; characters outside Latin-1 are
+ *   replaced with "?"
+ * - Colors are [r, g, b] with components from 0 to 1
+ */
+
+export const A4 = { width: 595.28, height: 841.89 };
+
+// Average Helvetica glyph widths (per point of font size), enough for layout
+const CHAR_WIDTH = { regular: 0.52, bold: 0.56 };
+
+const format = (value) => Number(value.toFixed(2)).toString();
+
+const escapeText = (text) => String(text)
+  .replace(/[^\x20-\xff]/g, '?')
+  .replace(/[\\()]/g, match => `\\${match}`);
+
+const colorOf = (color) => color.map(format).join(' ');
+
+/**
+ * Approximate width of a text in points
+ */
+export function textWidth(text, size, bold = false) {
+  return String(text).length * size * CHAR_WIDTH[bold ? 'bold' : 'regular'];
+}
+
+/**
+ * Split a text into lines that fit a width
+ */
+export function wrapText(text, width, size, bold = false) {
+  return String(text).split(' ').reduce((lines, word) => {
+    const last = lines[lines.length - 1];
+    if (last && textWidth(`${last} ${word}`, size, bold) <= width) {
+      lines[lines.length - 1] = `${last} ${word}`;
+    } else {
+      lines.push(word);
+    }
+    return lines;
+  }, []);
+}
+
+/**
+ * Create a document: add a page, draw on it and call `output()`
+ *
+ * @param {Object} pageSize - { width, height } in points, A4 by default
+ * @returns {Object} Document with drawing methods
+ */
+export function createPdfDocument(pageSize = A4) {
+  const pages = [];
+  let content = null;
+
+  const y = (top) => pageSize.height - top;
+
+  const pdf = {
+    width: pageSize.width,
+    height: pageSize.height,
+
+    addPage() {
+      content = [];
+      pages.push(content);
+      return pdf;
+    },
+
+    get pageCount() {
+      return pages.length;
+    },
+
+    /**
+     * Text with its baseline at (x, top)
+     *
+     * @param {Object} options - { size, bold, color, align: 'left' | 'center' | 'right' }
+     */
+    text(x, top, text, { size = 10, bold = false, color = [0, 0, 0], align = 'left' } = {}) {
+      const width = textWidth(text, size, bold);
+      const left = align === 'right' ? x - width : align === 'center' ? x - width / 2 : x;
+      content.push(`BT /${bold ? 'F2' : 'F1'} ${format(size)} Tf ${colorOf(color)} rg ${format(left)} ${format(y(top))} Td (${escapeText(text)}) Tj ET`);
+      return pdf;
+    },
+
+    /**
+     * Rectangle with its top-left corner at (x, top)
+     *
+     * @param {Object} options - { fill, stroke, lineWidth }; outlined in black without either
+     */
+    rect(x, top, width, height, { fill = null, stroke = fill ? null : [0, 0, 0], lineWidth = 0.5 } = {}) {
+      const ops = [`${format(lineWidth)} w`];
+      if (fill) ops.push(`${colorOf(fill)} rg`);
+      if (stroke) ops.push(`${colorOf(stroke)} RG`);
+      ops.push(`${format(x)} ${format(y(top + height))} ${format(width)} ${format(height)} re`);
+      ops.push(fill && stroke ? 'B' : fill ? 'f' : 'S');
+      content.push(`q ${ops.join(' ')} Q`);
+      return pdf;
+    },
+
+    line(x1, top1, x2, top2, { color = [0, 0, 0], lineWidth = 0.5, dash = null } = {}) {
+      const dashOp = dash ? `[${dash.map(format).join(' ')}] 0 d ` : '';
+      content.push(`q ${format(lineWidth)} w ${colorOf(color)} RG ${dashOp}${format(x1)} ${format(y(top1))} m ${format(x2)} ${format(y(top2))} l S Q`);
+      return pdf;
+    },
+
+    /**
+     * The finished file
+     *
+     * @param {Object} info - { title, author } for the document properties
+     * @returns {Uint8Array} PDF bytes
+     */
+    output({ title = '', author = '' } = {}) {
+      const objects = [];
+      // Object numbers start at 1
+      const add = (body) => objects.push(body);
+
+      add('<< /Type /Catalog /Pages 2 0 R >>');
+      add(null); // Pages, written once the page objects are known
+      add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+      add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+      add(`<< /Title (${escapeText(title)}) /Author (${escapeText(author)}) /Producer (Palletizr Pro) >>`);
+
+      const pageIds = pages.map(ops => {
+        const stream = ops.join('\n');
+        const contentId = add(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+        return add(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${format(pageSize.width)} ${format(pageSize.height)}] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${contentId} 0 R >>`);
+      });
+      objects[1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+      // Every character is below 256, so string offsets are byte offsets
+      let file = '%PDF-1.4\n';
+      const offsets = objects.map((body, index) => {
+        const offset = file.length;
+        file += `${index + 1} 0 obj\n${body}\nendobj\n`;
+        return offset;
+      });
+      const xref = file.length;
+      file += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+      file += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+      file += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+      return Uint8Array.from(file, char => char.charCodeAt(0));
+    }
+  };
+
+  return pdf;
+}
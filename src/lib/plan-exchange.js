@@ -0,0 +1,325 @@
+/**
+ * Plan Exchange - JSON and XML Load Plans for WMS/TMS Integration
+ *
+ * Writes a calculated plan as a versioned document: the inputs, every
+ * pallet's carton positions, the pallet placements in each container and
+ * the summary. The same document, as JSON or XML, can be read back to
+ * rebuild the plan in the app. The format is described in
+ * docs/PLAN_EXCHANGE.md and docs/load-plan.schema.json.
+ *
+ * Exchange Rules:
+ * - Lengths are cm, weights kg; positions are measured from a corner:
+ *   cartons on a pallet from the front-left corner of the deck (z from the
+ *   deck top), pallets and loose cartons from the front-left corner of the
+ *   container floor
+ * - The XML variant holds the same fields: values as attributes, lists as
+ *   wrapper elements with one child per item
+ * - Reading checks the format, the version and the inputs (with
+ *   validatePlanInputs); positions are not trusted, the plan is recalculated
+ *   and compared with them
+ */
+
+import { CONTAINER_PRESETS, PALLET_PRESETS, validatePlanInputs } from './calculator.js';
+import { getOrientedDimensions, loadingSequence } from './3d-layout.js';
+
+export const EXCHANGE_FORMAT = 'palletizr-pro/load-plan';
+export const EXCHANGE_VERSION = 1;
+
+const CARTON_FIELDS = ['sku', 'length', 'width', 'height', 'weight', 'quantity', 'maxLoadOnTop'];
+const PALLET_FIELDS = ['preset', 'length', 'width', 'height', 'maxStackHeight', 'maxStackWeight', 'usePallets'];
+const CONTAINER_FIELDS = ['preset', 'length', 'width', 'height', 'weightCapacity', 'doorWidth', 'doorHeight'];
+
+// XML element of one item of each list
+const XML_ITEMS = { cartons: 'carton', pallets: 'pallet', containers: 'container', placements: 'placement' };
+// Attributes that stay text when XML is read (others become numbers or booleans)
+const XML_TEXT = ['format', 'exportedAt', 'name', 'sku', 'preset', 'type', 'rotation', 'loadingMode',
+  'optimizationGoal', 'fillMode', 'stackingPattern'];
+
+// null counts as missing, like an absent field
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const round = (value, digits = 2) => (value == null || Number.isNaN(value) ? null : Number(value.toFixed(digits)));
+
+/**
+ * Exchange document of a report.
+ *
+ * @param {Object} report - Report from generateOptimizationReport
+ * @param {Object} options - { name, exportedAt }
+ * @returns {Object} Document in the EXCHANGE_VERSION format
+ */
+export function buildExchangeDocument(report, { name = '', exportedAt = new Date() } = {}) {
+  const { layout3D, pallet: palletData, container: containerData, summary } = report;
+  const { layoutChoices = {}, ...settings } = report.settings;
+  const cartonsBySku = new Map(report.cartons.map(carton => [carton.sku, carton]));
+
+  const cartonOut = (position, offset) => {
+    const dims = getOrientedDimensions(cartonsBySku.get(position.sku) ?? report.carton, position.rotation);
+    return {
+      sku: position.sku,
+      x: round(position.x + offset.x),
+      y: round(position.y + offset.y),
+      z: round(position.z),
+      length: dims.length,
+      width: dims.width,
+      height: dims.height,
+      rotation: position.rotation,
+      layer: position.layer + 1
+    };
+  };
+
+  // Same centring on the deck as the 3D view
+  const deckOffset = (positions) => {
+    const dimsOf = (position) => getOrientedDimensions(cartonsBySku.get(position.sku) ?? report.carton, position.rotation);
+    const spanX = positions.reduce((max, position) => Math.max(max, position.x + dimsOf(position).length), 0);
+    const spanY = positions.reduce((max, position) => Math.max(max, position.y + dimsOf(position).width), 0);
+    return { x: (palletData.length - spanX) / 2, y: (palletData.width - spanY) / 2 };
+  };
+
+  return {
+    format: EXCHANGE_FORMAT,
+    version: EXCHANGE_VERSION,
+    exportedAt: exportedAt.toISOString(),
+    engineVersion: report.engineVersion,
+    name,
+    inputs: {
+      cartons: report.cartons.map(carton => ({
+        ...Object.fromEntries(CARTON_FIELDS.map(field => [field, carton[field] ?? null])),
+        layoutChoice: layoutChoices[carton.id] ?? 0
+      })),
+      pallet: Object.fromEntries(PALLET_FIELDS.map(field => [field, palletData[field] ?? null])),
+      container: Object.fromEntries(CONTAINER_FIELDS.map(field => [field, containerData[field] ?? null])),
+      settings
+    },
+    summary: {
+      loadingMode: report.loadingMode,
+      totalCartons: summary.totalCartons,
+      cartonsPlaced: summary.cartonsPlaced,
+      remainingCartons: summary.remainingCartons,
+      palletsUsed: summary.palletsUsed,
+      containersUsed: summary.containersUsed,
+      efficiency: round(summary.efficiency),
+      spaceUtilization: round(summary.spaceUtilization),
+      totalWeight: round(containerData.result.containers.reduce((sum, loaded) => sum + loaded.weight, 0))
+    },
+    pallets: layout3D.floorLoaded ? [] : layout3D.pallets.map((pallet, index) => {
+      const offset = deckOffset(pallet.cartonPositions);
+      return {
+        number: index + 1,
+        type: pallet.type,
+        cartonCount: pallet.cartonCount,
+        weight: round(pallet.weight),
+        loadHeight: round(pallet.loadHeight),
+        cartons: pallet.cartonPositions.map(position => cartonOut(position, offset))
+      };
+    }),
+    containers: layout3D.containers.map((loaded, index) => {
+      const result = containerData.result.containers[index];
+      return {
+        number: index + 1,
+        palletCount: loaded.palletCount,
+        cartonCount: loaded.cartonCount,
+        weight: round(loaded.weight),
+        centerOfGravity: { length: round(result.centerOfGravity.length), width: round(result.centerOfGravity.width) },
+        offCentre: result.offCentre,
+        placements: loadingSequence(loaded.palletPositions).map((position, step) => {
+          const [footLength, footWidth] = position.rotated
+            ? [palletData.width, palletData.length]
+            : [palletData.length, palletData.width];
+          return {
+            sequence: step + 1,
+            pallet: position.index + 1,
+            x: round(position.x + containerData.length / 2 - footLength / 2),
+            y: round(position.z + containerData.width / 2 - footWidth / 2),
+            z: round(position.y - palletData.height / 2),
+            tier: position.layer + 1,
+            rotated: position.rotated
+          };
+        }),
+        cartons: (loaded.cartonPositions ?? []).map(position => cartonOut(position, { x: 0, y: 0 }))
+      };
+    })
+  };
+}
+
+export function exchangeToJson(plan) {
+  return JSON.stringify(plan, null, 2);
+}
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+function xmlElement(name, value, indent) {
+  const attributes = Object.entries(value)
+    .filter(([, field]) => field !== null && typeof field !== 'object')
+    .map(([key, field]) => ` ${key}="${escapeXml(field)}"`)
+    .join('');
+  const children = Object.entries(value)
+    .filter(([, field]) => field !== null && typeof field === 'object')
+    .map(([key, field]) => (Array.isArray(field)
+      ? (field.length === 0
+        ? `${indent}  <${key}/>`
+        : `${indent}  <${key}>\n${field.map(item => xmlElement(XML_ITEMS[key], item, `${indent}    `)).join('\n')}\n${indent}  </${key}>`)
+      : xmlElement(key, field, `${indent}  `)));
+
+  return children.length === 0
+    ? `${indent}<${name}${attributes}/>`
+    : `${indent}<${name}${attributes}>\n${children.join('\n')}\n${indent}</${name}>`;
+}
+
+/**
+ * XML variant of a document: root element `loadPlan`
+ */
+export function exchangeToXml(plan) {
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${xmlElement('loadPlan', plan, '')}\n`;
+}
+
+const decodeXml = (text) => text
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&#(\d+);/g, (_match, code) => String.fromCodePoint(Number(code)))
+  .replace(/&#x([0-9a-f]+);/gi, (_match, code) => String.fromCodePoint(parseInt(code, 16)))
+  .replace(/&amp;/g, '&');
+
+const xmlValue = (key, text) => {
+  if (XML_TEXT.includes(key)) return text;
+  if (text === 'true' || text === 'false') return text === 'true';
+  return text.trim() !== '' && Number.isFinite(Number(text)) ? Number(text) : text;
+};
+
+/**
+ * Document from its XML variant. Elements are read as objects of their
+ * attributes; wrapper elements of lists (see XML_ITEMS) become arrays.
+ */
+function parseExchangeXml(xml) {
+  const source = xml.replace(/<\?[\s\S]*?\?>/g, '').replace(/<!--[\s\S]*?-->/g, '');
+  const stack = [{ name: null, value: {} }];
+
+  for (const [, closing, name, attributes = '', selfClosing] of source.matchAll(/<(\/?)([A-Za-z][\w.-]*)([^>]*?)(\/?)>/g)) {
+    const parent = stack[stack.length - 1];
+    if (closing) {
+      if (parent.name !== name) throw new Error(`The XML closes <${name}> where <${parent.name}> is open`);
+      stack.pop();
+      continue;
+    }
+
+    const value = Object.fromEntries(
+      [...attributes.matchAll(/([\w.-]+)\s*=\s*"([^"]*)"/g)].map(([, key, text]) => [key, xmlValue(key, decodeXml(text))])
+    );
+    const isList = Object.hasOwn(XML_ITEMS, name) && XML_ITEMS[parent.name] !== name;
+    const node = isList ? [] : value;
+    if (Array.isArray(parent.value)) parent.value.push(node);
+    else parent.value[name] = node;
+    if (!selfClosing) stack.push({ name, value: node });
+  }
+
+  if (stack.length !== 1) throw new Error(`The XML ends inside <${stack[stack.length - 1].name}>`);
+  const plan = stack[0].value.loadPlan;
+  if (!plan) throw new Error('The XML has no <loadPlan> element');
+  return plan;
+}
+
+/**
+ * Read a JSON or XML exchange file.
+ *
+ * @param {string} text - File content
+ * @returns {Object} { plan, inputs } where plan is the document and inputs are form values for
+ *   the wizard, with carton ids that inputs.layoutChoices refers to
+ * @throws {Error} For other formats or versions, unreadable files and
+ *   inputs outside VALIDATION_RULES
+ */
+export function readExchangeFile(text) {
+  let plan;
+  try {
+    plan = text.trimStart().startsWith('<') ? parseExchangeXml(text) : JSON.parse(text);
+  } catch (error) {
+    throw new Error(`The file could not be read: ${error.message}`);
+  }
+
+  if (plan?.format !== EXCHANGE_FORMAT) {
+    throw new Error(`The file is not a load plan (format "${EXCHANGE_FORMAT}")`);
+  }
+  if (plan.version !== EXCHANGE_VERSION) {
+    throw new Error(`The file uses load plan version ${plan.version}, this version of the app reads version ${EXCHANGE_VERSION}`);
+  }
+  const { cartons, pallet, container, settings } = isObject(plan.inputs) ? plan.inputs : {};
+  if (!Array.isArray(cartons) || !cartons.every(isObject) || !isObject(pallet) || !isObject(container)) {
+    throw new Error('The file has no inputs (cartons, pallet and container)');
+  }
+
+  const asText = (value) => (value == null ? '' : String(value));
+  const inputs = {
+    cartons: cartons.map((carton, index) => ({
+      id: `import-${index}`,
+      ...Object.fromEntries(CARTON_FIELDS.map(field => [field, asText(carton[field])]))
+    })),
+    palletData: {
+      ...Object.fromEntries(PALLET_FIELDS.map(field => [field, asText(pallet[field])])),
+      preset: PALLET_PRESETS[pallet.preset] ? pallet.preset : 'custom',
+      usePallets: pallet.usePallets !== false
+    },
+    containerData: {
+      ...Object.fromEntries(CONTAINER_FIELDS.map(field => [field, asText(container[field])])),
+      preset: CONTAINER_PRESETS[container.preset] ? container.preset : 'custom'
+    },
+    settings: isObject(settings) ? settings : {},
+    layoutChoices: Object.fromEntries(cartons
+      .map((carton, index) => [`import-${index}`, carton.layoutChoice])
+      .filter(([, choice]) => Number.isInteger(choice) && choice > 0))
+  };
+
+  const problems = validatePlanInputs(inputs);
+  if (problems.length > 0) {
+    throw new Error(`The file has values outside the allowed limits. ${problems.join('; ')}`);
+  }
+
+  return { plan, inputs };
+}
+
+/**
+ * Differences between the positions in an imported document and the plan
+ * the app calculates from its inputs
+ *
+ * @returns {Array<string>} Empty when the app reproduces the file
+ */
+export function compareWithReport(plan, report) {
+  const rebuilt = buildExchangeDocument(report);
+  const differences = [];
+  const key = (items = [], fields) => JSON.stringify(items.map(item => fields.map(field => (
+    typeof item[field] === 'number' ? round(item[field], 1) : String(item[field])
+  ))));
+  const cartonFields = ['sku', 'x', 'y', 'z', 'rotation'];
+
+  if ((plan.pallets ?? []).length !== rebuilt.pallets.length) {
+    differences.push(`The file has ${(plan.pallets ?? []).length} pallets, the app builds ${rebuilt.pallets.length}`);
+  } else {
+    const changed = rebuilt.pallets.filter((pallet, index) => (
+      key(pallet.cartons, cartonFields) !== key(plan.pallets[index].cartons, cartonFields)
+    ));
+    if (changed.length > 0) {
+      differences.push(`Carton positions differ on pallet${changed.length > 1 ? 's' : ''} ${changed.map(pallet => pallet.number).join(', ')}`);
+    }
+  }
+
+  if ((plan.containers ?? []).length !== rebuilt.containers.length) {
+    differences.push(`The file has ${(plan.containers ?? []).length} containers, the app builds ${rebuilt.containers.length}`);
+  } else {
+    const changed = rebuilt.containers.filter((loaded, index) => {
+      const imported = plan.containers[index];
+      return key(loaded.placements, ['pallet', 'x', 'y', 'z']) !== key(imported.placements, ['pallet', 'x', 'y', 'z'])
+        || key(loaded.cartons, cartonFields) !== key(imported.cartons, cartonFields);
+    });
+    if (changed.length > 0) {
+      differences.push(`Placements differ in container${changed.length > 1 ? 's' : ''} ${changed.map(loaded => loaded.number).join(', ')}`);
+    }
+  }
+
+  if (differences.length > 0 && plan.engineVersion !== report.engineVersion) {
+    differences.push(`The file was made with engine v${plan.engineVersion}, the app runs v${report.engineVersion}`);
+  }
+  return differences;
+}
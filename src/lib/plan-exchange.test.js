@@ -0,0 +1,81 @@
+import { describe, expect, it } from 'vitest';
+import { generateOptimizationReport } from './calculator.js';
+import {
+  buildExchangeDocument,
+  compareWithReport,
+  exchangeToJson,
+  exchangeToXml,
+  EXCHANGE_FORMAT,
+  EXCHANGE_VERSION,
+  readExchangeFile
+} from './plan-exchange.js';
+
+const cartons = [
+  { id: 'a', sku: 'A-100', length: 50, width: 30, height: 25, weight: 15, quantity: 120, maxLoadOnTop: null },
+  { id: 'b', sku: 'B & <200>', length: 40, width: 30, height: 20, weight: 8, quantity: 45, maxLoadOnTop: 60 }
+];
+const pallet = { preset: 'euro', length: 120, width: 80, height: 14.5, maxStackHeight: 180, maxStackWeight: 1000, usePallets: true };
+const container = { preset: '20ft', length: 589.8, width: 235, height: 239.3, weightCapacity: 28000 };
+const settings = { enableRotation: true, optimizationGoal: 'maxCartons', layoutChoices: {} };
+
+const report = generateOptimizationReport(cartons, pallet, container, settings);
+const exportedAt = new Date('2026-01-02T03:04:05Z');
+
+describe('plan exchange files', () => {
+  it('writes the format, versions and every placed carton', () => {
+    const plan = buildExchangeDocument(report, { name: 'Order 4711', exportedAt });
+
+    expect(plan).toMatchObject({ format: EXCHANGE_FORMAT, version: EXCHANGE_VERSION, name: 'Order 4711' });
+    expect(plan.engineVersion).toBe(report.engineVersion);
+    const placed = plan.pallets.reduce((sum, entry) => sum + entry.cartons.length, 0);
+    expect(placed).toBe(report.summary.cartonsPlaced);
+    expect(plan.containers.flatMap(loaded => loaded.placements)).toHaveLength(plan.pallets.length);
+  });
+
+  it.each([
+    ['JSON', exchangeToJson],
+    ['XML', exchangeToXml]
+  ])('reads its own %s back with the same inputs and positions', (_format, write) => {
+    const plan = buildExchangeDocument(report, { name: 'Order 4711', exportedAt });
+    const { plan: read, inputs } = readExchangeFile(write(plan));
+
+    expect(read.pallets).toEqual(plan.pallets);
+    expect(read.containers).toEqual(plan.containers);
+    expect(inputs.cartons.map(carton => carton.sku)).toEqual(['A-100', 'B & <200>']);
+    expect(inputs.cartons[1]).toMatchObject({ length: '40', quantity: '45', maxLoadOnTop: '60' });
+    expect(inputs.palletData).toMatchObject({ preset: 'euro', length: '120', usePallets: true });
+    expect(inputs.containerData).toMatchObject({ preset: '20ft', length: '589.8' });
+    expect(compareWithReport(read, report)).toEqual([]);
+  });
+
+  it('lists the pallets whose positions differ from the recalculation', () => {
+    const plan = buildExchangeDocument(report, { exportedAt });
+    plan.pallets[0].cartons[0].x += 5;
+
+    expect(compareWithReport(plan, report)).toEqual(['Carton positions differ on pallet 1']);
+  });
+
+  it('imports unknown presets as custom equipment', () => {
+    const plan = buildExchangeDocument(report, { exportedAt });
+    plan.inputs.container.preset = 'tms-trailer-7';
+
+    expect(readExchangeFile(JSON.stringify(plan)).inputs.containerData.preset).toBe('custom');
+  });
+
+  it('rejects other formats, versions and files without inputs', () => {
+    const plan = buildExchangeDocument(report, { exportedAt });
+
+    expect(() => readExchangeFile('{')).toThrow(/could not be read/);
+    expect(() => readExchangeFile(JSON.stringify({ ...plan, format: 'other' }))).toThrow(/not a load plan/);
+    expect(() => readExchangeFile(JSON.stringify({ ...plan, version: 2 }))).toThrow(/version 2/);
+    expect(() => readExchangeFile(JSON.stringify({ ...plan, inputs: null }))).toThrow(/has no inputs/);
+    expect(() => readExchangeFile(JSON.stringify({ ...plan, inputs: { ...plan.inputs, cartons: [null] } }))).toThrow(/has no inputs/);
+  });
+
+  it('rejects inputs outside the allowed limits', () => {
+    const plan = buildExchangeDocument(report, { exportedAt });
+    plan.inputs.cartons[0].weight = 0;
+
+    expect(() => readExchangeFile(JSON.stringify(plan))).toThrow(/outside the allowed limits/);
+  });
+});
@@ -0,0 +1,182 @@
+/**
+ * Plan Store - Saved Load Plans With Version History
+ *
+ * A load plan is everything needed to rebuild a result: the carton types,
+ * pallet, container, settings and the chosen alternative stacks. Each save
+ * adds a version to the plan, so earlier states can be reopened and
+ * compared. Versions keep the summary numbers of their result, not the 3D
+ * positions; opening a plan recalculates it from its inputs.
+ *
+ * Store Rules:
+ * - Plans live in localStorage under `palletizr-pro:plans`
+ * - A plan keeps its last MAX_VERSIONS versions
+ * - A version records the engine version its summary came from; versions
+ *   from another engine are out of date and are recalculated when opened
+ */
+
+import { ENGINE_VERSION } from './calculator.js';
+
+export const PLAN_STORAGE_KEY = 'palletizr-pro:plans';
+export const MAX_VERSIONS = 20;
+
+let planCounter = 0;
+
+export function emptyPlanStore() {
+  return { version: 1, plans: [] };
+}
+
+/**
+ * Summary numbers of a report, kept with each version
+ */
+export function summarizeReport(report) {
+  if (!report) return null;
+  const { summary, container } = report;
+  const weight = container.result.containers.reduce((sum, loaded) => sum + loaded.weight, 0);
+
+  return {
+    loadingMode: report.loadingMode,
+    totalCartons: summary.totalCartons,
+    cartonsPlaced: summary.cartonsPlaced,
+    remainingCartons: summary.remainingCartons,
+    palletsUsed: summary.palletsUsed,
+    containersUsed: summary.containersUsed,
+    efficiency: summary.efficiency,
+    spaceUtilization: summary.spaceUtilization,
+    weight
+  };
+}
+
+/**
+ * Save the inputs (and result summary) as a new version.
+ *
+ * @param {Object} store - Plan store
+ * @param {Object} save - { planId, name, note, inputs, report }; without
+ *   planId (or for an unknown one) a new plan is created. A copied version
+ *   passes its `summary` and `engineVersion` instead of a report.
+ * @returns {Object} { store, plan, version }
+ */
+export function savePlanVersion(store, { planId, name, note = '', inputs, report, summary = null, engineVersion }) {
+  const now = new Date().toISOString();
+  const existing = store.plans.find(plan => plan.id === planId);
+  const plan = existing ?? {
+    id: `plan-${Date.now().toString(36)}-${(planCounter++).toString(36)}`,
+    name: name?.trim() || 'Untitled plan',
+    createdAt: now,
+    versions: []
+  };
+
+  const version = {
+    number: (plan.versions[plan.versions.length - 1]?.number ?? 0) + 1,
+    savedAt: now,
+    note: note.trim(),
+    engineVersion: report?.engineVersion ?? engineVersion ?? ENGINE_VERSION,
+    inputs,
+    summary: report ? summarizeReport(report) : summary
+  };
+  const saved = {
+    ...plan,
+    ...(name?.trim() && { name: name.trim() }),
+    updatedAt: now,
+    versions: [...plan.versions, version].slice(-MAX_VERSIONS)
+  };
+
+  return {
+    store: { ...store, plans: [saved, ...store.plans.filter(other => other.id !== saved.id)] },
+    plan: saved,
+    version
+  };
+}
+
+/**
+ * Copy a plan's latest version into a new plan
+ */
+export function duplicatePlan(store, planId, name) {
+  const plan = store.plans.find(other => other.id === planId);
+  const latest = plan && latestVersion(plan);
+  if (!latest) return { store, plan: null };
+
+  // The copy has the same result as its source
+  return savePlanVersion(store, {
+    name: name || `${plan.name} (copy)`,
+    note: `Copied from ${plan.name} v${latest.number}`,
+    inputs: latest.inputs,
+    summary: latest.summary,
+    engineVersion: latest.engineVersion
+  });
+}
+
+export function removePlan(store, planId) {
+  return { ...store, plans: store.plans.filter(plan => plan.id !== planId) };
+}
+
+export function latestVersion(plan) {
+  return plan.versions[plan.versions.length - 1] ?? null;
+}
+
+export function findVersion(store, planId, number) {
+  const plan = store.plans.find(other => other.id === planId);
+  if (!plan) return null;
+  const version = number == null ? latestVersion(plan) : plan.versions.find(other => other.number === number);
+  return version ? { plan, version } : null;
+}
+
+/**
+ * A version whose summary came from another engine (or has none)
+ */
+export function isOutdated(version) {
+  return !version.summary || version.engineVersion !== ENGINE_VERSION;
+}
+
+const COMPARED = [
+  { key: 'containersUsed', label: 'Containers', lowerIsBetter: true },
+  { key: 'palletsUsed', label: 'Pallets', lowerIsBetter: true },
+  { key: 'cartonsPlaced', label: 'Cartons placed' },
+  { key: 'remainingCartons', label: 'Cartons left over', lowerIsBetter: true },
+  { key: 'efficiency', label: 'Efficiency (%)', digits: 1 },
+  { key: 'spaceUtilization', label: 'Space utilization (%)', digits: 1 },
+  // Same cartons give the same weight; a difference is shown, not rated
+  { key: 'weight', label: 'Weight (kg)', digits: 0, neutral: true }
+];
+
+/**
+ * Side-by-side summary of two versions.
+ *
+ * @returns {Array<Object>} Rows { label, a, b, difference, better } where
+ *   better is 'a', 'b' or null
+ */
+export function compareVersions(a, b) {
+  return COMPARED.map(({ key, label, lowerIsBetter, neutral, digits = 0 }) => {
+    const valueA = a.summary?.[key];
+    const valueB = b.summary?.[key];
+    if (valueA == null || valueB == null) {
+      return { label, a: valueA ?? null, b: valueB ?? null, difference: null, better: null };
+    }
+
+    const difference = Number((valueB - valueA).toFixed(digits));
+    const better = difference === 0 || neutral
+      ? null
+      : (difference < 0) === Boolean(lowerIsBetter) ? 'b' : 'a';
+    return { label, a: Number(valueA.toFixed(digits)), b: Number(valueB.toFixed(digits)), difference, better };
+  });
+}
+
+/**
+ * Plans saved in the browser; an empty store when there are none or they cannot be read
+ */
+export function loadPlans(storage = globalThis.localStorage) {
+  try {
+    const saved = JSON.parse(storage?.getItem(PLAN_STORAGE_KEY) ?? 'null');
+    return Array.isArray(saved?.plans) ? saved : emptyPlanStore();
+  } catch (error) {
+    console.error('Saved plans could not be read:', error);
+    return emptyPlanStore();
+  }
+}
+
+export function savePlans(store, storage = globalThis.localStorage) {
+  try {
+    storage?.setItem(PLAN_STORAGE_KEY, JSON.stringify(store));
+  } catch (error) {
+    console.error('Plans could not be saved:', error);
+  }
+}
@@ -0,0 +1,74 @@
+import { describe, expect, it } from 'vitest';
+import { ENGINE_VERSION } from './calculator.js';
+import {
+  compareVersions,
+  duplicatePlan,
+  emptyPlanStore,
+  findVersion,
+  isOutdated,
+  loadPlans,
+  MAX_VERSIONS,
+  PLAN_STORAGE_KEY,
+  removePlan,
+  savePlanVersion,
+  savePlans
+} from './plan-store.js';
+
+const memoryStorage = (values = {}) => ({
+  getItem: key => values[key] ?? null,
+  setItem: (key, value) => { values[key] = value; }
+});
+
+const summary = (values) => ({ containersUsed: 1, palletsUsed: 10, cartonsPlaced: 400, remainingCartons: 0, efficiency: 100, spaceUtilization: 61.234, weight: 5000, ...values });
+const inputs = { cartons: [{ id: 'a', sku: 'A' }] };
+
+describe('plan store', () => {
+  it('numbers the versions of a plan and keeps the last MAX_VERSIONS', () => {
+    let { store, plan } = savePlanVersion(emptyPlanStore(), { name: ' Order 1 ', inputs, summary: summary() });
+    for (let i = 0; i < MAX_VERSIONS + 2; i++) {
+      ({ store } = savePlanVersion(store, { planId: plan.id, note: `change ${i}`, inputs, summary: summary() }));
+    }
+
+    const saved = store.plans[0];
+    expect(saved.name).toBe('Order 1');
+    expect(saved.versions).toHaveLength(MAX_VERSIONS);
+    expect(saved.versions.at(-1).number).toBe(MAX_VERSIONS + 3);
+    expect(findVersion(store, plan.id, 1)).toBeNull();
+    expect(findVersion(store, plan.id).version.note).toBe(`change ${MAX_VERSIONS + 1}`);
+  });
+
+  it('copies the latest version into a new plan with its result', () => {
+    const first = savePlanVersion(emptyPlanStore(), { name: 'Order 1', inputs, summary: summary(), engineVersion: ENGINE_VERSION });
+    const { store, plan } = duplicatePlan(first.store, first.plan.id);
+
+    expect(store.plans).toHaveLength(2);
+    expect(plan.name).toBe('Order 1 (copy)');
+    expect(plan.versions[0]).toMatchObject({ note: 'Copied from Order 1 v1', summary: summary(), engineVersion: ENGINE_VERSION });
+    expect(removePlan(store, plan.id).plans).toHaveLength(1);
+  });
+
+  it('marks versions from another engine or without a summary as out of date', () => {
+    expect(isOutdated({ engineVersion: ENGINE_VERSION, summary: summary() })).toBe(false);
+    expect(isOutdated({ engineVersion: ENGINE_VERSION - 1, summary: summary() })).toBe(true);
+    expect(isOutdated({ engineVersion: ENGINE_VERSION, summary: null })).toBe(true);
+  });
+
+  it('compares two versions and rates the better one', () => {
+    const rows = compareVersions({ summary: summary() }, { summary: summary({ containersUsed: 2, cartonsPlaced: 450, weight: 5600 }) });
+    const row = label => rows.find(entry => entry.label === label);
+
+    expect(row('Containers')).toMatchObject({ a: 1, b: 2, difference: 1, better: 'a' });
+    expect(row('Cartons placed')).toMatchObject({ difference: 50, better: 'b' });
+    expect(row('Weight (kg)')).toMatchObject({ difference: 600, better: null });
+    expect(row('Space utilization (%)')).toMatchObject({ a: 61.2, difference: 0 });
+  });
+
+  it('saves to and loads from storage, falling back to an empty store', () => {
+    const storage = memoryStorage();
+    const { store } = savePlanVersion(emptyPlanStore(), { name: 'Order 1', inputs, summary: summary() });
+    savePlans(store, storage);
+
+    expect(loadPlans(storage)).toEqual(store);
+    expect(loadPlans(memoryStorage({ [PLAN_STORAGE_KEY]: '{"plans":"x"}' }))).toEqual(emptyPlanStore());
+  });
+});
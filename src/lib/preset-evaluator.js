@@ -0,0 +1,295 @@
+/**
+ * Preset Evaluator - Pick the Pallet and Container Types
+ *
+ * Runs the shipment across every pallet preset and container preset and
+ * recommends the cheapest (or smallest) set of containers that carries the
+ * full quantity. Besides one container type throughout, mixes are tried:
+ * a run of one type with a few smaller containers for the remainder
+ * (2 × 40ft HC + 1 × 20ft).
+ *
+ * Evaluation Rules:
+ * - Single-type options use the container plan of the packing engine; the
+ *   pallets of a pallet preset are built once and placed in each container
+ *   type (rebuilt per type only when the goal counts containers)
+ * - Mixes are checked by filling the pallets, heaviest first, into the
+ *   first container with room, within pallet count, weight and the pallets
+ *   that may only stand on the floor. When the goal counts containers, each
+ *   type of a mix takes pallets built for it: the main type is filled from
+ *   its own build and the cartons left over are built again for the next type
+ * - Costs are per container and can be set by the caller; the defaults are
+ *   relative freight rates, not quotes. The container types compared are
+ *   the ones with a cost
+ * - Every pallet must pass the door of the container it goes into, standing
+ *   as it does on the floor (as the door check of the plan)
+ * - Without pallets, cartons are floor loaded and only single types are compared
+ * - The evaluation gives the page a turn between plans, so it stays
+ *   responsive while large shipments are compared
+ */
+
+import { CONTAINER_PRESETS, PALLET_PRESETS } from './calculator.js';
+import { buildPallets, loadPallets } from './packing-engine.js';
+import { packFloorLoad } from './floor-loading.js';
+import { palletLoadArea } from './3d-layout.js';
+
+// Relative freight cost per container
+export const DEFAULT_CONTAINER_COSTS = { '20ft': 1000, '40ft': 1600, '40hc': 1750 };
+
+export const EVALUATION_BASES = ['cost', 'volume'];
+
+// Smaller containers tried on top of a run of the main type
+const MAX_MIX_EXTRAS = 3;
+
+// Options returned to the caller
+const MAX_OPTIONS = 10;
+
+// Lets the browser paint and handle input before the next plan
+const nextTask = () => new Promise(resolve => setTimeout(resolve, 0));
+
+const presetEntries = presets => Object.entries(presets).filter(([key]) => key !== 'custom');
+
+/**
+ * Container data for a preset, as the engine expects it; the door opening
+ * comes along, so pallets that do not pass it are flagged as in the plan
+ */
+function containerFor(key) {
+  const { length, width, height, weightCapacity, door } = CONTAINER_PRESETS[key];
+  return { length, width, height, weightCapacity, doorWidth: door?.width, doorHeight: door?.height };
+}
+
+/**
+ * Whether a pallet passes a container's door: its width across the container
+ * and its full height. Floor-loaded cartons go in one by one and always pass.
+ */
+function doorCheck(container, palletData, settings) {
+  const { door } = container;
+  if (!door) return () => true;
+  const area = palletLoadArea(palletData, settings);
+  const across = container.orientation === 'rotated'
+    ? Math.max(palletData.length, area.length)
+    : Math.max(palletData.width, area.width);
+  return pallet => across <= door.width && palletData.height + pallet.loadHeight <= door.height;
+}
+
+/**
+ * Place pallets in a list of containers (largest first), heaviest first into
+ * the first container with room. Returns the pallets that found no room.
+ */
+function placePallets(pallets, containers) {
+  const loads = containers.map(() => ({ count: 0, weight: 0, floorOnly: 0 }));
+
+  return [...pallets].sort((a, b) => b.weight - a.weight).filter(pallet => {
+    const index = containers.findIndex((capacity, slot) => {
+      const load = loads[slot];
+      const floorOnly = pallet.weight > capacity.maxTopWeight;
+      return load.count < capacity.palletsPerContainer &&
+        load.weight + pallet.weight <= capacity.maxWeight &&
+        capacity.passesDoor(pallet) &&
+        (!floorOnly || load.floorOnly < capacity.palletsPerLayer);
+    });
+    if (index === -1) return true;
+
+    const load = loads[index];
+    load.count += 1;
+    load.weight += pallet.weight;
+    if (pallet.weight > containers[index].maxTopWeight) load.floorOnly += 1;
+    return false;
+  });
+}
+
+/**
+ * Carton types with the cartons on the given pallets taken off
+ */
+function cartonsLeft(cartonTypes, pallets) {
+  const loaded = new Map();
+  pallets.forEach(pallet => pallet.cartonPositions.forEach(position => {
+    loaded.set(position.sku, (loaded.get(position.sku) || 0) + 1);
+  }));
+  return cartonTypes
+    .map(carton => ({ ...carton, quantity: carton.quantity - (loaded.get(carton.sku) || 0) }))
+    .filter(carton => carton.quantity > 0);
+}
+
+/**
+ * Every combination of `total` or fewer containers over the given types
+ */
+function extraCombinations(types, total) {
+  if (types.length === 0) return [[]];
+  const [first, ...rest] = types;
+  const combinations = [];
+  for (let count = 0; count <= total; count++) {
+    extraCombinations(rest, total - count).forEach(tail => {
+      combinations.push([{ type: first, count }, ...tail]);
+    });
+  }
+  return combinations;
+}
+
+/**
+ * Options for one pallet preset: each container type alone, then mixes
+ */
+async function optionsForPallet(cartonTypes, palletData, settings, containerTypes) {
+  const floorLoaded = palletData.usePallets === false;
+  if (containerTypes.length === 0) return [];
+
+  // The pallet build does not depend on the container unless the goal counts containers
+  const perContainer = settings.optimizationGoal === 'fewestContainers';
+  const shared = floorLoaded || perContainer
+    ? null
+    : buildPallets(cartonTypes, palletData, containerFor(containerTypes[0]), settings);
+
+  // One full plan per container type; pallets and their capacity come from it
+  const plans = [];
+  for (const key of containerTypes) {
+    const containerData = containerFor(key);
+    if (!shared) await nextTask();
+    const load = floorLoaded
+      ? packFloorLoad(cartonTypes, containerData, settings)
+      : loadPallets(shared ?? buildPallets(cartonTypes, palletData, containerData, settings), palletData, containerData, settings);
+    const passesDoor = floorLoaded ? () => true : doorCheck(load.container, palletData, settings);
+    const carriesAll = load.skus.every(sku => sku.remaining === 0) && load.pallets.every(passesDoor);
+
+    plans.push({
+      key,
+      load,
+      carriesAll,
+      capacity: {
+        passesDoor,
+        palletsPerContainer: load.container.palletsPerContainer,
+        palletsPerLayer: load.container.palletsPerLayer,
+        maxTopWeight: load.container.maxTopWeight ?? Infinity,
+        maxWeight: containerData.weightCapacity
+      }
+    });
+  }
+
+  const options = plans
+    .filter(plan => plan.carriesAll)
+    .map(plan => ({ containers: [{ type: plan.key, count: plan.load.container.containersNeeded }], pallets: plan.load.pallets.length }));
+
+  if (floorLoaded) return options;
+
+  // Pallets built for a type from the cartons a mix has left for it
+  const builds = new Map();
+  const palletsFor = async (plan, cartons) => {
+    if (cartons === cartonTypes) return plan.load.pallets;
+    const key = `${plan.key}:${cartons.map(carton => `${carton.sku}×${carton.quantity}`).join(',')}`;
+    if (!builds.has(key)) {
+      await nextTask();
+      builds.set(key, buildPallets(cartons, palletData, containerFor(plan.key), settings).pallets);
+    }
+    return builds.get(key);
+  };
+
+  // One build for every type: all containers of the mix share its pallets
+  const carriesShared = (groups) => {
+    const capacities = groups.flatMap(group => Array(group.count).fill(group.plan.capacity));
+    return placePallets(shared.pallets, capacities).length === 0 ? shared.pallets.length : null;
+  };
+
+  // Fill the containers of a mix type by type, each with pallets built for it
+  const carriesMix = async (groups) => {
+    let cartons = cartonTypes;
+    let palletCount = 0;
+    for (const { plan, count } of groups) {
+      if (cartons.length === 0) break;
+      const pallets = await palletsFor(plan, cartons);
+      const unplaced = placePallets(pallets, Array(count).fill(plan.capacity));
+      const placed = pallets.filter(pallet => !unplaced.includes(pallet));
+      cartons = cartonsLeft(cartons, placed);
+      palletCount += placed.length;
+    }
+    return cartons.length === 0 ? palletCount : null;
+  };
+
+  // Mixes: a run of one type, its last few containers swapped for smaller ones
+  for (const [mainIndex, main] of plans.entries()) {
+    const smaller = plans.slice(mainIndex + 1).filter(plan => plan.capacity.palletsPerContainer > 0);
+    if (!main.carriesAll || smaller.length === 0) continue;
+
+    const needed = main.load.container.containersNeeded;
+
+    for (let count = Math.max(0, needed - MAX_MIX_EXTRAS); count < needed; count++) {
+      for (const extras of extraCombinations(smaller.map(plan => plan.key), MAX_MIX_EXTRAS)) {
+        const used = extras.filter(extra => extra.count > 0);
+        if (used.length === 0) continue;
+
+        const groups = [
+          ...(count > 0 ? [{ plan: main, count }] : []),
+          ...used.map(extra => ({ plan: plans.find(plan => plan.key === extra.type), count: extra.count }))
+        ];
+        const pallets = perContainer ? await carriesMix(groups) : carriesShared(groups);
+        if (pallets !== null) {
+          options.push({
+            containers: [...(count > 0 ? [{ type: main.key, count }] : []), ...used],
+            pallets
+          });
+        }
+      }
+    }
+  }
+
+  // A mix without any main-type container can repeat a single-type option
+  const seen = new Set();
+  return options.filter(option => {
+    const signature = option.containers.map(entry => `${entry.count}×${entry.type}`).join('+');
+    if (seen.has(signature)) return false;
+    seen.add(signature);
+    return true;
+  });
+}
+
+/**
+ * Evaluate every pallet and container preset for a shipment.
+ *
+ * @param {Array<Object>} cartonTypes - Cartons with sku, dimensions, weight and quantity
+ * @param {Object} palletData - Pallet stack limits (dimensions are replaced by each preset)
+ * @param {Object} settings - Optimization settings
+ * @param {Object} options - { basis: 'cost' | 'volume', costs: { [containerKey]: cost } }
+ * @returns {Promise<Object>} { basis, options: [{ pallet, containers, containerCount, cost, volume }] }, best first
+ */
+export async function evaluatePresets(cartonTypes, palletData, settings = {}, { basis = 'cost', costs = DEFAULT_CONTAINER_COSTS } = {}) {
+  // Only equipment with a cost is compared; the catalogue also holds trailers and ULDs
+  const containerTypes = Object.keys(costs)
+    .filter(key => CONTAINER_PRESETS[key] && key !== 'custom')
+    // Largest first, so mixes fill the big containers before the small ones
+    .sort((a, b) => {
+      const volume = key => CONTAINER_PRESETS[key].length * CONTAINER_PRESETS[key].width * CONTAINER_PRESETS[key].height;
+      return volume(b) - volume(a);
+    });
+  const palletTypes = palletData.usePallets === false ? [[null, null]] : presetEntries(PALLET_PRESETS);
+
+  const evaluated = [];
+  for (const [palletKey, preset] of palletTypes) {
+    const palletForPreset = preset
+      ? { ...palletData, length: preset.length, width: preset.width, height: preset.height }
+      : palletData;
+
+    await nextTask();
+    const options = await optionsForPallet(cartonTypes, palletForPreset, settings, containerTypes);
+    evaluated.push(...options.map(option => {
+      const containers = option.containers.map(entry => ({ ...entry, name: CONTAINER_PRESETS[entry.type].name }));
+      const volumeOf = key => CONTAINER_PRESETS[key].length * CONTAINER_PRESETS[key].width * CONTAINER_PRESETS[key].height / 1e6;
+
+      return {
+        pallet: palletKey,
+        palletName: preset?.name ?? null,
+        containers,
+        containerCount: containers.reduce((sum, entry) => sum + entry.count, 0),
+        pallets: option.pallets,
+        cost: containers.reduce((sum, entry) => sum + entry.count * (costs[entry.type] ?? 0), 0),
+        volume: containers.reduce((sum, entry) => sum + entry.count * volumeOf(entry.type), 0)
+      };
+    }));
+  }
+
+  const primary = basis === 'volume' ? 'volume' : 'cost';
+  const secondary = primary === 'cost' ? 'volume' : 'cost';
+  evaluated.sort((a, b) => (
+    (a[primary] - b[primary]) || (a[secondary] - b[secondary]) || (a.containerCount - b.containerCount)
+  ));
+
+  return {
+    basis: primary,
+    options: evaluated.slice(0, MAX_OPTIONS)
+  };
+}
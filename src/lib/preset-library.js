@@ -0,0 +1,198 @@
+/**
+ * Preset Library - Saved Cartons, Pallets and Containers
+ *
+ * The built-in presets cover standard equipment only. Teams that reuse
+ * their own carton specs and non-standard pallets keep them here: each
+ * entry has a name, tags, notes and the form values of its step. The
+ * library lives in localStorage and can be exported and imported as JSON
+ * to share it between machines.
+ *
+ * Library Rules:
+ * - Values are stored as the step forms hold them (strings), so applying an
+ *   entry is a plain copy into the form
+ * - Saving under a name that already exists for the kind replaces that entry
+ * - Imported entries are merged by name; the imported version wins
+ * - Saved pallets and containers are selected as presets `library:<id>`
+ */
+
+export const LIBRARY_STORAGE_KEY = 'palletizr-pro:library';
+export const LIBRARY_VERSION = 1;
+export const LIBRARY_PRESET_PREFIX = 'library:';
+
+/**
+ * Form fields kept for each kind of entry
+ */
+export const LIBRARY_KINDS = {
+  cartons: { name: 'Cartons', fields: ['length', 'width', 'height', 'weight', 'maxLoadOnTop'] },
+  pallets: { name: 'Pallets', fields: ['length', 'width', 'height', 'maxStackHeight', 'maxStackWeight'] },
+  containers: { name: 'Containers', fields: ['length', 'width', 'height', 'weightCapacity', 'doorWidth', 'doorHeight'] }
+};
+
+let entryCounter = 0;
+
+function newEntryId() {
+  return `${Date.now().toString(36)}-${(entryCounter++).toString(36)}`;
+}
+
+export function emptyLibrary() {
+  return { version: LIBRARY_VERSION, cartons: [], pallets: [], containers: [] };
+}
+
+/**
+ * Split a comma separated tag list
+ */
+export function parseTags(text) {
+  return [...new Set(String(text).split(',').map(tag => tag.trim()).filter(Boolean))];
+}
+
+/**
+ * Build an entry from form values
+ *
+ * @param {string} kind - 'cartons' | 'pallets' | 'containers'
+ * @param {Object} values - Form values of the step (extra fields are dropped)
+ * @param {Object} details - { name, tags, notes }
+ * @returns {Object} { id, name, tags, notes, values, savedAt }
+ */
+export function createLibraryEntry(kind, values, { name, tags = [], notes = '' }) {
+  return {
+    id: newEntryId(),
+    name: name.trim(),
+    tags: Array.isArray(tags) ? tags : parseTags(tags),
+    notes: notes.trim(),
+    values: Object.fromEntries(
+      LIBRARY_KINDS[kind].fields.map(field => [field, values[field] == null ? '' : String(values[field])])
+    ),
+    savedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Add an entry, replacing one of the same kind and name
+ */
+export function addLibraryEntry(library, kind, entry) {
+  const sameName = existing => existing.name.toLowerCase() === entry.name.toLowerCase();
+  // An imported id can belong to a different entry here
+  const idTaken = library[kind].some(existing => existing.id === entry.id && !sameName(existing));
+  const added = idTaken ? { ...entry, id: newEntryId() } : entry;
+  return {
+    ...library,
+    [kind]: [...library[kind].filter(existing => !sameName(existing)), added]
+      .sort((a, b) => a.name.localeCompare(b.name))
+  };
+}
+
+export function removeLibraryEntry(library, kind, id) {
+  return { ...library, [kind]: library[kind].filter(entry => entry.id !== id) };
+}
+
+/**
+ * Entry behind a `library:<id>` preset key, or null
+ */
+export function libraryEntryFor(library, kind, presetKey) {
+  if (!presetKey?.startsWith(LIBRARY_PRESET_PREFIX)) return null;
+  const id = presetKey.slice(LIBRARY_PRESET_PREFIX.length);
+  return library[kind].find(entry => entry.id === id) || null;
+}
+
+function isEntry(entry) {
+  return Boolean(entry) && typeof entry.name === 'string' && Boolean(entry.name.trim()) &&
+    typeof entry.values === 'object' && entry.values !== null;
+}
+
+/**
+ * Normalise one entry of a parsed library file
+ */
+function readEntry(kind, entry) {
+  const read = createLibraryEntry(kind, entry.values, {
+    name: entry.name,
+    tags: Array.isArray(entry.tags) ? entry.tags.map(String) : parseTags(entry.tags ?? ''),
+    notes: typeof entry.notes === 'string' ? entry.notes : ''
+  });
+  // Keep ids, so presets selected as `library:<id>` survive a reload
+  return {
+    ...read,
+    ...(typeof entry.id === 'string' && entry.id && { id: entry.id }),
+    ...(typeof entry.savedAt === 'string' && { savedAt: entry.savedAt })
+  };
+}
+
+/**
+ * Check and normalise the entries of one kind from a parsed library file
+ */
+function readEntries(kind, entries) {
+  if (entries === undefined) return [];
+  if (!Array.isArray(entries)) {
+    throw new Error(`"${kind}" must be a list of entries`);
+  }
+  return entries.map((entry, index) => {
+    if (!isEntry(entry)) {
+      throw new Error(`${LIBRARY_KINDS[kind].name} entry ${index + 1} needs a name and values`);
+    }
+    return readEntry(kind, entry);
+  });
+}
+
+/**
+ * Merge a library file into the library.
+ *
+ * @param {Object} library - Current library
+ * @param {string} json - Exported library file
+ * @returns {Object} { library, imported } - merged library and the number of entries read
+ * @throws {Error} When the file is not a preset library
+ */
+export function importLibrary(library, json) {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch {
+    throw new Error('The file is not valid JSON');
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('The file is not a preset library');
+  }
+
+  let merged = library;
+  let imported = 0;
+  Object.keys(LIBRARY_KINDS).forEach(kind => {
+    readEntries(kind, data[kind]).forEach(entry => {
+      merged = addLibraryEntry(merged, kind, entry);
+      imported += 1;
+    });
+  });
+
+  return { library: merged, imported };
+}
+
+export function exportLibrary(library) {
+  return JSON.stringify({ ...library, version: LIBRARY_VERSION, exportedAt: new Date().toISOString() }, null, 2);
+}
+
+/**
+ * Library saved in the browser; empty when there is none or it cannot be read.
+ * Entries that cannot be read are dropped one by one, so a single broken
+ * entry does not cost the rest of the library at the next save.
+ */
+export function loadLibrary(storage = globalThis.localStorage) {
+  try {
+    const saved = JSON.parse(storage?.getItem(LIBRARY_STORAGE_KEY) ?? 'null');
+    let library = emptyLibrary();
+    Object.keys(LIBRARY_KINDS).forEach(kind => {
+      const entries = Array.isArray(saved?.[kind]) ? saved[kind] : [];
+      entries.filter(isEntry).forEach(entry => {
+        library = addLibraryEntry(library, kind, readEntry(kind, entry));
+      });
+    });
+    return library;
+  } catch (error) {
+    console.error('Preset library could not be read:', error);
+    return emptyLibrary();
+  }
+}
+
+export function saveLibrary(library, storage = globalThis.localStorage) {
+  try {
+    storage?.setItem(LIBRARY_STORAGE_KEY, JSON.stringify(library));
+  } catch (error) {
+    console.error('Preset library could not be saved:', error);
+  }
+}
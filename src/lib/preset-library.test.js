@@ -0,0 +1,75 @@
+import { describe, expect, it } from 'vitest';
+import {
+  addLibraryEntry,
+  createLibraryEntry,
+  emptyLibrary,
+  exportLibrary,
+  importLibrary,
+  LIBRARY_STORAGE_KEY,
+  libraryEntryFor,
+  loadLibrary,
+  parseTags
+} from './preset-library.js';
+
+const memoryStorage = (values = {}) => ({
+  getItem: key => values[key] ?? null,
+  setItem: (key, value) => { values[key] = value; }
+});
+
+const carton = (name, length = '50') => createLibraryEntry('cartons', { length, width: '30', height: '25', weight: '12', extra: 'x' }, { name, tags: 'fragile, export, fragile' });
+
+describe('preset library', () => {
+  it('keeps only the form fields of the kind, as strings', () => {
+    const entry = carton(' Shoe box ');
+
+    expect(entry.name).toBe('Shoe box');
+    expect(entry.tags).toEqual(['fragile', 'export']);
+    expect(entry.values).toEqual({ length: '50', width: '30', height: '25', weight: '12', maxLoadOnTop: '' });
+  });
+
+  it('replaces an entry saved under the same name', () => {
+    let library = addLibraryEntry(emptyLibrary(), 'cartons', carton('Shoe box'));
+    library = addLibraryEntry(library, 'cartons', carton('shoe BOX', '60'));
+
+    expect(library.cartons).toHaveLength(1);
+    expect(library.cartons[0].values.length).toBe('60');
+  });
+
+  it('reads its own export back, keeping ids for library presets', () => {
+    const pallet = createLibraryEntry('pallets', { length: '110', width: '110', height: '15', maxStackHeight: '160', maxStackWeight: '900' }, { name: 'Block pallet' });
+    const library = addLibraryEntry(addLibraryEntry(emptyLibrary(), 'cartons', carton('Shoe box')), 'pallets', pallet);
+
+    const { library: read, imported } = importLibrary(emptyLibrary(), exportLibrary(library));
+
+    expect(imported).toBe(2);
+    expect(read.cartons).toEqual(library.cartons);
+    expect(libraryEntryFor(read, 'pallets', `library:${pallet.id}`)).toEqual(pallet);
+  });
+
+  it('rejects files that are not a library', () => {
+    expect(() => importLibrary(emptyLibrary(), 'nope')).toThrow(/not valid JSON/);
+    expect(() => importLibrary(emptyLibrary(), '[]')).toThrow(/not a preset library/);
+    expect(() => importLibrary(emptyLibrary(), '{"cartons":{}}')).toThrow(/must be a list/);
+    expect(() => importLibrary(emptyLibrary(), '{"cartons":[{"name":"A"}]}')).toThrow(/Cartons entry 1/);
+  });
+
+  it('loads a saved library without its unreadable entries', () => {
+    const storage = memoryStorage({
+      [LIBRARY_STORAGE_KEY]: JSON.stringify({
+        cartons: [carton('Shoe box'), { name: '', values: {} }, null],
+        pallets: 'broken',
+        containers: [{ id: 'c1', name: 'Swap body', values: { length: '745' } }]
+      })
+    });
+
+    const library = loadLibrary(storage);
+
+    expect(library.cartons.map(entry => entry.name)).toEqual(['Shoe box']);
+    expect(library.pallets).toEqual([]);
+    expect(library.containers[0]).toMatchObject({ id: 'c1', name: 'Swap body' });
+  });
+
+  it('splits tag lists', () => {
+    expect(parseTags(' a, b,,a ')).toEqual(['a', 'b']);
+  });
+});
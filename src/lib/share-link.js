@@ -0,0 +1,127 @@
+/**
+ * Share Link - Load Plan Inputs in a URL
+ *
+ * Encodes the carton, pallet, container and settings inputs (and the
+ * chosen alternative stacks) into a compact, versioned string for the
+ * `plan` query parameter, so a colleague can open the exact calculation.
+ *
+ * Link Rules:
+ * - Format is `v<version>.<base64url JSON>`; the JSON uses short keys and
+ *   positional arrays to keep links short
+ * - Presets the recipient may not have (saved library entries) travel as
+ *   custom values
+ * - Decoding checks every value against VALIDATION_RULES with
+ *   validatePlanInputs and throws an Error naming each invalid field
+ */
+
+import {
+  PALLET_PRESETS,
+  CONTAINER_PRESETS,
+  validatePlanInputs
+} from './calculator.js';
+
+export const SHARE_LINK_VERSION = 1;
+export const SHARE_PARAM = 'plan';
+
+const CARTON_FIELDS = ['sku', 'length', 'width', 'height', 'weight', 'quantity', 'maxLoadOnTop'];
+const PALLET_FIELDS = ['preset', 'length', 'width', 'height', 'maxStackHeight', 'maxStackWeight', 'usePallets'];
+const CONTAINER_FIELDS = ['preset', 'length', 'width', 'height', 'weightCapacity', 'doorWidth', 'doorHeight'];
+const TEXT_FIELDS = ['sku', 'preset'];
+
+// Form values are strings; numbers travel without quotes
+const pack = (value) => (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value)) ? Number(value) : value);
+const unpack = (value) => (typeof value === 'number' ? String(value) : value ?? '');
+
+function toBase64Url(text) {
+  const binary = Array.from(new TextEncoder().encode(text), byte => String.fromCharCode(byte)).join('');
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(encoded) {
+  const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+  return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+}
+
+/**
+ * Encode plan inputs for the `plan` parameter.
+ *
+ * @param {Object} inputs - { cartons, palletData, containerData, settings, layoutChoices } as the hook holds them
+ * @returns {string} Versioned link value
+ */
+export function encodeSharedPlan({ cartons, palletData, containerData, settings, layoutChoices = {} }) {
+  const sharedPreset = (preset, presets) => (presets[preset] ? preset : 'custom');
+  const compact = {
+    c: cartons.map(carton => CARTON_FIELDS.map(field => (TEXT_FIELDS.includes(field) ? carton[field] : pack(carton[field])))),
+    p: PALLET_FIELDS.map(field => (
+      field === 'preset' ? sharedPreset(palletData.preset, PALLET_PRESETS)
+        : field === 'usePallets' ? (palletData.usePallets ? 1 : 0)
+          : pack(palletData[field])
+    )),
+    k: CONTAINER_FIELDS.map(field => (
+      field === 'preset' ? sharedPreset(containerData.preset, CONTAINER_PRESETS) : pack(containerData[field])
+    )),
+    s: settings,
+    // Chosen stacks by carton position
+    x: cartons
+      .map((carton, index) => [index, layoutChoices[carton.id]])
+      .filter(([, choice]) => choice !== undefined)
+  };
+
+  return `v${SHARE_LINK_VERSION}.${toBase64Url(JSON.stringify(compact))}`;
+}
+
+/**
+ * Decode and validate a `plan` parameter.
+ *
+ * @param {string} value - Link value from encodeSharedPlan
+ * @returns {Object} { cartons, palletData, containerData, settings, layoutChoices }
+ *   with form (string) values; cartons carry ids that layoutChoices refers to
+ * @throws {Error} For unknown versions, damaged links and invalid values
+ */
+export function decodeSharedPlan(value) {
+  const match = /^v(\d+)\.([A-Za-z0-9_-]+)$/.exec(value ?? '');
+  if (!match) {
+    throw new Error('The shared link is damaged or incomplete');
+  }
+  if (Number(match[1]) !== SHARE_LINK_VERSION) {
+    throw new Error(`The shared link uses format v${match[1]}, this version of the app reads v${SHARE_LINK_VERSION}`);
+  }
+
+  let compact;
+  try {
+    compact = JSON.parse(fromBase64Url(match[2]));
+  } catch {
+    throw new Error('The shared link is damaged or incomplete');
+  }
+  if (!Array.isArray(compact?.c) || !Array.isArray(compact.p) || !Array.isArray(compact.k)) {
+    throw new Error('The shared link does not contain a load plan');
+  }
+
+  const fromFields = (fields, values) => Object.fromEntries(
+    fields.map((field, index) => [field, TEXT_FIELDS.includes(field) ? String(values[index] ?? '') : unpack(values[index])])
+  );
+
+  const cartons = compact.c.map((values, index) => ({
+    id: `shared-${index}`,
+    ...fromFields(CARTON_FIELDS, Array.isArray(values) ? values : [])
+  }));
+  const palletData = { ...fromFields(PALLET_FIELDS, compact.p), usePallets: Boolean(compact.p[PALLET_FIELDS.indexOf('usePallets')]) };
+  const containerData = fromFields(CONTAINER_FIELDS, compact.k);
+  if (!PALLET_PRESETS[palletData.preset]) palletData.preset = 'custom';
+  if (!CONTAINER_PRESETS[containerData.preset]) containerData.preset = 'custom';
+  const settings = compact.s && typeof compact.s === 'object' && !Array.isArray(compact.s) ? compact.s : {};
+  const layoutChoices = Object.fromEntries(
+    (Array.isArray(compact.x) ? compact.x : [])
+      .filter(entry => Array.isArray(entry))
+      .filter(([index, choice]) => cartons[index] && Number.isInteger(choice) && choice >= 0)
+      .map(([index, choice]) => [cartons[index].id, choice])
+  );
+
+  const plan = { cartons, palletData, containerData, settings, layoutChoices };
+  const problems = validatePlanInputs(plan);
+  if (problems.length > 0) {
+    throw new Error(`The shared link has values outside the allowed limits. ${problems.join('; ')}`);
+  }
+
+  return plan;
+}
@@ -0,0 +1,61 @@
+import { describe, expect, it } from 'vitest';
+import { decodeSharedPlan, encodeSharedPlan, SHARE_LINK_VERSION } from './share-link.js';
+
+const plan = {
+  cartons: [
+    { id: 'a', sku: 'A-100', length: '50', width: '30', height: '25', weight: '15', quantity: '300', maxLoadOnTop: '' },
+    { id: 'b', sku: 'B 200 / blue', length: '40.5', width: '30', height: '20', weight: '8', quantity: '120', maxLoadOnTop: '60' }
+  ],
+  palletData: { preset: 'euro', length: '120', width: '80', height: '14.5', maxStackHeight: '180', maxStackWeight: '1000', usePallets: true },
+  containerData: { preset: '40hc', length: '1203.2', width: '235', height: '269.8', weightCapacity: '26000', doorWidth: '234', doorHeight: '258' },
+  settings: { enableRotation: true, optimizationGoal: 'maxCartons' },
+  layoutChoices: { b: 2 }
+};
+
+const encodeRaw = (compact) => `v${SHARE_LINK_VERSION}.${btoa(JSON.stringify(compact)).replace(/=+$/, '')}`;
+const withoutId = (carton) => {
+  const values = { ...carton };
+  delete values.id;
+  return values;
+};
+
+describe('share links', () => {
+  it('decodes to the inputs it was made from', () => {
+    const decoded = decodeSharedPlan(encodeSharedPlan(plan));
+
+    expect(decoded.cartons.map(withoutId)).toEqual(plan.cartons.map(withoutId));
+    expect(decoded.palletData).toEqual(plan.palletData);
+    expect(decoded.containerData).toEqual(plan.containerData);
+    expect(decoded.settings).toEqual(plan.settings);
+    expect(decoded.layoutChoices).toEqual({ [decoded.cartons[1].id]: 2 });
+  });
+
+  it('sends presets the recipient may not have as custom values', () => {
+    const decoded = decodeSharedPlan(encodeSharedPlan({
+      ...plan,
+      palletData: { ...plan.palletData, preset: 'library:abc' }
+    }));
+
+    expect(decoded.palletData.preset).toBe('custom');
+    expect(decoded.palletData.length).toBe('120');
+  });
+
+  it('rejects other format versions', () => {
+    const link = encodeSharedPlan(plan).replace(/^v\d+/, `v${SHARE_LINK_VERSION + 1}`);
+    expect(() => decodeSharedPlan(link)).toThrow(/format v2/);
+  });
+
+  it('rejects damaged links', () => {
+    expect(() => decodeSharedPlan('v1.not*base64')).toThrow(/damaged/);
+    expect(() => decodeSharedPlan(`v${SHARE_LINK_VERSION}.AAAA`)).toThrow(/damaged/);
+    expect(() => decodeSharedPlan(encodeRaw({ c: [] }))).toThrow(/does not contain a load plan/);
+  });
+
+  it('names the values outside the allowed limits', () => {
+    const link = encodeSharedPlan({
+      ...plan,
+      cartons: [{ ...plan.cartons[0], length: '-5' }]
+    });
+    expect(() => decodeSharedPlan(link)).toThrow(/outside the allowed limits.*length/i);
+  });
+});
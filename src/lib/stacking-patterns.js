@@ -0,0 +1,224 @@
+/**
+ * Stacking Pattern Generators
+ *
+ * Per-layer pattern algorithms used by Layout3D. A layer is a list of cells
+ * ({ x, y, length, width, rotation }) where length/width are the footprint of
+ * the carton along the pallet length (x) and width (y) in its placed rotation.
+ *
+ * Patterns:
+ * - Column: the same layer repeated, every carton sits on exactly one carton
+ * - Interlock (brick): alternate layers rotated 180°, mirrored or shifted
+ * - Pinwheel: four blocks turned 90° to each other around the pallet centre
+ */
+
+const EPSILON = 1e-6;
+
+// Block sizes the pinwheel search may try; a layer of small cartons gains
+// nothing from a pinwheel and would take seconds to search
+const MAX_PINWHEEL_SEARCH = 500000;
+
+export const STACKING_PATTERNS = ['simple', 'column', 'interlock', 'pinwheel'];
+
+/**
+ * Build a regular grid of cartons in one rotation, anchored at (x0, y0).
+ */
+export function gridCells(cols, rows, length, width, rotation, x0 = 0, y0 = 0) {
+  const cells = [];
+  for (let y = 0; y < rows; y++) {
+    for (let x = 0; x < cols; x++) {
+      cells.push({ x: x0 + x * length, y: y0 + y * width, length, width, rotation });
+    }
+  }
+  return cells;
+}
+
+/**
+ * Bounding box of a layer, measured from the origin.
+ */
+export function layerSpan(cells) {
+  return cells.reduce((span, cell) => ({
+    x: Math.max(span.x, cell.x + cell.length),
+    y: Math.max(span.y, cell.y + cell.width)
+  }), { x: 0, y: 0 });
+}
+
+function overlapArea(a, b) {
+  const dx = Math.min(a.x + a.length, b.x + b.length) - Math.max(a.x, b.x);
+  const dy = Math.min(a.y + a.width, b.y + b.width) - Math.max(a.y, b.y);
+  return dx > EPSILON && dy > EPSILON ? dx * dy : 0;
+}
+
+function sameCells(a, b) {
+  if (a.length !== b.length) return false;
+  const key = cell => `${cell.x.toFixed(3)}:${cell.y.toFixed(3)}:${cell.length}:${cell.width}`;
+  const keys = new Set(a.map(key));
+  return b.every(cell => keys.has(key(cell)));
+}
+
+/**
+ * Transform a layer inside the pallet footprint.
+ *
+ * @param {Array<Object>} cells - Layer cells
+ * @param {string} mode - 'rotate180', 'mirrorX', 'mirrorY' or 'shift'
+ * @param {Object} pallet - Pallet footprint { length, width }
+ */
+export function transformLayer(cells, mode, pallet) {
+  const span = layerSpan(cells);
+
+  switch (mode) {
+    case 'rotate180':
+      return cells.map(cell => ({ ...cell, x: span.x - cell.x - cell.length, y: span.y - cell.y - cell.width }));
+    case 'mirrorX':
+      return cells.map(cell => ({ ...cell, x: span.x - cell.x - cell.length }));
+    case 'mirrorY':
+      return cells.map(cell => ({ ...cell, y: span.y - cell.y - cell.width }));
+    case 'shift': {
+      // Move the layer into the free strip left over on the pallet (at most half a carton)
+      const first = cells[0] || { length: 0, width: 0 };
+      const dx = Math.min(Math.max(0, pallet.length - span.x), first.length / 2);
+      const dy = Math.min(Math.max(0, pallet.width - span.y), first.width / 2);
+      return cells.map(cell => ({ ...cell, x: cell.x + dx, y: cell.y + dy }));
+    }
+    default:
+      return cells.map(cell => ({ ...cell }));
+  }
+}
+
+/**
+ * Share of cartons in the upper layer that rest on two or more cartons below.
+ * 0 means pure columns, 1 means every carton bridges a seam.
+ */
+export function interlockRatio(lower, upper) {
+  if (upper.length === 0) return 0;
+
+  const bridging = upper.filter(cell => {
+    const supports = lower.filter(below => overlapArea(cell, below) > 0).length;
+    return supports >= 2;
+  }).length;
+
+  return bridging / upper.length;
+}
+
+/**
+ * Pick the alternate layer that interlocks best with the base layer.
+ * Returns null when every variant is identical to the base (symmetric layer)
+ * or none of them puts a carton across a seam, as that would only be columns.
+ */
+export function interlockVariant(cells, pallet) {
+  let best = null;
+
+  ['rotate180', 'mirrorX', 'mirrorY', 'shift'].forEach(mode => {
+    const variant = transformLayer(cells, mode, pallet);
+    if (sameCells(cells, variant)) return;
+
+    const ratio = interlockRatio(cells, variant);
+    if (ratio > 0 && (!best || ratio > best.ratio)) {
+      best = { cells: variant, mode, ratio };
+    }
+  });
+
+  return best;
+}
+
+function rectsOverlap(a, b) {
+  return overlapArea(a, b) > 0;
+}
+
+/**
+ * Find the densest four-block pinwheel layer.
+ *
+ * Blocks (pallet length along x, width along y):
+ * - A bottom-left and C top-right use the carton's normal orientation
+ * - B bottom-right and D top-left are turned 90°
+ *
+ * The search tries every size of blocks A, B and C, so it is skipped (null)
+ * for cartons so small against the pallet that it would exceed
+ * MAX_PINWHEEL_SEARCH sizes.
+ *
+ * @returns {Array<Object>|null} Layer cells, or null if no true pinwheel fits
+ */
+export function pinwheelLayer(pallet, carton) {
+  const { length: X, width: Y } = pallet;
+  const { length: l, width: w } = carton;
+  let best = null;
+
+  const search = Math.floor(X / l) ** 2 * Math.floor(Y / w) * Math.floor(Y / l);
+  if (search > MAX_PINWHEEL_SEARCH) return null;
+
+  for (let i = 1; i <= Math.floor(X / l); i++) {
+    for (let j = 1; j <= Math.floor(Y / w); j++) {
+      const blockA = { x: 0, y: 0, length: i * l, width: j * w };
+      const colsB = Math.floor((X - blockA.length) / w);
+      if (colsB === 0) continue;
+
+      for (let rowsB = 1; rowsB <= Math.floor(Y / l); rowsB++) {
+        const blockB = { x: X - colsB * w, y: 0, length: colsB * w, width: rowsB * l };
+        const rowsC = Math.floor((Y - blockB.width) / w);
+        if (rowsC === 0) continue;
+
+        for (let colsC = 1; colsC <= Math.floor(X / l); colsC++) {
+          const blockC = { x: X - colsC * l, y: Y - rowsC * w, length: colsC * l, width: rowsC * w };
+          const colsD = Math.floor(blockC.x / w);
+          const rowsD = Math.floor((Y - blockA.width) / l);
+          if (colsD === 0 || rowsD === 0) continue;
+
+          const blockD = { x: 0, y: Y - rowsD * l, length: colsD * w, width: rowsD * l };
+          const blocks = [blockA, blockB, blockC, blockD];
+          const valid = blocks.every((a, ai) => blocks.every((b, bi) => ai >= bi || !rectsOverlap(a, b)));
+          if (!valid) continue;
+
+          const count = i * j + colsB * rowsB + colsC * rowsC + colsD * rowsD;
+          if (!best || count > best.count) {
+            best = { count, i, j, colsB, rowsB, colsC, rowsC, colsD, rowsD, blockB, blockC, blockD };
+          }
+        }
+      }
+    }
+  }
+
+  if (!best) return null;
+
+  return [
+    ...gridCells(best.i, best.j, l, w, 'LWH'),
+    ...gridCells(best.colsB, best.rowsB, w, l, 'WLH', best.blockB.x, best.blockB.y),
+    ...gridCells(best.colsC, best.rowsC, l, w, 'LWH', best.blockC.x, best.blockC.y),
+    ...gridCells(best.colsD, best.rowsD, w, l, 'WLH', best.blockD.x, best.blockD.y)
+  ];
+}
+
+/**
+ * Stack alternating layers into carton positions.
+ *
+ * @param {Array<Array<Object>>} layerCycle - Layers repeated in order (A, B, A, B...)
+ * @param {number} maxLayers - Number of layers to build
+ * @param {number} layerHeight - Height of one layer (cm)
+ */
+export function stackLayers(layerCycle, maxLayers, layerHeight) {
+  const cartonPositions = [];
+
+  for (let layer = 0; layer < maxLayers; layer++) {
+    const cells = layerCycle[layer % layerCycle.length];
+    cells.forEach(cell => {
+      cartonPositions.push({
+        x: cell.x,
+        y: cell.y,
+        z: layer * layerHeight,
+        layer,
+        rotation: cell.rotation,
+        gridX: Math.round(cell.x / cell.length),
+        gridY: Math.round(cell.y / cell.width)
+      });
+    });
+  }
+
+  return cartonPositions;
+}
+
+/**
+ * Stability of a stack: how well consecutive layers interlock (0 to 1).
+ */
+export function stackStability(layerCycle, maxLayers) {
+  if (maxLayers < 2 || layerCycle.length < 2) return 0;
+  const [lower, upper] = layerCycle;
+  return (interlockRatio(lower, upper) + interlockRatio(upper, lower)) / 2;
+}
@@ -0,0 +1,89 @@
+import { describe, expect, it } from 'vitest';
+import {
+  gridCells,
+  interlockRatio,
+  interlockVariant,
+  layerSpan,
+  pinwheelLayer,
+  stackLayers,
+  transformLayer
+} from './stacking-patterns.js';
+
+const euro = { length: 120, width: 80 };
+
+const overlaps = (a, b) => (
+  Math.min(a.x + a.length, b.x + b.length) - Math.max(a.x, b.x) > 1e-6 &&
+  Math.min(a.y + a.width, b.y + b.width) - Math.max(a.y, b.y) > 1e-6
+);
+
+describe('layers', () => {
+  it('builds grids and measures their span', () => {
+    const cells = gridCells(2, 3, 50, 25, 'LWH', 10, 0);
+
+    expect(cells).toHaveLength(6);
+    expect(layerSpan(cells)).toEqual({ x: 110, y: 75 });
+  });
+
+  it('mirrors and shifts a layer inside the pallet', () => {
+    const cells = gridCells(2, 2, 50, 30, 'LWH');
+
+    expect(layerSpan(transformLayer(cells, 'rotate180', euro))).toEqual({ x: 100, y: 60 });
+    // The free strip is 20 × 20 cm; a shift moves at most half a carton
+    expect(transformLayer(cells, 'shift', euro)[0]).toMatchObject({ x: 20, y: 15 });
+  });
+});
+
+describe('interlockVariant', () => {
+  it('returns the variant with the most cartons across a seam', () => {
+    const cells = gridCells(2, 2, 50, 30, 'LWH');
+    const variant = interlockVariant(cells, euro);
+
+    expect(variant.mode).toBe('shift');
+    expect(variant.ratio).toBe(interlockRatio(cells, variant.cells));
+    expect(variant.ratio).toBeGreaterThan(0);
+  });
+
+  it('returns null when no variant bridges a seam', () => {
+    expect(interlockVariant(gridCells(3, 2, 40, 40, 'LWH'), euro)).toBeNull();
+  });
+});
+
+describe('pinwheelLayer', () => {
+  it('builds four blocks inside the pallet without overlaps', () => {
+    const cells = pinwheelLayer(euro, { length: 40, width: 30 });
+
+    expect(cells).not.toBeNull();
+    expect(new Set(cells.map(cell => cell.rotation))).toEqual(new Set(['LWH', 'WLH']));
+    cells.forEach((cell, index) => {
+      expect(cell.x + cell.length).toBeLessThanOrEqual(euro.length + 1e-6);
+      expect(cell.y + cell.width).toBeLessThanOrEqual(euro.width + 1e-6);
+      cells.slice(index + 1).forEach(other => expect(overlaps(cell, other)).toBe(false));
+    });
+  });
+
+  it('returns null when no true pinwheel fits', () => {
+    expect(pinwheelLayer(euro, { length: 70, width: 50 })).toBeNull();
+  });
+
+  it('skips the search for the smallest cartons instead of taking seconds', () => {
+    const started = performance.now();
+
+    expect(pinwheelLayer(euro, { length: 1, width: 1 })).toBeNull();
+    expect(pinwheelLayer(euro, { length: 4, width: 4 })).not.toBeNull();
+    expect(performance.now() - started).toBeLessThan(1000);
+  });
+});
+
+describe('stackLayers', () => {
+  it('alternates the layers of the cycle', () => {
+    const base = gridCells(1, 1, 50, 30, 'LWH');
+    const turned = gridCells(1, 1, 30, 50, 'WLH');
+    const positions = stackLayers([base, turned], 3, 20);
+
+    expect(positions.map(position => [position.layer, position.z, position.rotation])).toEqual([
+      [0, 0, 'LWH'],
+      [1, 20, 'WLH'],
+      [2, 40, 'LWH']
+    ]);
+  });
+});